@@ -0,0 +1,16 @@
+const { createClient, buildPurchasePath } = require('./lib/client');
+const { keypairSigner, walletAdapterSigner } = require('./lib/signers');
+const { createMemoryReceiptCache, createFileReceiptCache } = require('./lib/receipt-cache');
+const { createSolanaPayer } = require('./lib/solana-payer');
+const errors = require('./lib/errors');
+
+module.exports = {
+  createClient,
+  buildPurchasePath,
+  keypairSigner,
+  walletAdapterSigner,
+  createMemoryReceiptCache,
+  createFileReceiptCache,
+  createSolanaPayer,
+  ...errors
+};
@@ -0,0 +1,239 @@
+const { createError, errorFromResponse } = require('./errors');
+const { toSigner } = require('./signers');
+const { createMemoryReceiptCache } = require('./receipt-cache');
+const { createSolanaPayer } = require('./solana-payer');
+
+// ============================================
+// CONTEXTNOW CLIENT
+// ============================================
+// The purchase loop every consumer used to write by hand:
+//
+//   1. a cached receipt for the purchase? re-download for free
+//   2. GET /buy/... without payment -> 402 with x402 requirements and a quote
+//   3. check the price against the spending caps
+//   4. pay from prepaid credits (apiKey), or pay the quote with the signer
+//   5. retry with x-payment-proof until the server sees the transaction
+//      (TX_NOT_FOUND / TX_NOT_CONFIRMED, with backoff)
+//   6. cache the receipt
+//
+// Options:
+//   baseUrl        ContextNow server (default https://contextnow.dev)
+//   signer         Keypair, wallet adapter or { publicKey, signTransaction }
+//   connection     @solana/web3.js Connection for payments (default: the
+//                  public RPC of the network the server asks for, or
+//                  127.0.0.1:8899 for solana-localnet). Required for
+//                  other Solana networks.
+//   apiKey         prepaid credits key - pays from the balance instead
+//   spendingCaps   { perPurchase, total } in USDC
+//   receiptCache   see receipt-cache.js (default in memory, false for none)
+//   retry          { attempts: 6, initialDelayMs: 1000, maxDelayMs: 15000 }
+//   fetch          fetch implementation (default globalThis.fetch)
+
+const DEFAULT_BASE_URL = 'https://contextnow.dev';
+const USDC_UNIT = 1e6;
+
+// Payment not visible to the server yet - worth asking again
+const RETRYABLE_CODES = new Set(['TX_NOT_FOUND', 'TX_NOT_CONFIRMED']);
+
+// Default RPC for each x402 Solana network
+const SOLANA_RPC_URLS = {
+  solana: 'https://api.mainnet-beta.solana.com',
+  'solana-devnet': 'https://api.devnet.solana.com',
+  'solana-localnet': 'http://127.0.0.1:8899'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const toUnits = usdc => Math.round(usdc * USDC_UNIT);
+
+// /buy/nextjs@v16.3.2/sections/routing,caching
+function buildPurchasePath(item, { version, sections } = {}) {
+  if (typeof item !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(item)) {
+    throw new TypeError(`Invalid item id: ${item}`);
+  }
+  const ids = typeof sections === 'string' ? sections.split(',') : sections || [];
+  return `/buy/${item}` +
+    (version ? `@${encodeURIComponent(version)}` : '') +
+    (ids.length > 0 ? `/sections/${ids.map(id => encodeURIComponent(id.trim())).join(',')}` : '');
+}
+
+function createClient(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const signer = toSigner(options.signer);
+  const apiKey = options.apiKey || null;
+  const caps = options.spendingCaps || {};
+  const receiptCache = options.receiptCache === false ? null : options.receiptCache || createMemoryReceiptCache();
+  const retry = { attempts: 6, initialDelayMs: 1000, maxDelayMs: 15000, ...options.retry };
+  const fetchImpl = options.fetch || globalThis.fetch;
+
+  let connection = options.connection || null;
+  let spentUnits = 0;      // paid, in USDC base units
+  let reservedUnits = 0;   // being paid right now
+
+  // Resolves { status, ok, headers, body } - body is parsed JSON when it can be
+  async function request(path, { query, headers } = {}) {
+    const url = new URL(`${baseUrl}${path}`);
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(name, value);
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers: { accept: 'application/json', ...headers } });
+    } catch (error) {
+      throw createError('NETWORK_ERROR', `Could not reach ${baseUrl}: ${error.message}`);
+    }
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {}
+    return { status: response.status, ok: response.ok, headers: response.headers, body };
+  }
+
+  async function getJson(path, query) {
+    const response = await request(path, { query });
+    if (!response.ok) throw errorFromResponse(response.status, response.body);
+    return response.body;
+  }
+
+  // Hold amount against the caps until it's paid or abandoned
+  function reserve(amount, maxPrice, details) {
+    const units = toUnits(amount);
+    const exceeded =
+      (maxPrice !== undefined && units > toUnits(maxPrice) && `maxPrice ${maxPrice}`) ||
+      (caps.perPurchase !== undefined && units > toUnits(caps.perPurchase) && `perPurchase cap ${caps.perPurchase}`) ||
+      (caps.total !== undefined && spentUnits + reservedUnits + units > toUnits(caps.total) &&
+        `total cap ${caps.total} (${(spentUnits + reservedUnits) / USDC_UNIT} USDC already spent or pending)`);
+    if (exceeded) {
+      throw createError('SPENDING_CAP_EXCEEDED', `Price ${amount} USDC exceeds the ${exceeded} USDC`, { details });
+    }
+    reservedUnits += units;
+    return {
+      commit() {
+        reservedUnits -= units;
+        spentUnits += units;
+      },
+      release() {
+        reservedUnits -= units;
+      }
+    };
+  }
+
+  // Solana networks we can pay on: the known ones, or any with a connection given
+  const isPayable = network => Boolean(SOLANA_RPC_URLS[network] ||
+    (options.connection && /^solana(-|$)/.test(network || '')));
+
+  function getPayer(requirements) {
+    if (!connection) {
+      const { Connection } = require('@solana/web3.js');
+      connection = new Connection(SOLANA_RPC_URLS[requirements.network], 'confirmed');
+    }
+    return createSolanaPayer({ connection, signer });
+  }
+
+  // Present the payment until the server has verified it
+  async function redeem(path, transactionSignature) {
+    for (let attempt = 1; ; attempt++) {
+      const response = await request(path, { headers: { 'x-payment-proof': transactionSignature } });
+      if (response.ok) return response.body;
+
+      const code = response.body?.code;
+      if (!RETRYABLE_CODES.has(code) || attempt >= retry.attempts) {
+        throw errorFromResponse(response.status, response.body, { transactionSignature });
+      }
+      await sleep(Math.min(retry.initialDelayMs * 2 ** (attempt - 1), retry.maxDelayMs));
+    }
+  }
+
+  async function cacheReceipts(key, purchase) {
+    if (!receiptCache) return;
+    const save = (cacheKey, { token, expires_at }) => receiptCache.set(cacheKey, { token, expires_at });
+    if (purchase.receipt?.token) await save(key, purchase.receipt);
+    // Bundles come with a receipt for each member
+    for (const member of purchase.items || []) {
+      if (member.receipt?.token) await save(`${baseUrl}/buy/${member.id}`, member.receipt);
+    }
+  }
+
+  return {
+    baseUrl,
+
+    catalog() {
+      return getJson('/catalog/json');
+    },
+
+    search(query, { category, limit, mode } = {}) {
+      return getJson('/search', { q: query, category, limit, mode });
+    },
+
+    // An item's sections with token counts and prices
+    sections(item, { version } = {}) {
+      return getJson(`${buildPurchasePath(item, { version })}/sections`);
+    },
+
+    // USDC paid through this client so far
+    spent() {
+      return spentUnits / USDC_UNIT;
+    },
+
+    // Buy an item, or some of its sections, and resolve the purchase body
+    // ({ item, version, content, receipt, ... }). Options: version,
+    // sections (ids), maxPrice (USDC, on top of the spending caps).
+    async buy(item, { version, sections, maxPrice } = {}) {
+      const path = buildPurchasePath(item, { version, sections });
+      const key = `${baseUrl}${path}`;
+
+      const cached = receiptCache && await receiptCache.get(key);
+      if (cached) {
+        const response = await request(path, { headers: { 'x-payment-receipt': cached.token } });
+        if (response.ok) return response.body;
+        await receiptCache.delete(key);
+        if (response.status !== 402) throw errorFromResponse(response.status, response.body);
+      }
+
+      const quoted = await request(path);
+      if (quoted.ok) return quoted.body;
+      if (quoted.status !== 402) throw errorFromResponse(quoted.status, quoted.body);
+      const paymentRequired = quoted.body;
+
+      const amount = paymentRequired.pricing?.amount ?? paymentRequired.quote?.amount_usdc;
+      const reservation = reserve(amount, maxPrice, paymentRequired);
+      let paid = false;
+      try {
+        let purchase;
+        if (apiKey) {
+          const response = await request(path, { headers: { 'x-api-key': apiKey } });
+          if (!response.ok) throw errorFromResponse(response.status, response.body);
+          purchase = response.body;
+          paid = true;
+        } else {
+          if (!signer) throw errorFromResponse(402, paymentRequired);
+          const requirements = (paymentRequired.accepts || []).find(entry => isPayable(entry.network));
+          if (!requirements) {
+            const networks = (paymentRequired.accepts || []).map(entry => entry.network).join(', ');
+            throw createError('UNSUPPORTED_NETWORK',
+              `The server offers no Solana payment option we can use (${networks}) - pass a connection for its network`,
+              { details: paymentRequired });
+          }
+          const signature = await getPayer(requirements).pay(requirements);
+          paid = true;
+          purchase = await redeem(path, signature);
+        }
+
+        reservation.commit();
+        await cacheReceipts(key, purchase);
+        return purchase;
+      } catch (error) {
+        // Money that left the wallet counts against the caps either way
+        if (paid) reservation.commit();
+        else reservation.release();
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createClient,
+  buildPurchasePath
+};
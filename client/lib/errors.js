@@ -0,0 +1,130 @@
+// ============================================
+// ERRORS
+// ============================================
+// Every failure is a ContextNowError with the server's `code` (or one of
+// ours, e.g. SPENDING_CAP_EXCEEDED) and the response body in `details`.
+// Codes are grouped into subclasses, so callers can branch with instanceof:
+//
+//   try { await client.buy('nextjs') }
+//   catch (error) {
+//     if (error instanceof QuoteError) ...        // get a fresh quote
+//     if (error instanceof TransactionError) ...  // payment didn't land
+//   }
+//
+// Errors raised after a payment was sent carry its transactionSignature, so
+// it can be retried or reported.
+
+class ContextNowError extends Error {
+  constructor(message, { code, status = null, details = null, action = null, transactionSignature = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.action = action;
+    this.transactionSignature = transactionSignature;
+  }
+}
+
+// 402 without a failure code: the item must be paid for and the client
+// can't pay (no signer, or paying is disabled). details is the 402 body.
+class PaymentRequiredError extends ContextNowError {
+  get quote() {
+    return this.details?.quote || null;
+  }
+}
+
+// Quote missing from the memo, unknown, for another item or version, paid
+// or expired
+class QuoteError extends ContextNowError {}
+
+// Paid amount differs from the quote
+class PaymentAmountError extends ContextNowError {}
+
+// Transaction signature already redeemed
+class ReplayError extends ContextNowError {}
+
+// Transaction not found, not confirmed, failed, unsigned or malformed
+class TransactionError extends ContextNowError {}
+
+// Payment went to the wrong place or network
+class PaymentDestinationError extends ContextNowError {}
+
+// Receipt invalid, expired or for another purchase
+class ReceiptError extends ContextNowError {}
+
+// Prepaid credits: unknown API key, balance too low or ledger unavailable
+class CreditsError extends ContextNowError {}
+
+// The purchase would exceed a spending cap - nothing was paid
+class SpendingCapError extends ContextNowError {}
+
+// Unknown item, version or section
+class NotFoundError extends ContextNowError {}
+
+// Server-side verification failure; usually worth retrying
+class VerificationError extends ContextNowError {}
+
+const ERROR_CLASSES = {
+  QUOTE_MISSING: QuoteError,
+  QUOTE_NOT_FOUND: QuoteError,
+  QUOTE_ITEM_MISMATCH: QuoteError,
+  QUOTE_VERSION_MISMATCH: QuoteError,
+  QUOTE_USED: QuoteError,
+  QUOTE_EXPIRED: QuoteError,
+  INSUFFICIENT_AMOUNT: PaymentAmountError,
+  AMOUNT_MISMATCH: PaymentAmountError,
+  REPLAY_ATTACK: ReplayError,
+  TX_NOT_FOUND: TransactionError,
+  TX_NOT_CONFIRMED: TransactionError,
+  TX_FAILED: TransactionError,
+  TX_NOT_SIGNED: TransactionError,
+  TX_SUBMIT_FAILED: TransactionError,
+  INVALID_TRANSACTION: TransactionError,
+  REFERENCE_MISMATCH: TransactionError,
+  WRONG_RECIPIENT: PaymentDestinationError,
+  UNSUPPORTED_NETWORK: PaymentDestinationError,
+  INVALID_PAYMENT_HEADER: PaymentDestinationError,
+  INVALID_RECEIPT: ReceiptError,
+  RECEIPT_EXPIRED: ReceiptError,
+  RECEIPT_ITEM_MISMATCH: ReceiptError,
+  INSUFFICIENT_CREDITS: CreditsError,
+  INVALID_API_KEY: CreditsError,
+  CREDITS_UNAVAILABLE: CreditsError,
+  VERIFICATION_ERROR: VerificationError,
+  SPENDING_CAP_EXCEEDED: SpendingCapError,
+  PAYMENT_REQUIRED: PaymentRequiredError,
+  NOT_FOUND: NotFoundError
+};
+
+// Typed error for a code
+function createError(code, message, options = {}) {
+  const ErrorClass = ERROR_CLASSES[code] || ContextNowError;
+  return new ErrorClass(message, { ...options, code });
+}
+
+// Typed error for a non-2xx API response
+function errorFromResponse(status, body, options = {}) {
+  const data = body && typeof body === 'object' ? body : { message: String(body || '') };
+  const code = data.code || (status === 402 ? 'PAYMENT_REQUIRED' : status === 404 ? 'NOT_FOUND' : `HTTP_${status}`);
+  const message = data.reason || data.message || data.error || `Request failed with status ${status}`;
+  return createError(code, message, { ...options, status, details: data, action: data.action_required || null });
+}
+
+module.exports = {
+  ContextNowError,
+  PaymentRequiredError,
+  QuoteError,
+  PaymentAmountError,
+  ReplayError,
+  TransactionError,
+  PaymentDestinationError,
+  ReceiptError,
+  CreditsError,
+  SpendingCapError,
+  NotFoundError,
+  VerificationError,
+  ERROR_CLASSES,
+  createError,
+  errorFromResponse
+};
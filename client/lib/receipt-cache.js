@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// RECEIPT CACHE
+// ============================================
+// Receipts from paid purchases, so buying the same thing again within the
+// receipt's lifetime re-downloads it for free. Keys are the server URL plus
+// the purchase (item, version and sections). Any cache must implement:
+//
+//   get(key)              -> Promise<{ token, expires_at } | null>
+//   set(key, receipt)     -> Promise
+//   delete(key)           -> Promise
+
+const isExpired = receipt => Date.parse(receipt.expires_at) <= Date.now();
+
+function createMemoryReceiptCache() {
+  const receipts = new Map();
+
+  return {
+    async get(key) {
+      const receipt = receipts.get(key);
+      if (receipt && isExpired(receipt)) {
+        receipts.delete(key);
+        return null;
+      }
+      return receipt || null;
+    },
+
+    async set(key, receipt) {
+      receipts.set(key, receipt);
+    },
+
+    async delete(key) {
+      receipts.delete(key);
+    }
+  };
+}
+
+// JSON file cache - survives restarts. Expired receipts are dropped on write.
+function createFileReceiptCache(filePath) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  // Writes are serialized and atomic (temp file + rename)
+  function update(change) {
+    const run = queue.then(async () => {
+      const receipts = await read();
+      change(receipts);
+      for (const [key, receipt] of Object.entries(receipts)) {
+        if (isExpired(receipt)) delete receipts[key];
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(receipts, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmp, filePath);
+    });
+    // A failed write mustn't block the ones after it
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(key) {
+      await queue;
+      const receipt = (await read())[key];
+      return receipt && !isExpired(receipt) ? receipt : null;
+    },
+
+    set(key, receipt) {
+      return update(receipts => { receipts[key] = receipt; });
+    },
+
+    delete(key) {
+      return update(receipts => { delete receipts[key]; });
+    }
+  };
+}
+
+module.exports = {
+  createMemoryReceiptCache,
+  createFileReceiptCache
+};
@@ -0,0 +1,46 @@
+// ============================================
+// SIGNERS
+// ============================================
+// A signer is { publicKey, signTransaction(transaction) -> signed transaction }
+// - the shape Solana wallet adapters already have. Payments are built by the
+// client; the signer only signs.
+
+// Signer for a @solana/web3.js Keypair
+function keypairSigner(keypair) {
+  return {
+    publicKey: keypair.publicKey,
+    async signTransaction(transaction) {
+      transaction.partialSign(keypair);
+      return transaction;
+    }
+  };
+}
+
+// Signer for a connected wallet adapter (or anything with publicKey and
+// signTransaction). The public key is read at signing time, as adapters
+// only have one once connected.
+function walletAdapterSigner(wallet) {
+  if (typeof wallet?.signTransaction !== 'function') {
+    throw new TypeError('Wallet must implement signTransaction');
+  }
+  return {
+    get publicKey() {
+      if (!wallet.publicKey) throw new Error('Wallet is not connected');
+      return wallet.publicKey;
+    },
+    signTransaction: transaction => wallet.signTransaction(transaction)
+  };
+}
+
+// Accept a Keypair, a wallet adapter or a signer
+function toSigner(value) {
+  if (!value) return null;
+  if (value.secretKey && value.publicKey) return keypairSigner(value);
+  return walletAdapterSigner(value);
+}
+
+module.exports = {
+  keypairSigner,
+  walletAdapterSigner,
+  toSigner
+};
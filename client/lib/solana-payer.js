@@ -0,0 +1,65 @@
+const { PublicKey, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, createTransferCheckedInstruction } = require('@solana/spl-token');
+const { createError } = require('./errors');
+
+// ============================================
+// SOLANA PAYER
+// ============================================
+// Pays an x402 `exact` requirement on Solana: a USDC TransferChecked to the
+// server's token account plus an SPL Memo with the quote memo, signed by the
+// signer, sent and confirmed. connection is a @solana/web3.js Connection
+// (or anything with its getLatestBlockhash, sendRawTransaction and
+// confirmTransaction).
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+function createSolanaPayer({ connection, signer, commitment = 'confirmed' }) {
+  return {
+    // requirements is an entry of the 402 `accepts` array for a Solana
+    // network. Resolves the transaction signature once confirmed.
+    async pay(requirements) {
+      const { payTo, asset, maxAmountRequired, extra } = requirements;
+      if (!payTo || payTo === 'Not configured') {
+        throw createError('PAYMENT_NOT_CONFIGURED', 'The server has no wallet configured to receive payments');
+      }
+      if (!extra?.memo) {
+        throw createError('QUOTE_MISSING', 'The payment requirements have no quote memo');
+      }
+
+      const owner = signer.publicKey;
+      const mint = new PublicKey(asset);
+      const source = await getAssociatedTokenAddress(mint, owner);
+      const destination = extra.tokenAccount
+        ? new PublicKey(extra.tokenAccount)
+        : await getAssociatedTokenAddress(mint, new PublicKey(payTo));
+
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+      const transaction = new Transaction({ feePayer: owner, blockhash, lastValidBlockHeight }).add(
+        createTransferCheckedInstruction(source, mint, destination, owner, BigInt(maxAmountRequired), extra.decimals ?? 6),
+        new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from(extra.memo, 'utf-8') })
+      );
+
+      const signed = await signer.signTransaction(transaction);
+      let signature;
+      try {
+        signature = await connection.sendRawTransaction(signed.serialize());
+      } catch (error) {
+        throw createError('TX_SUBMIT_FAILED', `Transaction submission failed: ${error.message}`);
+      }
+
+      const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, commitment);
+      if (confirmation.value?.err) {
+        throw createError('TX_FAILED', 'Payment transaction failed on chain', {
+          details: { err: confirmation.value.err },
+          transactionSignature: signature
+        });
+      }
+      return signature;
+    }
+  };
+}
+
+module.exports = {
+  MEMO_PROGRAM_ID,
+  createSolanaPayer
+};
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const { startServer } = require('../../test/helpers/server');
+const {
+  createClient,
+  createFileReceiptCache,
+  ContextNowError,
+  PaymentRequiredError,
+  TransactionError,
+  SpendingCapError,
+  CreditsError,
+  NotFoundError,
+  ERROR_CLASSES,
+  createError,
+  errorFromResponse
+} = require('..');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+function payingClient(options = {}) {
+  return createClient({
+    baseUrl: server.baseUrl,
+    signer: Keypair.generate(),
+    connection: server.chain.connection,
+    retry: { initialDelayMs: 20 },
+    ...options
+  });
+}
+
+test('buy pays the 402 quote and retries with the proof', async () => {
+  const client = payingClient();
+  const { body: quote } = await fetch(`${server.baseUrl}/buy/stripe-node`)
+    .then(async response => ({ body: await response.json() }));
+
+  const purchase = await client.buy('stripe-node');
+  assert.strictEqual(purchase.item, 'stripe-node');
+  assert.ok(purchase.content.length > 0);
+  assert.strictEqual(purchase.payment.transactionSignature, server.chain.sent.at(-1));
+  assert.strictEqual(purchase.charged, quote.pricing.amount);
+  assert.strictEqual(client.spent(), quote.pricing.amount);
+});
+
+test('buy pays for sections at their price', async () => {
+  const client = payingClient();
+  const { sections } = await client.sections('nextjs');
+  const purchase = await client.buy('nextjs', { sections: [sections[0].id] });
+  assert.deepStrictEqual(purchase.sections.map(section => section.id), [sections[0].id]);
+  assert.strictEqual(client.spent(), sections[0].price);
+});
+
+test('TX_NOT_FOUND is retried with backoff until the payment is visible', async () => {
+  const client = payingClient();
+  server.chain.nextSend = { hiddenFor: 2 };
+  const started = Date.now();
+
+  const purchase = await client.buy('vitest');
+  const signature = purchase.payment.transactionSignature;
+  assert.strictEqual(server.chain.lookups.filter(lookup => lookup === signature).length, 3);
+  // 20ms, then 40ms
+  assert.ok(Date.now() - started >= 60);
+});
+
+test('gives up after the retry attempts with the transaction signature', async () => {
+  const client = payingClient({ retry: { attempts: 2, initialDelayMs: 5 } });
+  server.chain.nextSend = { hiddenFor: 5 };
+
+  await assert.rejects(client.buy('vitest'), error => {
+    assert.ok(error instanceof TransactionError);
+    assert.strictEqual(error.code, 'TX_NOT_FOUND');
+    assert.strictEqual(error.transactionSignature, server.chain.sent.at(-1));
+    return true;
+  });
+  // The payment left the wallet, so it counts as spent
+  assert.ok(client.spent() > 0);
+});
+
+test('refuses purchases over the spending caps without paying', async () => {
+  const sent = server.chain.sent.length;
+
+  const perPurchase = payingClient({ spendingCaps: { perPurchase: 0.0001 } });
+  await assert.rejects(perPurchase.buy('stripe-node'), error => {
+    assert.ok(error instanceof SpendingCapError);
+    assert.strictEqual(error.code, 'SPENDING_CAP_EXCEEDED');
+    assert.ok(error.details.quote);
+    return true;
+  });
+
+  const perCall = payingClient();
+  await assert.rejects(perCall.buy('stripe-node', { maxPrice: 0.0001 }), SpendingCapError);
+  assert.strictEqual(server.chain.sent.length, sent);
+  assert.strictEqual(perPurchase.spent() + perCall.spent(), 0);
+
+  // The total cap counts what was already spent
+  const total = payingClient({ spendingCaps: { total: 0.002 } });
+  await total.buy('stripe-node');
+  await assert.rejects(total.buy('nextjs'), SpendingCapError);
+  assert.strictEqual(server.chain.sent.length, sent + 1);
+});
+
+test('cached receipts re-download without paying again', async () => {
+  const client = payingClient();
+  await client.buy('planetscale-js');
+  const sent = server.chain.sent.length;
+
+  const again = await client.buy('planetscale-js');
+  assert.strictEqual(again.payment.method, 'receipt');
+  assert.strictEqual(again.charged, 0);
+  assert.strictEqual(server.chain.sent.length, sent);
+});
+
+test('file receipt cache survives a new client', async () => {
+  const file = path.join(server.dataDir, 'client', 'receipts.json');
+  await payingClient({ receiptCache: createFileReceiptCache(file) }).buy('railway');
+  const sent = server.chain.sent.length;
+
+  const restarted = payingClient({ receiptCache: createFileReceiptCache(file) });
+  assert.strictEqual((await restarted.buy('railway')).payment.method, 'receipt');
+  assert.strictEqual(restarted.spent(), 0);
+  assert.strictEqual(server.chain.sent.length, sent);
+  assert.ok(fs.existsSync(file));
+});
+
+test('server errors map to typed errors', async () => {
+  const anonymous = createClient({ baseUrl: server.baseUrl });
+  await assert.rejects(anonymous.buy('stripe-node'), error => {
+    assert.ok(error instanceof PaymentRequiredError);
+    assert.strictEqual(error.status, 402);
+    assert.ok(error.quote.memo);
+    return true;
+  });
+  await assert.rejects(anonymous.buy('no-such-item'), NotFoundError);
+
+  const badKey = createClient({ baseUrl: server.baseUrl, apiKey: 'cn_unknown' });
+  await assert.rejects(badKey.buy('stripe-node'), error => error instanceof CreditsError && error.code === 'INVALID_API_KEY');
+
+  // A payment that fails on chain is not retried
+  server.chain.nextSend = { err: { InstructionError: [0, 'Custom'] } };
+  await assert.rejects(payingClient().buy('stripe-node'), error => {
+    assert.ok(error instanceof TransactionError);
+    assert.strictEqual(error.code, 'TX_FAILED');
+    assert.ok(error.transactionSignature);
+    return true;
+  });
+});
+
+test('every code maps to its error class', () => {
+  for (const [code, ErrorClass] of Object.entries(ERROR_CLASSES)) {
+    const error = errorFromResponse(402, { code, reason: `${code} happened`, action_required: 'retry' });
+    assert.ok(error instanceof ErrorClass, code);
+    assert.ok(error instanceof ContextNowError, code);
+    assert.strictEqual(error.code, code);
+    assert.strictEqual(error.message, `${code} happened`);
+    assert.strictEqual(error.action, 'retry');
+    assert.strictEqual(createError(code, 'x').constructor, ErrorClass);
+  }
+  assert.strictEqual(errorFromResponse(500, 'oops').constructor, ContextNowError);
+  assert.strictEqual(errorFromResponse(500, 'oops').code, 'HTTP_500');
+});
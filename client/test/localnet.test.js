@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Connection, Keypair } = require('@solana/web3.js');
+const { startServer } = require('../../test/helpers/server');
+const { createClient, PaymentDestinationError } = require('..');
+
+// A local validator has no canonical USDC mint
+const USDC_MINT = Keypair.generate().publicKey.toBase58();
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ env: { SOLANA_NETWORK: 'localnet', USDC_MINT } });
+});
+
+test.after(() => server.close());
+
+test('pays a solana-localnet server through the local validator RPC', async () => {
+  // No connection given - the client opens one to the local validator
+  const endpoints = [];
+  for (const method of ['getLatestBlockhash', 'sendRawTransaction', 'confirmTransaction']) {
+    Connection.prototype[method] = function (...args) {
+      endpoints.push(this.rpcEndpoint);
+      return server.chain.connection[method](...args);
+    };
+  }
+
+  const client = createClient({ baseUrl: server.baseUrl, signer: Keypair.generate(), retry: { initialDelayMs: 5 } });
+  const purchase = await client.buy('stripe-node');
+  assert.strictEqual(purchase.payment.network, 'solana-localnet');
+  assert.ok(endpoints.length > 0);
+  assert.ok(endpoints.every(endpoint => endpoint === 'http://127.0.0.1:8899'));
+});
+
+test('needs a connection for Solana networks it does not know', async () => {
+  const unknown = {
+    fetch: async () => new Response(JSON.stringify({
+      accepts: [{ network: 'solana-testnet', maxAmountRequired: '1000' }],
+      pricing: { amount: 0.001 }
+    }), { status: 402 })
+  };
+
+  const client = createClient({ baseUrl: server.baseUrl, signer: Keypair.generate(), ...unknown });
+  await assert.rejects(client.buy('stripe-node'), error =>
+    error instanceof PaymentDestinationError && error.code === 'UNSUPPORTED_NETWORK');
+  assert.strictEqual(client.spent(), 0);
+});
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseSemver, compareSemver } = require('./release-tags');
+const { loadRegistry } = require('./registry');
+
+// ============================================
+// CONTENT STORE
+// ============================================
+// Documents live on disk, one directory per item and one markdown file per
+// upstream version it documents (the release tag watchtower records):
+//
+//   content/<item-id>/<version>.md     e.g. content/nextjs/v16.3.2.md
+//
+// An item's name, price, category, icon, docs URL and repo come from the
+// registry (see lib/registry.js). A file may start with YAML front matter
+// to add per-version fields or override registry ones for that version:
+//
+//   ---
+//   price: 0.001
+//   source: { tag: v16.3.2, ... }   # written by the ingestion pipeline
+//   placeholder: true               # hand-written, not an upstream release
+//   ---
+//   # markdown body...
+//
+// Front matter only applies to its own file: other versions of the item
+// keep the registry values.
+//
+// The highest version (numeric-aware, so v16.10.0 > v16.9.0) is the current
+// one. Placeholders rank below every release, whatever their version says,
+// so the first ingested release replaces them. Files are re-read when they
+// change; a reload that fails to parse or validate is logged and the
+// previous snapshot is kept.
+
+const REQUIRED_FIELDS = ['name', 'price', 'category'];
+const ITEM_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.\-_]*$/;
+const RELOAD_DEBOUNCE_MS = 200;
+
+// Semver order where both versions are semver ("v" prefix or not), else
+// natural string order
+function compareVersions(a, b) {
+  const x = parseSemver(a);
+  const y = parseSemver(b);
+  if (x && y) return compareSemver(x, y) || a.localeCompare(b);
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// Split a file into its (optional) front matter and markdown body
+function parseDocument(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    return { meta: {}, body: source.trim() };
+  }
+  return { meta: yaml.load(match[1]) || {}, body: match[2].trim() };
+}
+
+// Registry metadata overlaid with the file's front matter
+function buildDocument(defaults, meta, file) {
+  meta = { ...defaults, ...meta };
+  for (const field of REQUIRED_FIELDS) {
+    if (meta[field] === undefined || meta[field] === null || meta[field] === '') {
+      throw new Error(`${file}: "${field}" is not set in the registry or front matter`);
+    }
+  }
+  if (typeof meta.price !== 'number' || !(meta.price > 0)) {
+    throw new Error(`${file}: price must be a positive number`);
+  }
+  return meta;
+}
+
+// Read every item and version under directory.
+// Returns Map<item id, { versions: Map<version, document>, latest }>
+function readContent(directory, registry) {
+  const items = new Map();
+
+  // Registry order first (it is the catalog order), then anything else
+  const order = registry ? Object.keys(registry.items) : [];
+  const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+  const ids = fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && ITEM_ID_PATTERN.test(entry.name))
+    .map(entry => entry.name)
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  for (const id of ids) {
+    const versions = new Map();
+    const files = fs.readdirSync(path.join(directory, id))
+      .filter(file => file.endsWith('.md'));
+
+    for (const file of files) {
+      const version = file.slice(0, -'.md'.length);
+      const relative = path.join(id, file);
+      if (!VERSION_PATTERN.test(version)) {
+        throw new Error(`${relative}: invalid version "${version}"`);
+      }
+
+      const stat = fs.statSync(path.join(directory, relative));
+      const { meta, body } = parseDocument(fs.readFileSync(path.join(directory, relative), 'utf-8'));
+      const { tag_filter, ...defaults } = registry?.getItem(id) || {};
+      versions.set(version, {
+        ...buildDocument(defaults, meta, relative),
+        id,
+        version,
+        content: body,
+        updated_at: stat.mtime.toISOString()
+      });
+    }
+
+    if (versions.size === 0) continue;
+    const ordered = [...versions.keys()].sort((a, b) =>
+      Boolean(versions.get(b).placeholder) - Boolean(versions.get(a).placeholder) || compareVersions(a, b));
+    items.set(id, {
+      versions,
+      ordered,
+      latest: versions.get(ordered[ordered.length - 1])
+    });
+  }
+
+  return items;
+}
+
+function createContentStore(options = {}) {
+  const directory = options.directory ||
+                    process.env.CONTENT_DIR ||
+                    path.join(__dirname, '..', 'content');
+  const watch = options.watch ?? process.env.CONTENT_WATCH !== 'false';
+  // Supplies each item's metadata (see lib/registry.js). With registryPath
+  // the registry is re-read from that file on every load and the file is
+  // watched too, so an item `watchtower add-source` registers arrives with
+  // its content without a restart.
+  const registryPath = options.registryPath || null;
+  let registry = options.registry || null;
+  // Called with the new { id: current document } map, an array of every
+  // version's document and the registry loaded with them; throw to reject
+  // a reload
+  const validate = options.validate || (() => {});
+
+  let items = new Map();
+  let inventory = {};
+  const listeners = [];
+
+  function load() {
+    const nextRegistry = registryPath ? loadRegistry(registryPath) : registry;
+    const next = readContent(directory, nextRegistry);
+    const nextInventory = {};
+    for (const [id, entry] of next) {
+      nextInventory[id] = entry.latest;
+    }
+    validate(nextInventory, [...next.values()].flatMap(entry => [...entry.versions.values()]), nextRegistry);
+
+    registry = nextRegistry;
+    items = next;
+    inventory = nextInventory;
+  }
+
+  // First load throws so a broken content directory fails startup
+  load();
+
+  // Watch the content directory and each item directory (recursive
+  // fs.watch isn't available on Linux before Node 20)
+  const watchers = new Map();
+  let registryWatcher = null;
+  let timer = null;
+
+  function scheduleReload() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        load();
+        console.log(`[content] Reloaded ${items.size} items from ${directory}`);
+        listeners.forEach(listener => listener(inventory));
+      } catch (error) {
+        console.error('[content] Reload failed, keeping previous content:', error.message);
+      }
+      try {
+        syncWatchers();
+      } catch (error) {
+        console.error('[content] Could not watch content directory:', error.message);
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  function syncWatchers() {
+    const dirs = new Set([directory]);
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) dirs.add(path.join(directory, entry.name));
+    }
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (!watchers.has(dir)) {
+        // A removed item directory errors its watcher - reload and re-sync
+        watchers.set(dir, fs.watch(dir, scheduleReload).on('error', scheduleReload));
+      }
+    }
+  }
+
+  if (watch) {
+    syncWatchers();
+    // The registry is replaced by a rename, so watch its directory
+    if (registryPath) {
+      const file = path.basename(registryPath);
+      registryWatcher = fs.watch(path.dirname(registryPath), (event, changed) => {
+        if (changed === file) scheduleReload();
+      });
+    }
+  }
+
+  return {
+    directory,
+
+    // The registry the current content was loaded with
+    getRegistry() {
+      return registry;
+    },
+
+    // { id: current version } - the shape INVENTORY has always had
+    getInventory() {
+      return inventory;
+    },
+
+    // A specific version, or null if the item or version doesn't exist
+    getVersion(id, version) {
+      return items.get(id)?.versions.get(version) || null;
+    },
+
+    // Version requested by a client: none or 'latest' means the current
+    // one, and a leading 'v' is optional (16.3.2 finds v16.3.2)
+    resolve(id, version) {
+      const entry = items.get(id);
+      if (!entry) return null;
+      if (!version || version === 'latest') return entry.latest;
+
+      const alternate = version.startsWith('v') ? version.slice(1) : `v${version}`;
+      return entry.versions.get(version) || entry.versions.get(alternate) || null;
+    },
+
+    // Version strings for an item, oldest first
+    listVersions(id) {
+      return items.get(id)?.ordered.slice() || [];
+    },
+
+    onReload(listener) {
+      listeners.push(listener);
+    },
+
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+      registryWatcher?.close();
+    }
+  };
+}
+
+module.exports = {
+  compareVersions,
+  createContentStore
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// PREPAID CREDIT LEDGER
+// ============================================
+// Accounts hold a USDC balance that /buy/:item debits instead of needing a
+// transaction per document. Every change is an entry appended to a JSONL
+// file; balances are rebuilt from it on startup. Amounts are integer USDC
+// base units so balances never drift from float rounding.
+//
+// Entry types:
+//   { type: 'account', account, key_hash, timestamp }
+//   { type: 'credit',  account, amount, balance, signature, timestamp }
+//   { type: 'debit',   account, amount, balance, item, timestamp }
+//
+// Writes are serialized within the process, so only one server process
+// should write to a given ledger file.
+
+const API_KEY_PREFIX = 'cn_';
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function createCreditLedger(options = {}) {
+  const filePath = options.filePath ||
+                   process.env.CREDIT_LEDGER_PATH ||
+                   path.join(__dirname, '..', 'data', 'credits.jsonl');
+
+  const accounts = new Map();   // account id -> { id, key_hash, balance, created_at }
+  const byKeyHash = new Map();  // key hash -> account id
+  const entries = [];
+
+  function apply(entry) {
+    entries.push(entry);
+    if (entry.type === 'account') {
+      accounts.set(entry.account, {
+        id: entry.account,
+        key_hash: entry.key_hash,
+        balance: 0,
+        created_at: entry.timestamp
+      });
+      byKeyHash.set(entry.key_hash, entry.account);
+    } else {
+      accounts.get(entry.account).balance = entry.balance;
+    }
+  }
+
+  if (fs.existsSync(filePath)) {
+    fs.readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .forEach(line => apply(JSON.parse(line)));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Serialize mutations so check-then-write can't interleave
+  let queue = Promise.resolve();
+  function serialize(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function append(entry) {
+    const full = { ...entry, timestamp: new Date().toISOString() };
+    await fs.promises.appendFile(filePath, JSON.stringify(full) + '\n');
+    apply(full);
+    return full;
+  }
+
+  return {
+    // Returns { account, apiKey } - the key is only available here
+    createAccount() {
+      return serialize(async () => {
+        const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+        const id = 'acct_' + crypto.randomBytes(8).toString('hex');
+        await append({ type: 'account', account: id, key_hash: hashKey(apiKey) });
+        return { account: accounts.get(id), apiKey };
+      });
+    },
+
+    authenticate(apiKey) {
+      if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+      const id = byKeyHash.get(hashKey(apiKey));
+      return id ? accounts.get(id) : null;
+    },
+
+    getBalance(accountId) {
+      return accounts.get(accountId)?.balance ?? null;
+    },
+
+    credit(accountId, amount, meta = {}) {
+      return serialize(async () => {
+        const account = accounts.get(accountId);
+        if (!account) throw new Error(`Unknown account: ${accountId}`);
+        return append({
+          type: 'credit',
+          account: accountId,
+          amount,
+          balance: account.balance + amount,
+          ...meta
+        });
+      });
+    },
+
+    // Resolves { ok: true, entry } or { ok: false, balance } if funds are short
+    debit(accountId, amount, meta = {}) {
+      return serialize(async () => {
+        const account = accounts.get(accountId);
+        if (!account) throw new Error(`Unknown account: ${accountId}`);
+        if (account.balance < amount) {
+          return { ok: false, balance: account.balance };
+        }
+        const entry = await append({
+          type: 'debit',
+          account: accountId,
+          amount,
+          balance: account.balance - amount,
+          ...meta
+        });
+        return { ok: true, entry };
+      });
+    },
+
+    // Most recent credits and debits first
+    getUsage(accountId, { limit = 100 } = {}) {
+      return entries
+        .filter(entry => entry.account === accountId && entry.type !== 'account')
+        .slice(-limit)
+        .reverse();
+    }
+  };
+}
+
+module.exports = { createCreditLedger };
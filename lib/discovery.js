@@ -0,0 +1,616 @@
+const { getSections } = require('./sections');
+const { plainText } = require('./search');
+
+// ============================================
+// MACHINE-READABLE DISCOVERY
+// ============================================
+// What agents read instead of the HTML pages:
+//
+//   /llms.txt          overview and links (https://llmstxt.org)
+//   /llms-full.txt     every item with its sections and a free teaser
+//   /openapi.json      OpenAPI 3.1 for every route, with the 402 schemas
+//   /.well-known/x402  accepted payment options and paid resources
+//
+// All are built per request from the live route table and INVENTORY, so they
+// can't drift from what the server does. ROUTE_DOCS describes each route; a
+// route without an entry is still listed, and undocumentedRoutes() names it
+// so the server can warn at startup.
+
+const SERVICE_NAME = 'ContextNow';
+const SERVICE_SUMMARY = 'Fresh, versioned API documentation for AI agents, sold per item or per section ' +
+  'for USDC via HTTP 402 (x402) micropayments. Search, listings and prices are free.';
+
+// Teasers are at most this long, and never more than a quarter of a document
+const TEASER_CHARS = 200;
+
+// Header alternatives that pay for a /buy request
+const PAYMENT_SECURITY = [{}, { x402Payment: [] }, { paymentProof: [] }, { paymentReceipt: [] }, { creditsApiKey: [] }];
+
+const json = schema => ({ 'application/json': { schema } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const ITEM_PARAM = 'Item id, optionally pinned to a version with @ (e.g. nextjs@v16.3.2, or @latest)';
+
+const PATH_PARAMS = {
+  item: ITEM_PARAM,
+  sections: 'Section id, or several comma-separated ids bought in one payment (see GET /buy/{item}/sections)',
+  reference: 'Solana Pay reference public key from a quote',
+  id: 'Webhook subscription id'
+};
+
+// Route docs, keyed by Express method and path:
+//   summary, description?, tag, query? ({ name: [type, description, required?] }),
+//   body? (schema), response? (schema or media type), status? (success code),
+//   paid? (x402 purchase), auth? ('credits' | 'admin'), errors? ([status])
+const ROUTE_DOCS = {
+  'GET /': { tag: 'Pages', summary: 'Landing page', response: 'text/html' },
+  'GET /catalog': { tag: 'Pages', summary: 'Catalog page for people', response: 'text/html' },
+  'GET /catalog/json': {
+    tag: 'Catalog',
+    summary: 'Every item with its versions, price, freshness and sections',
+    response: ref('Catalog')
+  },
+  'GET /search': {
+    tag: 'Catalog',
+    summary: 'Free search - ranked items with a teaser, never the paid text',
+    query: {
+      q: ['string', 'Query, at most 200 characters', true],
+      category: ['string', 'Only items in this category'],
+      limit: ['integer', 'Results to return, 1-25 (default 10)'],
+      mode: ['string', 'hybrid (default), keyword or semantic']
+    },
+    response: ref('SearchResults'),
+    errors: [400, 503]
+  },
+  'GET /changes': { tag: 'Updates', summary: 'Latest upstream release of every tracked item' },
+  'GET /changes/:item': {
+    tag: 'Updates',
+    summary: 'Upstream releases of an item since a version',
+    query: { since: ['string', 'Version or tag you have (default: the content version)'] },
+    errors: [400, 404]
+  },
+  'GET /feed.xml': {
+    tag: 'Updates',
+    summary: 'Atom feed of detected releases',
+    query: { category: ['string', 'Only this category'] },
+    response: 'application/atom+xml'
+  },
+  'GET /feed.json': {
+    tag: 'Updates',
+    summary: 'JSON Feed of detected releases',
+    query: { category: ['string', 'Only this category'] },
+    response: 'application/feed+json'
+  },
+  'GET /payment-info': {
+    tag: 'Payments',
+    summary: 'Accepted payments, prices and payment steps',
+    query: { item: ['string', 'Also create a quote for this item'] },
+    errors: [429]
+  },
+  'GET /buy/:item': {
+    tag: 'Purchase',
+    summary: 'Buy a document (or bundle)',
+    description: 'Without payment headers this responds 402 with x402 payment requirements and a quote. ' +
+      'Pay the quote exactly, with its memo, and repeat the request with the proof. ' +
+      'Quotes are rate limited per client IP (429).',
+    paid: true,
+    errors: [404, 429, 500]
+  },
+  'GET /buy/:item/sections': {
+    tag: 'Purchase',
+    summary: 'Sections of a document with token counts and prices',
+    response: ref('SectionList'),
+    errors: [400, 404]
+  },
+  'GET /buy/:item/sections/:sections': {
+    tag: 'Purchase',
+    summary: 'Buy one or more sections of a document in one payment',
+    description: 'The same 402 flow as GET /buy/{item}, priced by the sections\' share of the document.',
+    paid: true,
+    errors: [400, 404, 429, 500]
+  },
+  'GET /solana-pay/:reference': { tag: 'Payments', summary: 'Solana Pay transaction request: label and icon' },
+  'POST /solana-pay/:reference': {
+    tag: 'Payments',
+    summary: 'Solana Pay transaction request: the transfer for a wallet to sign',
+    body: { type: 'object', required: ['account'], properties: { account: { type: 'string' } } },
+    errors: [400, 404]
+  },
+  'GET /solana-pay/:reference/status': {
+    tag: 'Payments',
+    summary: 'Poll a Solana Pay quote - returns the purchase once paid (202 while pending)',
+    query: { token: ['string', 'Claim token from the quote\'s status_url', true] },
+    response: ref('Purchase'),
+    errors: [404]
+  },
+  'POST /credits/accounts': {
+    tag: 'Credits',
+    summary: 'Open a prepaid credits account (returns its API key once)',
+    description: 'Rate limited per client IP and overall.',
+    status: 201,
+    errors: [429]
+  },
+  'POST /credits/topup': {
+    tag: 'Credits',
+    summary: 'Top up a balance - 402 with a deposit quote, then send the payment proof',
+    auth: 'credits',
+    body: {
+      type: 'object',
+      properties: {
+        amount_usdc: { type: 'number' },
+        signature: { type: 'string' },
+        transaction: { type: 'string' }
+      }
+    },
+    errors: [400, 402, 500]
+  },
+  'GET /credits/balance': { tag: 'Credits', summary: 'Account balance', auth: 'credits' },
+  'GET /credits/usage': {
+    tag: 'Credits',
+    summary: 'Credits and debits, newest first',
+    auth: 'credits',
+    query: { limit: ['integer', 'Entries to return (default 100, at most 1000)'] }
+  },
+  'POST /admin/watchtower/check': {
+    tag: 'Admin',
+    summary: 'Check sources for new releases now',
+    auth: 'admin',
+    body: { type: 'object', properties: { source: { type: 'string' }, dry_run: { type: 'boolean' } } },
+    errors: [404, 409]
+  },
+  'POST /admin/webhooks': {
+    tag: 'Admin',
+    summary: 'Subscribe a URL to update notifications',
+    auth: 'admin',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', format: 'uri' }, categories: { type: 'array', items: { type: 'string' } } }
+    },
+    status: 201,
+    errors: [400]
+  },
+  'GET /admin/webhooks': { tag: 'Admin', summary: 'Webhook subscriptions (without secrets)', auth: 'admin' },
+  'DELETE /admin/webhooks/:id': { tag: 'Admin', summary: 'Remove a webhook subscription', auth: 'admin', errors: [404] },
+  'POST /mcp': {
+    tag: 'MCP',
+    summary: 'Model Context Protocol, streamable HTTP transport (JSON-RPC 2.0)',
+    description: 'Tools: search_docs, list_catalog, get_price, buy_doc. Notifications are answered 202.',
+    body: ref('JsonRpcMessage'),
+    response: ref('JsonRpcMessage')
+  },
+  'GET /llms.txt': { tag: 'Discovery', summary: 'Overview for language models', response: 'text/plain' },
+  'GET /llms-full.txt': { tag: 'Discovery', summary: 'Every item with its sections and a free teaser', response: 'text/plain' },
+  'GET /openapi.json': { tag: 'Discovery', summary: 'This document' },
+  'GET /.well-known/x402': { tag: 'Discovery', summary: 'Accepted x402 payment options and paid resources' }
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: { error: { type: 'string' }, message: { type: 'string' } }
+  },
+  PaymentRequirements: {
+    type: 'object',
+    description: 'x402 PaymentRequirements, one per accepted payment option',
+    properties: {
+      scheme: { const: 'exact' },
+      network: { type: 'string' },
+      maxAmountRequired: { type: 'string', description: 'Amount in the asset\'s base units' },
+      resource: { type: 'string', format: 'uri' },
+      description: { type: 'string' },
+      mimeType: { type: 'string' },
+      payTo: { type: 'string' },
+      maxTimeoutSeconds: { type: 'integer' },
+      asset: { type: 'string' },
+      outputSchema: { type: ['object', 'null'] },
+      extra: {
+        type: ['object', 'null'],
+        description: 'Asset details, plus quoteId, memo and expiresAt of the quote to pay',
+        additionalProperties: true
+      }
+    }
+  },
+  Quote: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      item: { type: 'string', description: 'Item id, or item#section,... for a section purchase' },
+      version: { type: 'string' },
+      amount_usdc: { type: 'number' },
+      amount_base_units: { type: 'integer' },
+      memo: { type: 'string', description: 'Include as an SPL Memo instruction (or calldata suffix on EVM)' },
+      expires_at: { type: 'string', format: 'date-time' },
+      usage: { type: 'string' }
+    }
+  },
+  PaymentRequired: {
+    type: 'object',
+    description: '402 body: x402 payment requirements, plus a quote and instructions for clients that are not x402-aware. ' +
+      'Failed verifications also set code, reason and action_required.',
+    required: ['x402Version', 'error', 'accepts'],
+    properties: {
+      x402Version: { const: 1 },
+      error: { type: 'string' },
+      accepts: { type: 'array', items: ref('PaymentRequirements') },
+      code: { type: 'string', examples: ['QUOTE_EXPIRED', 'INSUFFICIENT_AMOUNT', 'REPLAY_ATTACK', 'INVALID_RECEIPT'] },
+      reason: { type: 'string' },
+      action_required: { type: 'string' },
+      pricing: {
+        type: 'object',
+        properties: {
+          item: { type: 'string' },
+          amount: { type: 'number' },
+          currency: { type: 'string' },
+          sections: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      quote: ref('Quote'),
+      payment_instructions: { type: 'object' },
+      payment_options: { type: 'array', items: { type: 'object' } },
+      solana_pay: { type: ['object', 'null'] }
+    }
+  },
+  Purchase: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      item: { type: 'string' },
+      version: { type: 'string' },
+      freshness: { type: 'object' },
+      charged: { type: 'number' },
+      currency: { type: 'string' },
+      payment: { type: 'object' },
+      receipt: {
+        type: 'object',
+        properties: { token: { type: 'string' }, expires_at: { type: 'string', format: 'date-time' } }
+      },
+      content: { type: 'string', description: 'The documentation (markdown)' },
+      sections: { type: 'array', items: { type: 'object' }, description: 'Section purchases only' },
+      items: { type: 'array', items: { type: 'object' }, description: 'Bundle purchases only' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Section: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      tokens: { type: 'integer' },
+      price: { type: 'number' },
+      purchase: { type: 'string' }
+    }
+  },
+  SectionList: {
+    type: 'object',
+    properties: {
+      item: { type: 'string' },
+      version: { type: 'string' },
+      price: { type: 'number' },
+      currency: { type: 'string' },
+      sections: { type: 'array', items: ref('Section') }
+    }
+  },
+  Catalog: {
+    type: 'object',
+    properties: {
+      total_items: { type: 'integer' },
+      categories: {
+        type: 'object',
+        additionalProperties: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              price: { type: 'number' },
+              version: { type: 'string' },
+              versions: { type: 'array', items: { type: 'string' } },
+              freshness: { type: 'object' },
+              sections: { type: 'array', items: ref('Section') },
+              items: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      },
+      payment_info: { type: 'object' }
+    }
+  },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      mode: { type: 'string' },
+      total: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            price: { type: 'number' },
+            score: { type: 'number' },
+            section: ref('Section'),
+            snippet: { type: 'string' },
+            purchase: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  JsonRpcMessage: {
+    type: 'object',
+    required: ['jsonrpc'],
+    properties: {
+      jsonrpc: { const: '2.0' },
+      id: { type: ['string', 'integer', 'null'] },
+      method: { type: 'string' },
+      params: { type: 'object' },
+      result: {},
+      error: { type: 'object' }
+    }
+  }
+};
+
+const SECURITY_SCHEMES = {
+  x402Payment: { type: 'apiKey', in: 'header', name: 'X-PAYMENT', description: 'Base64 JSON x402 payment payload' },
+  paymentProof: { type: 'apiKey', in: 'header', name: 'x-payment-proof', description: 'Signature (or 0x hash) of the transaction that paid the quote' },
+  paymentReceipt: { type: 'apiKey', in: 'header', name: 'x-payment-receipt', description: 'Receipt token from an earlier purchase of the same item' },
+  creditsApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'Prepaid credits account key' },
+  adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' }
+};
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Bad request',
+  401: 'Missing or invalid credentials',
+  402: 'Payment required',
+  404: 'Not found',
+  409: 'Conflict',
+  429: 'Too many requests',
+  500: 'Server error',
+  503: 'Unavailable'
+};
+
+// [{ method, path }] of every route registered on an Express app. Catch-all
+// app.all() routes are fallbacks (e.g. 405s) and left out.
+function listRoutes(app) {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => ({ method: method.toUpperCase(), path: layer.route.path })));
+}
+
+const routeKey = route => `${route.method} ${route.path}`;
+
+function undocumentedRoutes(routes) {
+  return routes.map(routeKey).filter(key => !ROUTE_DOCS[key]);
+}
+
+// /buy/:item -> /buy/{item}
+const openApiPath = path => path.replace(/:([A-Za-z_]+)/g, '{$1}');
+
+function describeResponse(description, content) {
+  if (!content) return { description, content: json({ type: 'object' }) };
+  if (typeof content === 'string') return { description, content: { [content]: { schema: { type: 'string' } } } };
+  return { description, content: json(content) };
+}
+
+function buildOperation(route, doc, inventory) {
+  const ids = Object.keys(inventory);
+  const pathParams = [...route.path.matchAll(/:([A-Za-z_]+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    description: PATH_PARAMS[name] || name,
+    schema: { type: 'string', ...(name === 'item' && { examples: ids.slice(0, 3) }) }
+  }));
+  const queryParams = Object.entries(doc.query || {}).map(([name, [type, description, required]]) => ({
+    name,
+    in: 'query',
+    ...(required && { required: true }),
+    description,
+    schema: { type }
+  }));
+
+  const responses = {
+    [doc.status || 200]: describeResponse('Success', doc.paid ? ref('Purchase') : doc.response)
+  };
+  if (doc.paid) {
+    responses[402] = {
+      description: 'Payment required, or the payment could not be verified',
+      headers: {
+        'PAYMENT-REQUIRED': { description: 'Base64 of the x402 body', schema: { type: 'string' } }
+      },
+      content: json(ref('PaymentRequired'))
+    };
+  }
+  for (const status of [...(doc.errors || []), ...(doc.auth ? [401] : [])]) {
+    if (!responses[status]) responses[status] = { description: ERROR_DESCRIPTIONS[status], content: json(ref('Error')) };
+  }
+
+  return {
+    operationId: route.method.toLowerCase() +
+      (route.path.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next || '').toUpperCase()) || 'Root'),
+    summary: doc.summary,
+    ...(doc.description && { description: doc.description }),
+    tags: [doc.tag],
+    ...(pathParams.length + queryParams.length > 0 && { parameters: [...pathParams, ...queryParams] }),
+    ...(doc.body && { requestBody: { required: true, content: json(doc.body) } }),
+    responses,
+    ...(doc.paid && {
+      security: PAYMENT_SECURITY,
+      // Current price of every item, in USDC
+      'x-prices': Object.fromEntries(ids.map(id => [id, inventory[id].price]))
+    }),
+    ...(doc.auth === 'credits' && { security: [{ creditsApiKey: [] }] }),
+    ...(doc.auth === 'admin' && { security: [{ adminToken: [] }] })
+  };
+}
+
+// OpenAPI 3.1 document for routes ([{ method, path }])
+function buildOpenApi({ routes, inventory, baseUrl, version }) {
+  const paths = {};
+  for (const route of routes) {
+    const doc = ROUTE_DOCS[routeKey(route)] || { tag: 'Other', summary: `${route.method} ${route.path}` };
+    const path = openApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route, doc, inventory) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title: SERVICE_NAME, version, description: SERVICE_SUMMARY },
+    servers: [{ url: baseUrl }],
+    tags: [...new Set(Object.values(paths).flatMap(operations =>
+      Object.values(operations).flatMap(operation => operation.tags)))].map(name => ({ name })),
+    paths,
+    components: { schemas: SCHEMAS, securitySchemes: SECURITY_SCHEMES }
+  };
+}
+
+// Start of a document as plain text, cut at a word
+function teaser(document) {
+  const text = plainText(document.content || '');
+  const limit = Math.min(TEASER_CHARS, Math.floor(text.length / 4));
+  if (text.length <= limit) return text;
+  return `${text.slice(0, limit).replace(/\s+\S*$/, '')}…`;
+}
+
+// Items grouped by category, bundles last
+function byCategory(inventory) {
+  const groups = new Map();
+  for (const [id, item] of Object.entries(inventory)) {
+    const category = item.items ? 'bundle' : item.category;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push({ id, ...item });
+  }
+  return [...groups.entries()].sort(([a], [b]) => (a === 'bundle') - (b === 'bundle'));
+}
+
+const categoryTitle = category => (category === 'bundle' ? 'Bundles' : `Docs: ${category}`);
+
+function describeItemLine(item, baseUrl) {
+  const parts = [`${item.price} USDC`];
+  if (item.items) {
+    parts.push(`includes ${item.items.join(', ')}`);
+  } else {
+    const sections = getSections(item);
+    parts.push(`version ${item.version}`, `${sections.length} section${sections.length === 1 ? '' : 's'} sold separately`);
+  }
+  return `- [${item.name}](${baseUrl}/buy/${item.id}): ${parts.join(', ')}`;
+}
+
+function llmsHeader(baseUrl) {
+  return `# ${SERVICE_NAME}
+
+> ${SERVICE_SUMMARY}
+
+To buy: GET ${baseUrl}/buy/{item} (or /buy/{item}/sections/{id,...}). The 402 response carries x402 payment requirements and a quote; pay the quote's exact amount with its memo, then repeat the request with the transaction signature in x-payment-proof (or an X-PAYMENT header). Keep the receipt to download it again. Payment options: ${baseUrl}/.well-known/x402. MCP hosts can use ${baseUrl}/mcp instead.`;
+}
+
+function buildLlmsTxt({ inventory, baseUrl }) {
+  const categories = byCategory(inventory).map(([category, items]) =>
+    `## ${categoryTitle(category)}\n\n${items.map(item => describeItemLine(item, baseUrl)).join('\n')}`);
+
+  return `${llmsHeader(baseUrl)}
+
+## API
+
+- [OpenAPI](${baseUrl}/openapi.json): every route, including the 402 payment schemas
+- [Search](${baseUrl}/search?q=): free search returning items, teasers and prices
+- [Catalog](${baseUrl}/catalog/json): items, versions, prices, freshness and sections
+- [Payment options](${baseUrl}/.well-known/x402): accepted networks and assets
+- [Full listing](${baseUrl}/llms-full.txt): every item with its sections and a teaser
+
+${categories.join('\n\n')}
+
+## Optional
+
+- [Upstream changes](${baseUrl}/changes): latest upstream release of each item
+- [Update feed](${baseUrl}/feed.json): releases as they are detected (also ${baseUrl}/feed.xml)
+- [Payment help](${baseUrl}/payment-info): payment steps and prices
+`;
+}
+
+function buildLlmsFullTxt({ inventory, baseUrl, routes }) {
+  const items = byCategory(inventory).map(([category, entries]) => {
+    const blocks = entries.map(item => {
+      const lines = [`### ${item.name} (${item.id})`, ''];
+      lines.push(`${item.price} USDC · ${item.items ? 'bundle' : `version ${item.version}`}${item.docs && item.docs !== '/catalog' ? ` · upstream docs ${item.docs}` : ''}`);
+      lines.push(`Buy: ${baseUrl}/buy/${item.id}`);
+      if (item.items) {
+        lines.push(`Includes: ${item.items.join(', ')}`);
+      } else {
+        lines.push('', `> ${teaser(item)}`, '', 'Sections:');
+        for (const section of getSections(item)) {
+          lines.push(`- ${section.title} (${section.id}): ${section.tokens} tokens, ${section.price} USDC - ${baseUrl}/buy/${item.id}/sections/${section.id}`);
+        }
+      }
+      return lines.join('\n');
+    });
+    return `## ${categoryTitle(category)}\n\n${blocks.join('\n\n')}`;
+  });
+
+  const endpoints = routes.map(route => {
+    const doc = ROUTE_DOCS[routeKey(route)];
+    return `- ${route.method} ${route.path}${doc ? `: ${doc.summary}` : ''}`;
+  });
+
+  return `${llmsHeader(baseUrl)}
+
+Teasers only - the documentation itself is sold at the links below.
+
+${items.join('\n\n')}
+
+## Endpoints
+
+Full schemas: ${baseUrl}/openapi.json
+
+${endpoints.join('\n')}
+`;
+}
+
+// /.well-known/x402. paymentOptions are the server's accepted payments:
+// [{ id, network, currency, name, asset, decimals, pay_to }]
+function buildX402Discovery({ inventory, baseUrl, paymentOptions, x402Version }) {
+  return {
+    x402Version,
+    service: SERVICE_NAME,
+    description: SERVICE_SUMMARY,
+    openapi: `${baseUrl}/openapi.json`,
+    accepts: paymentOptions.map(option => ({
+      scheme: 'exact',
+      network: option.network,
+      asset: option.asset,
+      payTo: option.pay_to,
+      extra: { id: option.id, name: option.currency, decimals: option.decimals }
+    })),
+    payment_flow: {
+      quote: 'Request a resource without payment to get a 402 with its accepts and a quote (extra.quoteId, extra.memo, extra.expiresAt)',
+      memo_required: 'The payment must include the quote memo and the exact quoted amount, before the quote expires',
+      retry_headers: ['X-PAYMENT', 'x-payment-proof', 'x-payment-transaction'],
+      receipts: 'Successful purchases return X-Payment-Receipt; send it as x-payment-receipt to download again',
+      credits: 'Alternatively pay from a prepaid balance with x-api-key (POST /credits/accounts)'
+    },
+    resources: Object.entries(inventory).map(([id, item]) => ({
+      resource: `${baseUrl}/buy/${id}`,
+      method: 'GET',
+      description: item.items ? `${item.name} (${item.items.length} items)` : `${item.name} ${item.version} documentation`,
+      mimeType: 'application/json',
+      price: { amount: item.price, currency: 'USDC' },
+      ...(!item.items && { sections: `${baseUrl}/buy/${id}/sections` })
+    }))
+  };
+}
+
+module.exports = {
+  ROUTE_DOCS,
+  listRoutes,
+  undocumentedRoutes,
+  buildOpenApi,
+  buildLlmsTxt,
+  buildLlmsFullTxt,
+  buildX402Discovery
+};
@@ -0,0 +1,115 @@
+// ============================================
+// RELEASE FEEDS
+// ============================================
+// /feed.xml (Atom) and /feed.json (JSON Feed 1.1): the releases watchtower
+// detected, newest first, from the version_db.json history. Entries
+// migrated from the old database have no detection time and are left out.
+
+const DEFAULT_LIMIT = 50;
+const FEED_TITLE = 'ContextNow - Documentation Updates';
+
+// [{ item, name, category, repo, tag, version, previous, detected_at,
+//    release_url, notes_excerpt, bump }], newest first
+function collectFeedEntries(db, registry, { category = null, limit = DEFAULT_LIMIT } = {}) {
+  const entries = [];
+  for (const source of registry.sources()) {
+    if (category && source.category !== category) continue;
+    const history = db.repos[source.repo]?.history || [];
+    history.forEach((entry, index) => {
+      if (!entry.detected_at) return;
+      entries.push({
+        ...entry,
+        item: source.id,
+        name: source.name,
+        category: source.category,
+        repo: source.repo,
+        previous: index > 0 ? history[index - 1].version : null
+      });
+    });
+  }
+  return entries
+    .sort((a, b) => b.detected_at.localeCompare(a.detected_at))
+    .slice(0, limit);
+}
+
+// What the feeds say about one entry
+function describeEntry(entry, baseUrl) {
+  return {
+    id: `urn:contextnow:release:${encodeURIComponent(entry.repo)}:${encodeURIComponent(entry.tag)}`,
+    url: `${baseUrl}/changes/${entry.item}${entry.previous ? `?since=${encodeURIComponent(entry.previous)}` : ''}`,
+    title: `${entry.name} ${entry.tag}${entry.bump && entry.bump !== 'initial' ? ` (${entry.bump})` : ''}`,
+    summary: entry.notes_excerpt || `New ${entry.name} release: ${entry.tag}`
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildAtomFeed(entries, { baseUrl, selfUrl }) {
+  const updated = entries[0]?.detected_at || new Date().toISOString();
+  const items = entries.map(entry => {
+    const { id, url, title, summary } = describeEntry(entry, baseUrl);
+    return `  <entry>
+    <id>${escapeXml(id)}</id>
+    <title>${escapeXml(title)}</title>
+    <link href="${escapeXml(url)}"/>${entry.release_url ? `
+    <link rel="related" href="${escapeXml(entry.release_url)}"/>` : ''}
+    <updated>${entry.detected_at}</updated>
+    <category term="${escapeXml(entry.category)}"/>
+    <summary>${escapeXml(summary)}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${baseUrl}/feed.xml`)}</id>
+  <title>${FEED_TITLE}</title>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link href="${escapeXml(`${baseUrl}/catalog`)}"/>
+  <updated>${updated}</updated>
+  <author><name>ContextNow</name></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+function buildJsonFeed(entries, { baseUrl, selfUrl }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    home_page_url: `${baseUrl}/catalog`,
+    feed_url: selfUrl,
+    items: entries.map(entry => {
+      const { id, url, title, summary } = describeEntry(entry, baseUrl);
+      return {
+        id,
+        url,
+        ...(entry.release_url && { external_url: entry.release_url }),
+        title,
+        content_text: summary,
+        date_published: entry.detected_at,
+        tags: [entry.category, ...(entry.bump ? [entry.bump] : [])],
+        // JSON Feed extensions start with an underscore
+        _contextnow: {
+          item: entry.item,
+          repo: entry.repo,
+          tag: entry.tag,
+          version: entry.version,
+          previous: entry.previous,
+          bump: entry.bump
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  collectFeedEntries,
+  buildAtomFeed,
+  buildJsonFeed
+};
@@ -0,0 +1,75 @@
+const { parseSemver, compareSemver } = require('./release-tags');
+
+// ============================================
+// DOCUMENT FRESHNESS
+// ============================================
+// How a content version compares with the newest upstream release watchtower
+// has recorded in version_db.json:
+//
+//   {
+//     status,      'fresh', 'stale' (upstream has a newer release than this
+//                  content) or 'unknown' (nothing recorded for the repo)
+//     stale,       true / false, null when unknown
+//     upstream:    { tag, version, released_at, detected_at } | null
+//     content:     { version, regenerated_at }
+//   }
+//
+// Bundles get { status, stale, stale_items } - as fresh as their stalest item.
+
+// Whether upstreamVersion is newer than contentVersion. Versions that aren't
+// semver only count as current when they're the same version.
+function isBehind(contentVersion, upstreamVersion) {
+  if (contentVersion.replace(/^v/, '') === upstreamVersion.replace(/^v/, '')) return false;
+  const content = parseSemver(contentVersion);
+  const upstream = parseSemver(upstreamVersion);
+  if (content && upstream) return compareSemver(upstream, content) > 0;
+  return true;
+}
+
+// document is a content store document, record its repo's version_db entry
+function describeFreshness(document, record) {
+  const content = {
+    version: document.version,
+    // Ingested content records when it was built; hand-written content has
+    // its file time
+    regenerated_at: document.source?.ingested_at || document.updated_at || null
+  };
+
+  const latest = record?.history[record.history.length - 1];
+  if (!latest) {
+    return { status: 'unknown', stale: null, upstream: null, content };
+  }
+
+  // A placeholder isn't a release - anything upstream recorded is newer
+  const stale = Boolean(document.placeholder) || isBehind(document.version, latest.version);
+  return {
+    status: stale ? 'stale' : 'fresh',
+    stale,
+    upstream: {
+      tag: latest.tag,
+      version: latest.version,
+      released_at: latest.published_at || null,
+      detected_at: latest.detected_at
+    },
+    content
+  };
+}
+
+// members maps item id -> that item's freshness
+function describeBundleFreshness(members) {
+  const entries = Object.entries(members);
+  const staleItems = entries.filter(([, freshness]) => freshness.stale).map(([id]) => id);
+  const unknown = entries.some(([, freshness]) => freshness.status === 'unknown');
+  const status = staleItems.length > 0 ? 'stale' : unknown ? 'unknown' : 'fresh';
+  return {
+    status,
+    stale: status === 'unknown' ? null : status === 'stale',
+    stale_items: staleItems
+  };
+}
+
+module.exports = {
+  isBehind,
+  describeFreshness,
+  describeBundleFreshness
+};
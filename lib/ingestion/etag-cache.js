@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// ETAG CACHE
+// ============================================
+// GitHub list responses by URL ({ [url]: { etag, data } }) for the GitHub
+// fetcher's cache option, so unchanged lists come back 304 and cost no
+// quota. It's runtime data - it lives in data/, not in the committed
+// version_db.json (the scheduled workflow keeps it between runs with
+// actions/cache). A missing or unreadable file is an empty cache.
+
+const DEFAULT_PATH = process.env.GITHUB_CACHE_PATH || path.join(__dirname, '..', '..', 'data', 'github-etags.json');
+
+function loadEtagCache(filePath = DEFAULT_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Write then rename, like version_db.json
+function saveEtagCache(cache, filePath = DEFAULT_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(temp, JSON.stringify(cache));
+  fs.renameSync(temp, filePath);
+}
+
+module.exports = {
+  loadEtagCache,
+  saveEtagCache
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// FIXTURE FETCHER
+// ============================================
+// Same interface as the GitHub fetcher, reading fixture repositories from
+// disk so the ingestion pipeline can run offline:
+//
+//   <root>/<owner>/<repo>/releases.json        [{ tag, prerelease?, draft? }], newest first
+//   <root>/<owner>/<repo>/tags.json            [{ tag }], newest first
+//   <root>/<owner>/<repo>/<tag>/release.json   { name, body, url, published_at }
+//   <root>/<owner>/<repo>/<tag>/files/...      the repository tree at that tag
+//
+// Tags are URL-encoded in directory names (@scope/pkg@1.0.0 ->
+// %40scope%2Fpkg%401.0.0). test/fixtures/github is a small example tree,
+// which test/watchtower.test.js runs the CLI against.
+
+const PAGE_SIZE = 100;
+
+function createFixtureFetcher(root) {
+  const repoDir = repo => path.join(root, ...repo.split('/'));
+  const tagDir = (repo, tag) => path.join(repoDir(repo), encodeURIComponent(tag));
+
+  // Resolve a repo path inside the fixture, refusing to escape it
+  function filesPath(repo, tag, relative) {
+    const base = path.join(tagDir(repo, tag), 'files');
+    const resolved = path.resolve(base, relative || '.');
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+      throw new Error(`Path escapes fixture: ${relative}`);
+    }
+    return resolved;
+  }
+
+  // One page of a list file, paged like the GitHub API
+  function listPage(repo, name, page) {
+    const file = path.join(repoDir(repo), name);
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf-8')).slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  }
+
+  return {
+    async listReleases(repo, page = 1) {
+      return listPage(repo, 'releases.json', page).map(release => ({
+        tag: release.tag,
+        prerelease: Boolean(release.prerelease),
+        draft: Boolean(release.draft)
+      }));
+    },
+
+    async listTags(repo, page = 1) {
+      return listPage(repo, 'tags.json', page).map(tag => ({ tag: tag.tag }));
+    },
+
+    async getRelease(repo, tag) {
+      const file = path.join(tagDir(repo, tag), 'release.json');
+      if (!fs.existsSync(file)) return null;
+      const release = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return {
+        tag,
+        name: release.name || tag,
+        body: release.body || '',
+        url: release.url || null,
+        published_at: release.published_at || null
+      };
+    },
+
+    async listFiles(repo, tag, dir) {
+      const full = filesPath(repo, tag, dir);
+      if (!fs.existsSync(full) || !fs.statSync(full).isDirectory()) return [];
+      return fs.readdirSync(full, { withFileTypes: true }).map(entry => ({
+        path: path.posix.join(dir, entry.name),
+        type: entry.isDirectory() ? 'dir' : 'file'
+      }));
+    },
+
+    async getFile(repo, tag, filePath) {
+      const full = filesPath(repo, tag, filePath);
+      if (!fs.existsSync(full) || !fs.statSync(full).isFile()) return null;
+      return fs.readFileSync(full, 'utf-8');
+    }
+  };
+}
+
+module.exports = { createFixtureFetcher };
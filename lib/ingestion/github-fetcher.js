@@ -0,0 +1,180 @@
+const axios = require('axios');
+
+// ============================================
+// GITHUB FETCHER
+// ============================================
+// Reads releases, tags and files at a tag from the GitHub REST API. A
+// fetcher must implement:
+//
+//   listReleases(repo, page)    -> Promise<[{ tag, prerelease, draft }]>  (newest first, [] past the end)
+//   listTags(repo, page)        -> Promise<[{ tag }]>
+//   getRelease(repo, tag)       -> Promise<{ tag, name, body, url, published_at } | null>
+//   listFiles(repo, tag, dir)   -> Promise<[{ path, type: 'file' | 'dir' }]>  ([] if missing)
+//   getFile(repo, tag, path)    -> Promise<string | null>
+//
+// and may implement stats() -> { requests, notModified, retries, rateLimit }.
+// See fixture-fetcher.js for the offline implementation.
+//
+// Options:
+//   token        GitHub token (5,000 requests/hour instead of 60)
+//   cache        object to keep list ETags in ({ [url]: { etag, data } }) -
+//                unchanged lists come back 304, which costs no quota
+//   maxRetries   retries of a rate-limited request (default 3)
+//   maxWaitMs    longest wait for a rate limit to reset before giving up
+//                (default 60s)
+
+const API_URL = 'https://api.github.com';
+const PAGE_SIZE = 100;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_MAX_WAIT_MS = 60000;
+const BASE_BACKOFF_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createGithubFetcher(options = {}) {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'Context-Service-MVP',
+    ...(options.token && { 'Authorization': `Bearer ${options.token}` })
+  };
+  const cache = options.cache || null;
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const maxWaitMs = options.maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+  const stats = { requests: 0, notModified: 0, retries: 0, rateLimit: null };
+
+  // Quota left, from the headers of the latest response
+  function recordRateLimit(response) {
+    const remaining = response.headers['x-ratelimit-remaining'];
+    if (remaining === undefined) return;
+    stats.rateLimit = {
+      limit: Number(response.headers['x-ratelimit-limit']),
+      remaining: Number(remaining),
+      used: Number(response.headers['x-ratelimit-used']),
+      reset: new Date(Number(response.headers['x-ratelimit-reset']) * 1000).toISOString()
+    };
+  }
+
+  // How long to wait before retrying a rate-limited response, or null if
+  // the response wasn't rate limiting (a plain 403 means no access)
+  function retryDelay(response, attempt) {
+    if (response.status !== 403 && response.status !== 429) return null;
+    const { headers } = response;
+    if (headers['retry-after']) {
+      return Number(headers['retry-after']) * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+    }
+    if (response.status === 429 || /rate limit/i.test(response.data?.message || '')) {
+      return BASE_BACKOFF_MS * 2 ** attempt;
+    }
+    return null;
+  }
+
+  async function get(url, config = {}) {
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      try {
+        const response = await axios.get(url, {
+          timeout: 20000,
+          ...config,
+          headers: { ...headers, ...config.headers }
+        });
+        recordRateLimit(response);
+        return response;
+      } catch (error) {
+        const { response } = error;
+        if (!response) throw error;
+        recordRateLimit(response);
+        if (response.status === 404) return null;
+
+        const delay = retryDelay(response, attempt);
+        if (delay === null || attempt >= maxRetries) throw error;
+        if (delay > maxWaitMs) {
+          throw new Error(`GitHub rate limit exceeded (resets at ${stats.rateLimit?.reset || 'unknown'})`);
+        }
+        stats.retries++;
+        await sleep(delay);
+      }
+    }
+  }
+
+  // A list endpoint, revalidated with If-None-Match when it's cached
+  async function getList(url, map) {
+    const cached = cache?.[url];
+    const response = await get(url, {
+      headers: cached ? { 'If-None-Match': cached.etag } : {},
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    if (!response) {
+      if (cached) delete cache[url];
+      return [];
+    }
+    if (response.status === 304 && cached) {
+      stats.notModified++;
+      return cached.data;
+    }
+
+    const data = response.data.map(map);
+    if (cache && response.headers.etag) {
+      cache[url] = { etag: response.headers.etag, data };
+    }
+    return data;
+  }
+
+  const contentsUrl = (repo, tag, filePath) =>
+    `${options.apiUrl || API_URL}/repos/${repo}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(tag)}`;
+
+  const pageUrl = (repo, list, page) =>
+    `${options.apiUrl || API_URL}/repos/${repo}/${list}?per_page=${PAGE_SIZE}&page=${page}`;
+
+  return {
+    listReleases(repo, page = 1) {
+      return getList(pageUrl(repo, 'releases', page), release => ({
+        tag: release.tag_name,
+        prerelease: release.prerelease,
+        draft: release.draft
+      }));
+    },
+
+    listTags(repo, page = 1) {
+      return getList(pageUrl(repo, 'tags', page), tag => ({ tag: tag.name }));
+    },
+
+    async getRelease(repo, tag) {
+      const response = await get(`${options.apiUrl || API_URL}/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+      if (!response) return null;
+      return {
+        tag: response.data.tag_name,
+        name: response.data.name,
+        body: response.data.body || '',
+        url: response.data.html_url,
+        published_at: response.data.published_at
+      };
+    },
+
+    async listFiles(repo, tag, dir) {
+      const response = await get(contentsUrl(repo, tag, dir));
+      if (!response || !Array.isArray(response.data)) return [];
+      return response.data.map(entry => ({
+        path: entry.path,
+        type: entry.type === 'dir' ? 'dir' : 'file'
+      }));
+    },
+
+    async getFile(repo, tag, filePath) {
+      const response = await get(contentsUrl(repo, tag, filePath), {
+        headers: { 'Accept': 'application/vnd.github.raw' },
+        responseType: 'text',
+        transformResponse: data => data
+      });
+      return response ? response.data : null;
+    },
+
+    stats() {
+      return { ...stats };
+    }
+  };
+}
+
+module.exports = { createGithubFetcher };
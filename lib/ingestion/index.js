@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadRegistry } = require('../registry');
+const { normalizeMarkdown, demoteHeadings, chunkMarkdown } = require('./markdown');
+const { createGithubFetcher } = require('./github-fetcher');
+const { createFixtureFetcher } = require('./fixture-fetcher');
+const { loadEtagCache, saveEtagCache } = require('./etag-cache');
+
+// ============================================
+// DOCUMENTATION INGESTION PIPELINE
+// ============================================
+// When watchtower sees a new tag, ingest() builds a new content version for
+// the registry item with that repo:
+//
+//   1. fetch the release notes, README and top-level docs/ markdown at the tag
+//   2. normalize them to markdown and nest each source under its own heading
+//   3. chunk the result at headings (the chunk list goes in the front matter)
+//   4. write content/<item>/<version>.md (name, price, etc. stay in the registry)
+//
+// The server's content store picks the new file up on its own.
+
+const README_NAMES = ['README.md', 'readme.md', 'Readme.md', 'README.mdx', 'README'];
+const DOCS_DIRS = ['docs', 'doc', 'documentation'];
+const DOC_EXTENSIONS = ['.md', '.mdx', '.markdown'];
+const DEFAULT_MAX_DOC_FILES = 20;
+const DEFAULT_MAX_SOURCE_CHARS = 60000;
+
+// Content version for a release tag: monorepo package prefixes are dropped
+// (wagmi@3.7.6 -> 3.7.6, langchain-core==1.6.0 -> 1.6.0) and anything a file
+// name can't hold becomes '-'
+function versionFromTag(tag) {
+  return tag
+    .replace(/^.*(@|==)/, '')
+    .replace(/[^0-9A-Za-z.\-_]/g, '-')
+    .replace(/^[^0-9A-Za-z]+/, '');
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)}\n\n*[truncated]*` : text;
+}
+
+function createIngestionPipeline(options = {}) {
+  const fetcher = options.fetcher || createGithubFetcher();
+  const registry = options.registry || loadRegistry();
+  const contentDir = options.contentDir ||
+                     process.env.CONTENT_DIR ||
+                     path.join(__dirname, '..', '..', 'content');
+  const maxDocFiles = options.maxDocFiles || DEFAULT_MAX_DOC_FILES;
+  const maxSourceChars = options.maxSourceChars || DEFAULT_MAX_SOURCE_CHARS;
+  const maxChunkChars = options.maxChunkChars;
+
+  // [{ title, path, markdown }] for every source found at the tag
+  // (path is the repo file, null for the release notes)
+  async function fetchSources(repo, tag) {
+    const sources = [];
+
+    const release = await fetcher.getRelease(repo, tag);
+    if (release && release.body.trim()) {
+      sources.push({ title: 'Release notes', path: null, markdown: release.body });
+    }
+
+    for (const name of README_NAMES) {
+      const readme = await fetcher.getFile(repo, tag, name);
+      if (readme) {
+        sources.push({ title: 'README', path: name, markdown: readme });
+        break;
+      }
+    }
+
+    for (const dir of DOCS_DIRS) {
+      const files = (await fetcher.listFiles(repo, tag, dir))
+        .filter(entry => entry.type === 'file' && DOC_EXTENSIONS.includes(path.extname(entry.path).toLowerCase()))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .slice(0, maxDocFiles);
+      if (files.length === 0) continue;
+
+      for (const file of files) {
+        const markdown = await fetcher.getFile(repo, tag, file.path);
+        if (markdown) {
+          sources.push({ title: file.path, path: file.path, markdown });
+        }
+      }
+      break;
+    }
+
+    return { release, sources };
+  }
+
+  return {
+    contentDir,
+
+    // Resolves { status, item?, version, file?, chunks? } where status is
+    // 'written', 'exists' (already ingested), 'no_item' (no item for repo)
+    // or 'empty' (nothing to ingest at the tag)
+    async ingest({ repo, tag, force = false }) {
+      const version = versionFromTag(tag);
+      const id = registry.getItemForRepo(repo);
+      if (!id) {
+        return { status: 'no_item', version };
+      }
+      const item = { id, ...registry.getItem(id) };
+
+      const file = path.join(contentDir, item.id, `${version}.md`);
+      if (fs.existsSync(file) && !force) {
+        return { status: 'exists', item: item.id, version, file };
+      }
+
+      const { release, sources } = await fetchSources(repo, tag);
+      if (sources.length === 0) {
+        return { status: 'empty', item: item.id, version };
+      }
+
+      const body = [
+        `# ${item.name} ${version}`,
+        ...sources.map(source =>
+          `## ${source.title}\n\n${demoteHeadings(truncate(normalizeMarkdown(source.markdown), maxSourceChars), 2)}`)
+      ].join('\n\n');
+      const chunks = chunkMarkdown(body, { maxChars: maxChunkChars });
+
+      const meta = {
+        source: {
+          tag,
+          release_url: release?.url || null,
+          published_at: release?.published_at || null,
+          files: sources.map(source => source.path).filter(Boolean),
+          ingested_at: new Date().toISOString()
+        },
+        chunks: chunks.map(chunk => ({ id: chunk.id, title: chunk.title }))
+      };
+
+      // Write then rename, so the content store never reads a partial file
+      const temp = path.join(contentDir, item.id, `.${version}.md.tmp`);
+      const document = `---\n${yaml.dump(meta, { lineWidth: -1 })}---\n${chunks.map(chunk => chunk.content).join('\n\n')}\n`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temp, document);
+      await fs.promises.rename(temp, file);
+
+      return { status: 'written', item: item.id, version, file, chunks: chunks.length };
+    }
+  };
+}
+
+// Fetcher selected by WATCHTOWER_FIXTURES: a fixture directory for offline
+// runs, otherwise GitHub (GITHUB_API_URL, authenticated with GITHUB_TOKEN
+// when set). options go to the GitHub fetcher.
+function createDefaultFetcher(env = process.env, options = {}) {
+  return env.WATCHTOWER_FIXTURES
+    ? createFixtureFetcher(env.WATCHTOWER_FIXTURES)
+    : createGithubFetcher({ apiUrl: env.GITHUB_API_URL, token: env.GITHUB_TOKEN, ...options });
+}
+
+module.exports = {
+  versionFromTag,
+  createIngestionPipeline,
+  createDefaultFetcher,
+  createGithubFetcher,
+  createFixtureFetcher,
+  loadEtagCache,
+  saveEtagCache
+};
@@ -0,0 +1,118 @@
+// ============================================
+// MARKDOWN NORMALIZATION & CHUNKING
+// ============================================
+
+const DEFAULT_MAX_CHUNK_CHARS = 4000;
+
+// Turn README / docs / release-note markdown (or MDX) into plain markdown:
+// no front matter, HTML comments, MDX imports/exports or runs of blank lines
+function normalizeMarkdown(source) {
+  let text = source.replace(/\r\n?/g, '\n');
+  text = text.replace(/^---\n[\s\S]*?\n---\n/, '');
+  text = text.replace(/<!--[\s\S]*?-->/g, '');
+
+  // MDX import/export statements, outside code fences
+  let inFence = false;
+  text = text.split('\n').filter(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    return inFence || !/^(import|export)\s/.test(line);
+  }).join('\n');
+
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Push every heading down `levels` levels (max h6), so a source can be
+// nested under a heading of our own
+function demoteHeadings(markdown, levels = 1) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) return line;
+    return line.replace(/^(#{1,6})(\s)/, (match, hashes, space) =>
+      '#'.repeat(Math.min(6, hashes.length + levels)) + space);
+  }).join('\n');
+}
+
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[`*_[\]()]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+}
+
+// Split markdown into sections at h1-h3 headings (never inside code fences).
+// Headings with nothing under them stay with the next section.
+function splitSections(markdown) {
+  const sections = [];
+  let current = { title: null, lines: [], hasBody: false };
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^#{1,3}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (current.hasBody) {
+        sections.push(current);
+        current = { title: null, lines: [], hasBody: false };
+      }
+      current.title = heading[1];
+    } else if (line.trim()) {
+      current.hasBody = true;
+    }
+    current.lines.push(line);
+  }
+  if (current.hasBody) sections.push(current);
+
+  return sections.map(section => ({
+    title: section.title || 'Introduction',
+    content: section.lines.join('\n').trim()
+  }));
+}
+
+// Break text longer than maxChars at paragraph boundaries
+function splitLong(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const parts = [];
+  let current = '';
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Chunks of at most maxChars (a single oversized paragraph is kept whole),
+// each starting at a heading where possible.
+// Returns [{ id, title, content }] with ids unique within the document.
+function chunkMarkdown(markdown, { maxChars = DEFAULT_MAX_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  const seen = new Map();
+
+  for (const section of splitSections(markdown)) {
+    const parts = splitLong(section.content, maxChars);
+    parts.forEach((content, index) => {
+      const base = slugify(section.title) + (parts.length > 1 ? `-${index + 1}` : '');
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      chunks.push({
+        id: count ? `${base}-${count + 1}` : base,
+        title: section.title,
+        content
+      });
+    });
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  normalizeMarkdown,
+  demoteHeadings,
+  chunkMarkdown,
+  slugify
+};
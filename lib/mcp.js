@@ -0,0 +1,387 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// ============================================
+// MCP SERVER
+// ============================================
+// ContextNow as Model Context Protocol tools, for agents on MCP hosts:
+//
+//   search_docs    free search (GET /search)
+//   list_catalog   items, versions and prices (GET /catalog/json)
+//   get_price      an item's price and its sections' prices
+//   buy_doc        purchase (GET /buy/...) - the same x402 flow as HTTP
+//
+// Tools call the ContextNow HTTP API through a backend, so purchases go
+// through the server's own INVENTORY, quotes and payment verification. A
+// purchase without payment is a tool error carrying the 402 body (payment
+// requirements and quote); the agent pays and calls buy_doc again with
+// payment_proof, x_payment, payment_transaction, receipt or api_key.
+//
+// Transports: newline-delimited JSON-RPC on stdin/stdout (serveStdio, see
+// mcp.js) and streamable HTTP, POST /mcp in server.js (createMcpHandler).
+// Only tools are implemented, and the HTTP transport is stateless - every
+// response is a single JSON body, never an SSE stream.
+
+const PROTOCOL_VERSION = '2025-06-18';
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'contextnow', title: 'ContextNow', version: require('../package.json').version };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const TOOLS = [
+  {
+    name: 'search_docs',
+    title: 'Search documentation',
+    description: 'Free search across the ContextNow catalog. Returns ranked items with a short teaser, the best matching section and prices - never the paid text.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What you need to know, e.g. "verify stripe webhook signatures"' },
+        category: { type: 'string', description: 'Only items in this category' },
+        limit: { type: 'integer', minimum: 1, maximum: 25, description: 'Results to return (default 10)' },
+        mode: { type: 'string', enum: ['hybrid', 'keyword', 'semantic'], description: 'Ranking (default hybrid)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'list_catalog',
+    title: 'List catalog',
+    description: 'Every documentation item and bundle with its category, current version, price in USDC and freshness against upstream releases.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', description: 'Only items in this category' }
+      }
+    }
+  },
+  {
+    name: 'get_price',
+    title: 'Get price',
+    description: 'Price of an item in USDC, with its sections (token counts and prices) for buying part of a document, or its members for a bundle.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Item id, optionally with @version' }
+      },
+      required: ['item']
+    }
+  },
+  {
+    name: 'buy_doc',
+    title: 'Buy documentation',
+    description: 'Purchase an item (or some of its sections) and return the documentation. Without payment this fails with the x402 payment requirements and a quote: pay the quote, then call again with the proof. A receipt from an earlier purchase downloads it again for free.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Item id, optionally with @version' },
+        sections: { type: 'array', items: { type: 'string' }, description: 'Section ids to buy instead of the whole document (see get_price)' },
+        payment_proof: { type: 'string', description: 'Signature (or 0x hash) of the transaction that paid the quote' },
+        payment_network: { type: 'string', description: 'x402 network of payment_proof, when it cannot be inferred' },
+        x_payment: { type: 'string', description: 'Standard x402 X-PAYMENT header value' },
+        payment_transaction: { type: 'string', description: 'Signed, unsent Solana transaction (base64) for the server to broadcast' },
+        receipt: { type: 'string', description: 'Receipt token from a previous purchase of the same item or sections' },
+        api_key: { type: 'string', description: 'Prepaid credits API key - pays from the account balance' }
+      },
+      required: ['item']
+    }
+  }
+];
+
+// Backend calling a ContextNow server at baseUrl. get(path, { query,
+// headers }) resolves { status, headers, data } for any HTTP status.
+function createHttpBackend(baseUrl) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/$/, ''),
+    validateStatus: () => true,
+    timeout: 60000
+  });
+
+  return {
+    baseUrl,
+    async get(path, { query, headers } = {}) {
+      const response = await client.get(path, { params: query, headers });
+      return { status: response.status, headers: response.headers, data: response.data };
+    }
+  };
+}
+
+// Thrown by a tool for bad arguments - becomes a JSON-RPC error
+function invalidParams(message) {
+  return Object.assign(new Error(message), { rpcCode: INVALID_PARAMS });
+}
+
+function requireString(args, name) {
+  if (typeof args[name] !== 'string' || !args[name].trim()) {
+    throw invalidParams(`${name} is required`);
+  }
+  return args[name].trim();
+}
+
+// Tool results: text for every client, structuredContent for those that read it
+function toolResult(data, text = JSON.stringify(data, null, 2)) {
+  return { content: [{ type: 'text', text }], structuredContent: data };
+}
+
+function toolError(message, data) {
+  return {
+    content: [{ type: 'text', text: data ? `${message}\n\n${JSON.stringify(data, null, 2)}` : message }],
+    ...(data && { structuredContent: data }),
+    isError: true
+  };
+}
+
+// Non-2xx API response as a tool error
+function apiError(response) {
+  const data = typeof response.data === 'object' ? response.data : { message: String(response.data) };
+  return toolError(data.message || data.error || `Request failed with status ${response.status}`, {
+    status: response.status,
+    ...data
+  });
+}
+
+function itemPath(item) {
+  if (!/^[a-z0-9][a-z0-9-]*(@[0-9A-Za-z][0-9A-Za-z.\-_]*)?$/.test(item)) {
+    throw invalidParams(`Invalid item '${item}'`);
+  }
+  return `/buy/${item}`;
+}
+
+// Payment arguments of buy_doc -> request headers of the HTTP flow
+const PAYMENT_HEADERS = {
+  payment_proof: 'x-payment-proof',
+  payment_network: 'x-payment-network',
+  x_payment: 'x-payment',
+  payment_transaction: 'x-payment-transaction',
+  receipt: 'x-payment-receipt',
+  api_key: 'x-api-key'
+};
+
+const tools = {
+  async search_docs(backend, args, context) {
+    const response = await backend.get('/search', {
+      query: {
+        q: requireString(args, 'query'),
+        ...(args.category && { category: args.category }),
+        ...(args.limit && { limit: args.limit }),
+        ...(args.mode && { mode: args.mode })
+      },
+      headers: context.headers
+    });
+    if (response.status !== 200) return apiError(response);
+    return toolResult(response.data);
+  },
+
+  async list_catalog(backend, args, context) {
+    const response = await backend.get('/catalog/json', { headers: context.headers });
+    if (response.status !== 200) return apiError(response);
+
+    // Sections are left to get_price, to keep the listing short
+    const items = Object.entries(response.data.categories)
+      .filter(([category]) => !args.category || category === args.category)
+      .flatMap(([category, entries]) => entries.map(item => ({ ...item, category })))
+      .map(item => ({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        version: item.version,
+        price: item.price,
+        currency: item.currency,
+        freshness: item.freshness?.status,
+        ...(item.items ? { items: item.items } : { sections: item.sections?.length || 0 })
+      }));
+    return toolResult({ total_items: items.length, items });
+  },
+
+  async get_price(backend, args, context) {
+    const item = requireString(args, 'item');
+    const response = await backend.get(`${itemPath(item)}/sections`, { headers: context.headers });
+    if (response.status === 200) return toolResult(response.data);
+
+    // Bundles have no sections - their price and members are in the catalog
+    if (response.status === 400) {
+      const catalog = await backend.get('/catalog/json', { headers: context.headers });
+      const id = item.split('@')[0];
+      const bundle = catalog.status === 200 &&
+        Object.values(catalog.data.categories).flat().find(entry => entry.id === id);
+      if (bundle) {
+        return toolResult({
+          item: id,
+          version: bundle.version,
+          price: bundle.price,
+          currency: bundle.currency,
+          items: bundle.items
+        });
+      }
+    }
+    return apiError(response);
+  },
+
+  async buy_doc(backend, args, context) {
+    let path = itemPath(requireString(args, 'item'));
+    if (args.sections !== undefined) {
+      if (!Array.isArray(args.sections) || args.sections.length === 0 ||
+          !args.sections.every(id => typeof id === 'string' && /^[a-z0-9-]+$/.test(id))) {
+        throw invalidParams('sections must be a non-empty array of section ids');
+      }
+      path += `/sections/${args.sections.join(',')}`;
+    }
+
+    const headers = { ...context.headers };
+    for (const [arg, header] of Object.entries(PAYMENT_HEADERS)) {
+      if (typeof args[arg] === 'string' && args[arg]) headers[header] = args[arg];
+    }
+
+    const response = await backend.get(path, { headers });
+    if (response.status === 402) {
+      const body = response.data;
+      return toolError(
+        body.reason
+          ? `Payment required: ${body.reason}`
+          : `Payment required: ${body.pricing?.amount ?? ''} USDC. Pay the quote, then call buy_doc again with payment_proof (or x_payment, payment_transaction, receipt or api_key).`,
+        { status: 402, ...body }
+      );
+    }
+    if (response.status !== 200) return apiError(response);
+
+    // The documentation itself is the text; everything else is structured
+    const { content, ...purchase } = response.data;
+    return {
+      content: [{ type: 'text', text: content }],
+      structuredContent: {
+        ...purchase,
+        ...(response.headers['x-payment-response'] && { payment_response: response.headers['x-payment-response'] })
+      }
+    };
+  }
+};
+
+function createMcpServer({ backend }) {
+  function rpcResult(id, result) {
+    return { jsonrpc: '2.0', id, result };
+  }
+
+  function rpcError(id, code, message) {
+    return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+  }
+
+  async function callTool(params, context) {
+    const tool = tools[params?.name];
+    if (!tool) {
+      throw invalidParams(`Unknown tool: ${params?.name}`);
+    }
+    try {
+      return await tool(backend, params.arguments || {}, context);
+    } catch (error) {
+      if (error.rpcCode) throw error;
+      console.error(`[mcp] ${params.name} failed:`, error.message);
+      return toolError(`ContextNow request failed: ${error.message}`);
+    }
+  }
+
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSION,
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+        instructions: 'Search or list the catalog for free, check a price, then buy_doc. buy_doc without payment returns the x402 payment requirements and a quote as a tool error; pay it and retry with the proof.'
+      };
+    },
+    ping: () => ({}),
+    'tools/list': () => ({ tools: TOOLS }),
+    'tools/call': callTool
+  };
+
+  return {
+    // Handle one JSON-RPC message. Resolves the response, or null for a
+    // notification or a client response. context.headers are passed to
+    // every API request.
+    async handle(message, context = {}) {
+      if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+        return rpcError(message?.id, INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+      }
+      if (!message.method) return null;
+      const isNotification = message.id === undefined;
+
+      const method = methods[message.method];
+      if (!method) {
+        return isNotification ? null : rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+      try {
+        const result = await method(message.params, { headers: {}, ...context });
+        return isNotification ? null : rpcResult(message.id, result);
+      } catch (error) {
+        if (isNotification) return null;
+        return rpcError(message.id, error.rpcCode || -32603, error.message);
+      }
+    }
+  };
+}
+
+// Serve newline-delimited JSON-RPC on stdin/stdout. Resolves when stdin ends.
+// Nothing else may write to stdout - log to stderr.
+function serveStdio(server, { input = process.stdin, output = process.stdout } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    const task = server.handle(message)
+      .then(response => response && send(response))
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  return new Promise(resolve => {
+    lines.on('close', () => Promise.allSettled([...pending]).then(() => resolve()));
+  });
+}
+
+// Express handler for the streamable HTTP transport. POST a JSON-RPC
+// message, get its response as JSON (202 for notifications). forwardHeaders
+// picks request headers to pass on to the API, e.g. the Host the client used.
+function createMcpHandler(server, { forwardHeaders = () => ({}) } = {}) {
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json(
+        { jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Use POST - this server does not open SSE streams' } });
+    }
+    if (!req.is('application/json') || Array.isArray(req.body) || typeof req.body !== 'object') {
+      return res.status(400).json(
+        { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Body must be a single JSON-RPC message (application/json)' } });
+    }
+
+    const response = await server.handle(req.body, { headers: forwardHeaders(req) });
+    if (!response) return res.status(202).end();
+    if (req.body.method === 'initialize' && response.result) {
+      // Stateless, but clients may expect a session id
+      res.setHeader('Mcp-Session-Id', crypto.randomUUID());
+    }
+    res.json(response);
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  TOOLS,
+  createHttpBackend,
+  createMcpServer,
+  serveStdio,
+  createMcpHandler
+};
@@ -0,0 +1,186 @@
+const axios = require('axios');
+
+// ============================================
+// EVM ERC-20 PAYMENT ADAPTER
+// ============================================
+// Verifies an ERC-20 `transfer` to payTo by reading the token's Transfer
+// event log from the transaction receipt over plain JSON-RPC, so any
+// endpoint (including a local mock) works.
+//
+// EVM transfers have no memo instruction. The payer appends the UTF-8 quote
+// memo to the `transfer(address,uint256)` calldata; ERC-20 contracts ignore
+// trailing calldata, and we read it back from the transaction input.
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+// bytes4(keccak256('transfer(address,uint256)'))
+const TRANSFER_SELECTOR = '0xa9059cbb';
+// selector + two 32-byte arguments, in hex characters (with 0x)
+const TRANSFER_CALLDATA_LENGTH = 2 + 8 + 64 * 2;
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+function padAddress(address) {
+  return '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+function topicToAddress(topic) {
+  return '0x' + topic.slice(-40);
+}
+
+// Trailing calldata after transfer(address,uint256), decoded as UTF-8
+function decodeCalldataMemo(input) {
+  if (!input || !input.toLowerCase().startsWith(TRANSFER_SELECTOR)) return null;
+  const trailing = input.slice(TRANSFER_CALLDATA_LENGTH);
+  if (!trailing) return null;
+  return Buffer.from(trailing, 'hex').toString('utf-8').replace(/\0+$/, '');
+}
+
+function createEvmErc20Adapter(options) {
+  const {
+    id,
+    symbol,
+    name,
+    decimals,
+    network,
+    rpcUrl,
+    payTo,
+    minConfirmations = 1
+  } = options;
+  const tokenAddress = options.tokenAddress.toLowerCase();
+  const explorerUrl = options.explorerUrl || (hash => `https://basescan.org/tx/${hash}`);
+
+  let requestId = 0;
+  async function rpc(method, params) {
+    const response = await axios.post(rpcUrl, {
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method,
+      params
+    }, { timeout: 15000 });
+
+    if (response.data.error) {
+      throw new Error(`${method}: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+
+  function notFound(hash) {
+    return {
+      error: {
+        valid: false,
+        code: 'TX_NOT_FOUND',
+        error: `Transaction not found on ${network}`,
+        message: 'The transaction hash was not found. It may still be pending or the hash may be incorrect.',
+        action: 'Wait for the transaction to be mined, then retry. If the issue persists, verify the transaction hash is correct.',
+        explorer_url: explorerUrl(hash)
+      }
+    };
+  }
+
+  return {
+    id,
+    symbol,
+    name: name || symbol,
+    decimals,
+    network,
+    asset: options.tokenAddress,
+    explorerUrl,
+
+    async describe() {
+      return {
+        payTo: payTo || 'Not configured',
+        extra: {
+          name: symbol,
+          decimals,
+          memo_encoding: 'Append the UTF-8 memo bytes to the transfer(address,uint256) calldata'
+        }
+      };
+    },
+
+    // Returns { error } or { transaction: { hash, receipt, tx, block } }
+    async fetchTransaction(hash) {
+      if (!TX_HASH_PATTERN.test(hash || '')) {
+        return notFound(hash);
+      }
+
+      const [receipt, tx] = await Promise.all([
+        rpc('eth_getTransactionReceipt', [hash]),
+        rpc('eth_getTransactionByHash', [hash])
+      ]);
+      if (!receipt || !tx) {
+        return notFound(hash);
+      }
+
+      if (receipt.status !== '0x1') {
+        return {
+          error: {
+            valid: false,
+            code: 'TX_FAILED',
+            error: 'Transaction reverted',
+            message: 'The transaction was mined but reverted.',
+            action: 'Check the transaction on the block explorer and send a new payment.',
+            explorer_url: explorerUrl(hash)
+          }
+        };
+      }
+
+      const latest = parseInt(await rpc('eth_blockNumber', []), 16);
+      const confirmations = latest - parseInt(receipt.blockNumber, 16) + 1;
+      if (confirmations < minConfirmations) {
+        return {
+          error: {
+            valid: false,
+            code: 'TX_NOT_CONFIRMED',
+            error: `Transaction has ${confirmations} of ${minConfirmations} required confirmations`,
+            message: 'The transaction was mined but does not have enough confirmations yet.',
+            action: 'Wait a few blocks, then retry.',
+            explorer_url: explorerUrl(hash)
+          }
+        };
+      }
+
+      const block = await rpc('eth_getBlockByNumber', [receipt.blockNumber, false]);
+      return { transaction: { hash, receipt, tx, block } };
+    },
+
+    // Returns { error } or { payment: { amount, payer, memos, paidAt } }
+    async extractPayment({ hash, receipt, tx, block }) {
+      if (!payTo) {
+        throw new Error(`No pay-to address configured for ${id}`);
+      }
+
+      const log = receipt.logs.find(entry =>
+        entry.address.toLowerCase() === tokenAddress &&
+        entry.topics[0] === TRANSFER_TOPIC &&
+        entry.topics[2]?.toLowerCase() === padAddress(payTo)
+      );
+
+      if (!log) {
+        return {
+          error: {
+            valid: false,
+            code: 'WRONG_RECIPIENT',
+            error: 'Payment sent to wrong address',
+            message: `No ${symbol} transfer to our address was found in this transaction.`,
+            action: `Send ${symbol} on ${network} to the correct address`,
+            correct_address: payTo,
+            explorer_url: explorerUrl(hash)
+          }
+        };
+      }
+
+      const memo = tx.to?.toLowerCase() === tokenAddress ? decodeCalldataMemo(tx.input) : null;
+      return {
+        payment: {
+          amount: Number(BigInt(log.data)),
+          payer: topicToAddress(log.topics[1]),
+          memos: memo ? [memo] : [],
+          paidAt: block ? parseInt(block.timestamp, 16) * 1000 : Date.now()
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createEvmErc20Adapter };
@@ -0,0 +1,184 @@
+const { Connection } = require('@solana/web3.js');
+const { createSolanaSplAdapter } = require('./solana-spl');
+const { createEvmErc20Adapter } = require('./evm-erc20');
+
+// ============================================
+// PAYMENT ADAPTERS
+// ============================================
+// A payment adapter verifies payments of one asset on one chain. Adapters on
+// the same x402 network share the transaction fetch; each one then looks
+// for a transfer of its own asset. Every adapter must implement:
+//
+//   id, network, symbol, name, decimals, asset, explorerUrl(txId)
+//   describe()                          -> Promise<{ payTo, extra }>
+//   fetchTransaction(txId)              -> Promise<{ error } | { transaction }>
+//   extractPayment(transaction, txId)   -> Promise<{ error } | { payment }>
+//
+// where payment is { amount (base units), payer, memos, paidAt (ms), accountKeys? }.
+// Adapters that accept pre-signed transactions also implement
+// decodeSignedTransaction, extractSignedPayment, broadcast and waitForConfirmation.
+//
+// Errors are the same { valid: false, code, error, message, action } objects
+// verifyUSDCPayment returns.
+
+// Solana clusters, selected with SOLANA_NETWORK
+const SOLANA_NETWORKS = {
+  mainnet: {
+    x402Network: 'solana',
+    label: 'Solana (Mainnet)',
+    shortLabel: 'Mainnet',
+    rpcUrl: 'https://api.mainnet-beta.solana.com',
+    explorerCluster: null,
+    getUsdc: 'Swap SOL for USDC on Jupiter (https://jup.ag), Raydium, or buy on an exchange'
+  },
+  devnet: {
+    x402Network: 'solana-devnet',
+    label: 'Solana (Devnet)',
+    shortLabel: 'Devnet',
+    rpcUrl: 'https://api.devnet.solana.com',
+    explorerCluster: 'devnet',
+    getUsdc: 'Request devnet USDC from the Circle faucet (https://faucet.circle.com)'
+  },
+  // A local solana-test-validator. There is no canonical USDC mint, so
+  // USDC_MINT must name the mint you created.
+  localnet: {
+    x402Network: 'solana-localnet',
+    label: 'Solana (Localnet)',
+    shortLabel: 'Localnet',
+    rpcUrl: 'http://127.0.0.1:8899',
+    explorerCluster: 'custom',
+    getUsdc: 'Mint test tokens of USDC_MINT with `spl-token mint`'
+  }
+};
+
+// Known assets, enabled by id through PAYMENT_ADAPTERS.
+// Solana assets list their mint per cluster.
+const ADAPTER_DEFINITIONS = {
+  'solana-usdc': {
+    type: 'solana-spl',
+    symbol: 'USDC',
+    name: 'USD Coin',
+    mints: {
+      mainnet: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      devnet: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+    },
+    decimals: 6
+  },
+  'solana-usdt': {
+    type: 'solana-spl',
+    symbol: 'USDT',
+    name: 'Tether USD',
+    mints: {
+      mainnet: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+    },
+    decimals: 6
+  },
+  'solana-pyusd': {
+    type: 'solana-spl',
+    symbol: 'PYUSD',
+    name: 'PayPal USD',
+    mints: {
+      mainnet: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo',
+      devnet: 'CXk2AMBfi3TwaEL2468s6zP8xq9NxTXjp9gjMgzeUynM'
+    },
+    decimals: 6,
+    tokenProgram: 'spl-token-2022'
+  },
+  'base-usdc': {
+    type: 'evm-erc20',
+    symbol: 'USDC',
+    name: 'USD Coin',
+    network: 'base',
+    tokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    decimals: 6
+  }
+};
+
+// The Solana cluster named by SOLANA_NETWORK (default mainnet), with its
+// RPC URL and Solscan links resolved
+function getSolanaNetwork(env = process.env) {
+  const id = (env.SOLANA_NETWORK || 'mainnet').trim().toLowerCase();
+  const network = SOLANA_NETWORKS[id];
+  if (!network) {
+    throw new Error(`Unknown SOLANA_NETWORK: ${id} (expected one of ${Object.keys(SOLANA_NETWORKS).join(', ')})`);
+  }
+
+  const rpcUrl = env.SOLANA_RPC_URL || network.rpcUrl;
+  const explorerQuery = network.explorerCluster === 'custom'
+    ? `?cluster=custom&customUrl=${encodeURIComponent(rpcUrl)}`
+    : network.explorerCluster ? `?cluster=${network.explorerCluster}` : '';
+
+  return {
+    id,
+    ...network,
+    rpcUrl,
+    explorerHome: `https://solscan.io/${explorerQuery}`,
+    explorerTxUrl: signature => `https://solscan.io/tx/${signature}${explorerQuery}`
+  };
+}
+
+// Mint of a Solana asset on the selected cluster. USDC_MINT overrides
+// the USDC mint, e.g. for a local validator.
+function resolveMint(id, definition, solanaNetwork, env) {
+  if (id === 'solana-usdc' && env.USDC_MINT) {
+    return env.USDC_MINT;
+  }
+  const mint = definition.mints[solanaNetwork.id];
+  if (!mint) {
+    throw new Error(
+      `Payment adapter ${id} has no mint on ${solanaNetwork.id}` +
+      (id === 'solana-usdc' ? ' - set USDC_MINT' : ' - remove it from PAYMENT_ADAPTERS')
+    );
+  }
+  return mint;
+}
+
+// Build the adapters listed in PAYMENT_ADAPTERS (comma separated ids).
+// Solana USDC is always first - it is the default for legacy clients.
+function createPaymentAdapters(options = {}) {
+  const env = options.env || process.env;
+  const solanaNetwork = options.solanaNetwork || getSolanaNetwork(env);
+  const requested = (env.PAYMENT_ADAPTERS || 'solana-usdc')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id && id !== 'solana-usdc');
+  const ids = ['solana-usdc', ...new Set(requested)];
+
+  const solanaConnection = options.solanaConnection ||
+    new Connection(solanaNetwork.rpcUrl, 'confirmed');
+
+  return ids.map(id => {
+    const definition = ADAPTER_DEFINITIONS[id];
+    if (!definition) {
+      throw new Error(`Unknown payment adapter in PAYMENT_ADAPTERS: ${id}`);
+    }
+
+    if (definition.type === 'solana-spl') {
+      const { mints, ...rest } = definition;
+      return createSolanaSplAdapter({
+        id,
+        ...rest,
+        mint: resolveMint(id, definition, solanaNetwork, env),
+        network: solanaNetwork.x402Network,
+        connection: solanaConnection,
+        walletAddress: env.SOLANA_WALLET_ADDRESS || '',
+        explorerUrl: solanaNetwork.explorerTxUrl
+      });
+    }
+
+    return createEvmErc20Adapter({
+      id,
+      ...definition,
+      rpcUrl: env.BASE_RPC_URL || 'https://mainnet.base.org',
+      payTo: env.EVM_WALLET_ADDRESS || '',
+      minConfirmations: parseInt(env.BASE_MIN_CONFIRMATIONS || '2', 10)
+    });
+  });
+}
+
+module.exports = {
+  SOLANA_NETWORKS,
+  ADAPTER_DEFINITIONS,
+  getSolanaNetwork,
+  createPaymentAdapters
+};
@@ -0,0 +1,345 @@
+const {
+  Connection,
+  PublicKey,
+  TransactionInstruction,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  decodeInstruction,
+  TokenInstruction,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+
+// ============================================
+// SOLANA SPL TOKEN PAYMENT ADAPTER
+// ============================================
+// One adapter per accepted SPL mint. Payments are SPL `transfer` or
+// `transferChecked` instructions into the associated token account of
+// walletAddress for that mint, with the quote memo in an SPL Memo instruction.
+
+// SPL Memo program (v2, and v1 which is still accepted on chain)
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const MEMO_V1_PROGRAM_ID = new PublicKey('Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo');
+
+const TOKEN_PROGRAMS = {
+  'spl-token': TOKEN_PROGRAM_ID,
+  'spl-token-2022': TOKEN_2022_PROGRAM_ID
+};
+
+function createSolanaSplAdapter(options) {
+  const {
+    id,
+    symbol,
+    name,
+    decimals,
+    network = 'solana',
+    walletAddress
+  } = options;
+  const mint = new PublicKey(options.mint);
+  const tokenProgram = options.tokenProgram || 'spl-token';
+  const tokenProgramId = TOKEN_PROGRAMS[tokenProgram];
+  const connection = options.connection || new Connection(options.rpcUrl, 'confirmed');
+  const explorerUrl = options.explorerUrl || (signature => `https://solscan.io/tx/${signature}`);
+
+  let tokenAccount = null;
+  async function getTokenAccount() {
+    if (!walletAddress) {
+      throw new Error('SOLANA_WALLET_ADDRESS not configured');
+    }
+    if (!tokenAccount) {
+      tokenAccount = await getAssociatedTokenAddress(mint, new PublicKey(walletAddress), false, tokenProgramId);
+    }
+    return tokenAccount;
+  }
+
+  function wrongRecipient(ourTokenAccountStr, signature) {
+    return {
+      valid: false,
+      code: 'WRONG_RECIPIENT',
+      error: 'Payment sent to wrong address',
+      message: `No ${symbol} transfer to our wallet was found in this transaction. You may have sent to the wrong address or sent SOL instead of ${symbol}.`,
+      action: `Send ${symbol} (not SOL) to the correct token account address`,
+      correct_address: ourTokenAccountStr,
+      solscan_url: explorerUrl(signature)
+    };
+  }
+
+  // Find the transfer of our mint into our token account.
+  // Returns { error } or { payment }
+  async function findPayment(transfers, memos, extra, signature) {
+    const ourTokenAccountStr = (await getTokenAccount()).toBase58();
+    const transfer = transfers.find(t =>
+      t.destination === ourTokenAccountStr &&
+      (t.type !== 'transferChecked' || t.mint === mint.toBase58())
+    );
+    if (!transfer) {
+      return { error: wrongRecipient(ourTokenAccountStr, signature) };
+    }
+    return {
+      payment: {
+        amount: parseInt(transfer.amount),
+        payer: transfer.authority || null,
+        memos,
+        ...extra
+      }
+    };
+  }
+
+  return {
+    id,
+    symbol,
+    name: name || symbol,
+    decimals,
+    network,
+    asset: mint.toBase58(),
+    connection,
+    explorerUrl,
+    getTokenAccount,
+
+    // payTo and `extra` for the x402 payment requirements
+    async describe() {
+      let ourTokenAccount = null;
+      try {
+        if (walletAddress) {
+          ourTokenAccount = (await getTokenAccount()).toBase58();
+        }
+      } catch (e) {
+        console.error(`Error getting ${symbol} token account:`, e.message);
+      }
+      return {
+        payTo: walletAddress || 'Not configured',
+        extra: { name: symbol, decimals, tokenAccount: ourTokenAccount }
+      };
+    },
+
+    // Returns { error } or { transaction }. Shared by every adapter on the network.
+    async fetchTransaction(signature) {
+      const transaction = await connection.getParsedTransaction(
+        signature,
+        { maxSupportedTransactionVersion: 0 }
+      );
+
+      if (!transaction) {
+        return {
+          error: {
+            valid: false,
+            code: 'TX_NOT_FOUND',
+            error: 'Transaction not found on Solana blockchain',
+            message: 'The transaction signature was not found. It may still be processing or the signature may be incorrect.',
+            action: 'Wait a few seconds for confirmation, then retry. If the issue persists, verify the transaction signature is correct.',
+            solscan_url: explorerUrl(signature)
+          }
+        };
+      }
+
+      // Check if transaction is confirmed
+      if (!transaction.meta || transaction.meta.err) {
+        return {
+          error: {
+            valid: false,
+            code: 'TX_FAILED',
+            error: 'Transaction failed or not confirmed',
+            message: 'The transaction exists but failed or has not been confirmed yet.',
+            action: 'Check the transaction on Solscan. If it failed, send a new payment.',
+            solscan_url: explorerUrl(signature)
+          }
+        };
+      }
+
+      return { transaction };
+    },
+
+    // Payment of this adapter's mint in a confirmed transaction.
+    // Returns { error } or { payment: { amount, payer, memos, paidAt, accountKeys } }
+    async extractPayment(transaction, signature) {
+      const message = transaction.transaction.message;
+      return findPayment(
+        getParsedTokenTransfers(message.instructions),
+        getParsedMemos(message.instructions),
+        {
+          paidAt: transaction.blockTime ? transaction.blockTime * 1000 : Date.now(),
+          accountKeys: message.accountKeys.map(key => key.pubkey.toBase58())
+        },
+        signature
+      );
+    },
+
+    // Decode a base64 signed-but-unsent transaction.
+    // Returns { error } or { transaction, signature }
+    decodeSignedTransaction(serializedTransaction) {
+      let transaction;
+      try {
+        transaction = VersionedTransaction.deserialize(Buffer.from(serializedTransaction, 'base64'));
+      } catch (e) {
+        return {
+          error: {
+            valid: false,
+            code: 'INVALID_TRANSACTION',
+            error: 'Could not decode transaction',
+            message: 'The payment transaction must be a base64-encoded, fully signed Solana transaction.',
+            action: 'Serialize the signed transaction (without sending it) and base64-encode it'
+          }
+        };
+      }
+
+      const signatureBytes = transaction.signatures[0];
+      if (!signatureBytes || signatureBytes.every(byte => byte === 0)) {
+        return {
+          error: {
+            valid: false,
+            code: 'TX_NOT_SIGNED',
+            error: 'Transaction is not signed',
+            message: 'The transaction has no fee payer signature.',
+            action: 'Sign the transaction with your wallet before sending it'
+          }
+        };
+      }
+
+      if (transaction.message.addressTableLookups?.length > 0) {
+        return {
+          error: {
+            valid: false,
+            code: 'INVALID_TRANSACTION',
+            error: 'Address lookup tables are not supported',
+            message: 'Pre-signed payment transactions must list all accounts statically.',
+            action: 'Build the transaction without address lookup tables'
+          }
+        };
+      }
+
+      return { transaction, signature: bs58.encode(signatureBytes) };
+    },
+
+    // Same as extractPayment, for a decoded transaction that is not on chain yet
+    async extractSignedPayment(transaction, signature) {
+      return findPayment(
+        getCompiledTokenTransfers(transaction),
+        getCompiledMemos(transaction),
+        {
+          paidAt: Date.now(),
+          accountKeys: transaction.message.staticAccountKeys.map(key => key.toBase58())
+        },
+        signature
+      );
+    },
+
+    async broadcast(transaction) {
+      return connection.sendRawTransaction(transaction.serialize(), {
+        preflightCommitment: 'confirmed'
+      });
+    },
+
+    // Resolves { confirmed: true } or { confirmed: false, err? }
+    async waitForConfirmation(signature, timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        try {
+          const { value } = await connection.getSignatureStatuses([signature]);
+          const status = value[0];
+          if (status?.err) {
+            return { confirmed: false, err: status.err };
+          }
+          if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+            return { confirmed: true };
+          }
+        } catch (error) {
+          console.error('Error polling signature status:', error.message);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      return { confirmed: false };
+    }
+  };
+}
+
+// Normalize SPL token transfers from a parsed (confirmed) transaction
+function getParsedTokenTransfers(instructions) {
+  const transfers = [];
+  for (const instruction of instructions) {
+    // Check if it's a parsed instruction (SPL Token or Token-2022)
+    if (instruction.parsed && TOKEN_PROGRAMS[instruction.program]) {
+      const { type, info } = instruction.parsed;
+
+      // Look for transfer or transferChecked instructions
+      if (type === 'transfer' || type === 'transferChecked') {
+        transfers.push({
+          type,
+          destination: info.destination,
+          mint: info.mint,
+          amount: info.amount || info.tokenAmount?.amount,
+          authority: info.authority || info.multisigAuthority || null
+        });
+      }
+    }
+  }
+  return transfers;
+}
+
+// Normalize SPL token transfers from a signed but not yet submitted transaction
+function getCompiledTokenTransfers(transaction) {
+  const message = transaction.message;
+  const accountKeys = message.staticAccountKeys;
+  const transfers = [];
+
+  for (const compiled of message.compiledInstructions) {
+    const programId = accountKeys[compiled.programIdIndex];
+    if (!programId || !Object.values(TOKEN_PROGRAMS).some(p => p.equals(programId))) continue;
+
+    const instruction = new TransactionInstruction({
+      programId,
+      keys: compiled.accountKeyIndexes.map(index => ({
+        pubkey: accountKeys[index],
+        isSigner: message.isAccountSigner(index),
+        isWritable: message.isAccountWritable(index)
+      })),
+      data: Buffer.from(compiled.data)
+    });
+
+    let decoded;
+    try {
+      decoded = decodeInstruction(instruction, programId);
+    } catch (e) {
+      continue; // Not an instruction we care about
+    }
+
+    const type = decoded.data.instruction === TokenInstruction.Transfer ? 'transfer'
+      : decoded.data.instruction === TokenInstruction.TransferChecked ? 'transferChecked'
+      : null;
+    if (!type) continue;
+
+    transfers.push({
+      type,
+      destination: decoded.keys.destination.pubkey.toBase58(),
+      mint: decoded.keys.mint ? decoded.keys.mint.pubkey.toBase58() : undefined,
+      amount: decoded.data.amount.toString(),
+      authority: decoded.keys.owner.pubkey.toBase58()
+    });
+  }
+  return transfers;
+}
+
+// Memo strings from a parsed (confirmed) transaction
+function getParsedMemos(instructions) {
+  return instructions
+    .filter(instruction => instruction.program === 'spl-memo' && typeof instruction.parsed === 'string')
+    .map(instruction => instruction.parsed);
+}
+
+// Memo strings from a signed but not yet submitted transaction
+function getCompiledMemos(transaction) {
+  const accountKeys = transaction.message.staticAccountKeys;
+  return transaction.message.compiledInstructions
+    .filter(compiled => {
+      const programId = accountKeys[compiled.programIdIndex];
+      return programId && (programId.equals(MEMO_PROGRAM_ID) || programId.equals(MEMO_V1_PROGRAM_ID));
+    })
+    .map(compiled => Buffer.from(compiled.data).toString('utf-8'));
+}
+
+module.exports = {
+  MEMO_PROGRAM_ID,
+  createSolanaSplAdapter
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+
+// ============================================
+// PAYMENT QUOTES
+// ============================================
+// A quote binds one purchase to an item, a price and an expiry. The payer
+// must include the quote's memo (an SPL Memo instruction) in the payment
+// transaction, which is how verification knows what the payment was for.
+// Each quote also has a unique Solana Pay `reference` public key, so mobile
+// wallet payments can be found with getSignaturesForAddress.
+//
+// A quote looks like:
+//   { id, item, version?, amount, account?, memo, reference, claim_token, status,
+//     signature, created_at, expires_at, paid_at }
+// where status is 'pending' or 'paid'. version is only set when a specific
+// version was requested, account only for credit top-ups. claim_token is
+// only given to the requester - the reference becomes public on chain once
+// the payment lands.
+//
+// Any store must implement:
+//   create({ item, amount, account? }) -> Promise<quote>
+//   get(id)                            -> Promise<quote | null>
+//   getByReference(reference)          -> Promise<quote | null>
+//   markPaid(id, signature)            -> Promise<boolean>  (atomic, false if already paid)
+//   prune()                            -> Promise<number>   (quotes deleted, see RETENTION_MS)
+
+const QUOTE_MEMO_PREFIX = 'contextnow:';
+
+// Quotes are kept this long after they expire so late-confirming payments
+// can still be verified (and rejected with a useful error)
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// The file store sweeps expired quotes on create, at most this often
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const QUOTE_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+function newQuote({ item, version, amount, account }, ttlSeconds) {
+  const id = crypto.randomBytes(12).toString('hex');
+  const now = Date.now();
+  return {
+    id,
+    item,
+    ...(version && { version }),
+    amount,
+    ...(account && { account }),
+    memo: `${QUOTE_MEMO_PREFIX}${id}`,
+    reference: Keypair.generate().publicKey.toBase58(),
+    claim_token: crypto.randomBytes(16).toString('hex'),
+    status: 'pending',
+    signature: null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlSeconds * 1000).toISOString()
+  };
+}
+
+// Quote ID named by a payment memo, or null if the memo isn't one of ours
+function parseQuoteMemo(memo) {
+  if (typeof memo !== 'string') return null;
+  const trimmed = memo.trim();
+  if (!trimmed.startsWith(QUOTE_MEMO_PREFIX)) return null;
+  const id = trimmed.slice(QUOTE_MEMO_PREFIX.length);
+  return QUOTE_ID_PATTERN.test(id) ? id : null;
+}
+
+function isQuoteExpired(quote, at = Date.now()) {
+  return at > Date.parse(quote.expires_at);
+}
+
+// In-memory store - only safe for a single process, lost on restart
+function createMemoryQuoteStore(options = {}) {
+  const ttlSeconds = options.ttlSeconds;
+  const quotes = new Map();
+  const byReference = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    let removed = 0;
+    for (const [id, quote] of quotes) {
+      if (Date.parse(quote.expires_at) < cutoff) {
+        quotes.delete(id);
+        byReference.delete(quote.reference);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    async prune() {
+      return prune();
+    },
+
+    async create(params) {
+      prune();
+      const quote = newQuote(params, ttlSeconds);
+      quotes.set(quote.id, quote);
+      byReference.set(quote.reference, quote.id);
+      return { ...quote };
+    },
+
+    async get(id) {
+      const quote = quotes.get(id);
+      return quote ? { ...quote } : null;
+    },
+
+    async getByReference(reference) {
+      const id = byReference.get(reference);
+      return id ? this.get(id) : null;
+    },
+
+    async markPaid(id, signature) {
+      const quote = quotes.get(id);
+      if (!quote || quote.status !== 'pending') {
+        return false;
+      }
+      quote.status = 'paid';
+      quote.signature = signature;
+      quote.paid_at = new Date().toISOString();
+      return true;
+    }
+  };
+}
+
+// File store - one JSON file per quote plus a reference index. Payment is
+// recorded in a separate <id>.paid file created with O_EXCL ('wx'), so
+// markPaid is atomic across processes.
+function createFileQuoteStore(directory, options = {}) {
+  const ttlSeconds = options.ttlSeconds;
+  const referenceDir = path.join(directory, 'references');
+  fs.mkdirSync(referenceDir, { recursive: true });
+
+  const quoteFile = (id) => path.join(directory, `${id}.json`);
+  const paidFile = (id) => path.join(directory, `${id}.paid`);
+
+  async function readJSON(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Delete quotes RETENTION_MS past expiry with their payment and reference
+  // files - the quote file last, so an interrupted sweep is picked up again
+  async function prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    let removed = 0;
+    for (const file of await fs.promises.readdir(directory)) {
+      const id = file.slice(0, -'.json'.length);
+      if (!file.endsWith('.json') || !QUOTE_ID_PATTERN.test(id)) continue;
+      try {
+        const quote = await readJSON(quoteFile(id));
+        if (!quote || !(Date.parse(quote.expires_at) < cutoff)) continue;
+        await fs.promises.rm(paidFile(id), { force: true });
+        await fs.promises.rm(path.join(referenceDir, quote.reference), { force: true });
+        await fs.promises.rm(quoteFile(id), { force: true });
+        removed++;
+      } catch (error) {
+        console.error(`[quotes] Could not prune quote ${id}:`, error.message);
+      }
+    }
+    return removed;
+  }
+
+  let lastPrune = 0;
+  function schedulePrune() {
+    if (Date.now() - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = Date.now();
+    prune().catch(error => console.error('[quotes] Pruning expired quotes failed:', error.message));
+  }
+
+  return {
+    prune,
+
+    async create(params) {
+      schedulePrune();
+      const quote = newQuote(params, ttlSeconds);
+      await fs.promises.writeFile(quoteFile(quote.id), JSON.stringify(quote, null, 2));
+      await fs.promises.writeFile(path.join(referenceDir, quote.reference), quote.id);
+      return quote;
+    },
+
+    async get(id) {
+      if (!QUOTE_ID_PATTERN.test(id || '')) return null;
+      const quote = await readJSON(quoteFile(id));
+      if (!quote) return null;
+      const paid = await readJSON(paidFile(id));
+      return paid ? { ...quote, status: 'paid', ...paid } : quote;
+    },
+
+    async getByReference(reference) {
+      if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(reference || '')) return null;
+      try {
+        const id = await fs.promises.readFile(path.join(referenceDir, reference), 'utf-8');
+        return this.get(id.trim());
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async markPaid(id, signature) {
+      if (!(await this.get(id))) return false;
+      const data = JSON.stringify({ signature, paid_at: new Date().toISOString() });
+      try {
+        await fs.promises.writeFile(paidFile(id), data, { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+// Build the store selected by QUOTE_STORE ('file' or 'memory')
+function createQuoteStore(options = {}) {
+  const type = options.type || process.env.QUOTE_STORE || 'file';
+  const ttlSeconds = parseInt(options.ttlSeconds || process.env.QUOTE_TTL_SECONDS || '900', 10);
+
+  if (type === 'memory') {
+    return createMemoryQuoteStore({ ttlSeconds });
+  }
+  if (type === 'file') {
+    const directory = options.directory ||
+                      process.env.QUOTE_STORE_DIR ||
+                      path.join(__dirname, '..', 'data', 'quotes');
+    return createFileQuoteStore(directory, { ttlSeconds });
+  }
+  throw new Error(`Unknown QUOTE_STORE type: ${type}`);
+}
+
+module.exports = {
+  QUOTE_MEMO_PREFIX,
+  RETENTION_MS,
+  parseQuoteMemo,
+  isQuoteExpired,
+  createQuoteStore,
+  createMemoryQuoteStore,
+  createFileQuoteStore
+};
@@ -0,0 +1,42 @@
+// ============================================
+// RATE LIMITING
+// ============================================
+// Fixed-window request counters per key (e.g. client IP), in memory.
+// take(key) counts one request against the key's current window.
+
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();  // key -> { start, count }
+  let lastSweep = Date.now();
+
+  // Forget keys whose window has ended, so the map doesn't grow
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, window] of windows) {
+      if (now - window.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    limit,
+
+    // Returns { ok: true } or { ok: false, retryAfterSeconds }
+    take(key) {
+      const now = Date.now();
+      sweep(now);
+
+      let window = windows.get(key);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+      }
+      if (window.count >= limit) {
+        return { ok: false, retryAfterSeconds: Math.ceil((window.start + windowMs - now) / 1000) };
+      }
+      window.count++;
+      return { ok: true };
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// PURCHASE RECEIPTS
+// ============================================
+// A receipt is an HS256 JWT bound to the purchased item and the transaction
+// signature that paid for it. Presenting it again within the TTL re-delivers
+// the content without a new payment.
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function createReceiptService(options = {}) {
+  let secret = options.secret || process.env.RECEIPT_SECRET;
+  const ttlSeconds = parseInt(options.ttlSeconds || process.env.RECEIPT_TTL_SECONDS || '86400', 10);
+  const logPath = options.logPath ||
+                  process.env.RECEIPT_LOG_PATH ||
+                  path.join(__dirname, '..', 'data', 'redeliveries.jsonl');
+
+  if (!secret) {
+    // Receipts still work, but will not survive a restart
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  RECEIPT_SECRET not set - using a random secret, receipts will be invalidated on restart');
+  }
+
+  function issue(item, transactionSignature) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      iss: 'contextnow',
+      sub: item,
+      sig: transactionSignature,
+      iat: now,
+      exp: now + ttlSeconds
+    }));
+    const token = `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+
+    return {
+      token,
+      expires_at: new Date((now + ttlSeconds) * 1000).toISOString()
+    };
+  }
+
+  // Returns { valid: true, claims } or { valid: false, code, error }
+  function verify(token, item) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return { valid: false, code: 'INVALID_RECEIPT', error: 'Malformed receipt token' };
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, code: 'INVALID_RECEIPT', error: 'Receipt signature does not match' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch (e) {
+      return { valid: false, code: 'INVALID_RECEIPT', error: 'Receipt payload is not valid JSON' };
+    }
+
+    if (claims.sub !== item) {
+      return { valid: false, code: 'RECEIPT_ITEM_MISMATCH', error: `Receipt was issued for '${claims.sub}', not '${item}'` };
+    }
+    if (claims.exp * 1000 < Date.now()) {
+      return { valid: false, code: 'RECEIPT_EXPIRED', error: 'Receipt has expired' };
+    }
+
+    return { valid: true, claims };
+  }
+
+  function logRedelivery(entry) {
+    const line = JSON.stringify({ ...entry, timestamp: new Date().toISOString() });
+    console.log('[receipt] Re-delivery:', line);
+    fs.promises.mkdir(path.dirname(logPath), { recursive: true })
+      .then(() => fs.promises.appendFile(logPath, line + '\n'))
+      .catch(error => console.error('Error writing re-delivery log:', error.message));
+  }
+
+  return { issue, verify, logRedelivery, ttlSeconds };
+}
+
+module.exports = { createReceiptService };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { createTagMatcher } = require('./release-tags');
+
+// ============================================
+// LIBRARY REGISTRY
+// ============================================
+// registry.json is the one list of what we sell and where it comes from.
+// Each item id maps to:
+//
+//   name, docs, category, price (USDC), icon
+//   repo         upstream GitHub repo watchtower monitors (not for bundles)
+//   tag_filter   which repo tags are releases of this item, for monorepos:
+//                { prefix?, pattern?, prereleases? } (see lib/release-tags.js)
+//   items        bundles only - member item ids
+//
+// server.js builds INVENTORY from it (content/ supplies each version's
+// markdown) and watchtower.js builds SOURCES from it.
+
+const REQUIRED_FIELDS = ['name', 'category', 'price'];
+
+const DEFAULT_PATH = process.env.REGISTRY_PATH || path.join(__dirname, '..', 'registry.json');
+
+function loadRegistry(filePath = DEFAULT_PATH) {
+  const { items } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return createRegistry(items);
+}
+
+// Registry over an items object (validated first)
+function createRegistry(items) {
+  validateRegistry(items);
+
+  const byRepo = new Map();
+  for (const [id, entry] of Object.entries(items)) {
+    if (entry.repo) byRepo.set(entry.repo, id);
+  }
+
+  return {
+    items,
+
+    getItem(id) {
+      return items[id] || null;
+    },
+
+    // Item id for an upstream repo, or null
+    getItemForRepo(repo) {
+      return byRepo.get(repo) || null;
+    },
+
+    // Everything watchtower monitors, one source per non-bundle item
+    sources() {
+      return Object.entries(items)
+        .filter(([, entry]) => entry.repo)
+        .map(([id, entry]) => ({
+          id,
+          name: entry.name,
+          repo: entry.repo,
+          docs: entry.docs,
+          category: entry.category,
+          tagFilter: entry.tag_filter || null
+        }));
+    }
+  };
+}
+
+// Write then rename, so readers never see a partial file
+function saveRegistry(registry, filePath = DEFAULT_PATH) {
+  const temp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(temp, `${JSON.stringify({ items: registry.items }, null, 2)}\n`);
+  fs.renameSync(temp, filePath);
+}
+
+// Every entry needs its fields, a source unless it is a bundle, and bundles
+// must list existing, non-bundle items. Throws listing every problem.
+function validateRegistry(items) {
+  const errors = [];
+  const repos = new Map();
+
+  for (const [id, entry] of Object.entries(items)) {
+    for (const field of REQUIRED_FIELDS) {
+      if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+        errors.push(`${id} is missing "${field}"`);
+      }
+    }
+    if (entry.price !== undefined && !(typeof entry.price === 'number' && entry.price > 0)) {
+      errors.push(`${id} price must be a positive number`);
+    }
+
+    if (entry.tag_filter) {
+      const { prefix, pattern, prereleases } = entry.tag_filter;
+      if (prefix !== undefined && (typeof prefix !== 'string' || !prefix)) {
+        errors.push(`${id} tag_filter.prefix must be a non-empty string`);
+      }
+      if (pattern !== undefined) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`${id} tag_filter.pattern is not a valid regex: ${error.message}`);
+        }
+      }
+      if (prereleases !== undefined && typeof prereleases !== 'boolean') {
+        errors.push(`${id} tag_filter.prereleases must be true or false`);
+      }
+    }
+
+    if (entry.category !== 'bundle') {
+      if (!entry.repo) {
+        errors.push(`${id} has no source repo`);
+      } else if (repos.has(entry.repo)) {
+        errors.push(`${id} and ${repos.get(entry.repo)} both use repo ${entry.repo}`);
+      } else {
+        repos.set(entry.repo, id);
+      }
+      continue;
+    }
+
+    if (!Array.isArray(entry.items) || entry.items.length === 0) {
+      errors.push(`${id} has no items`);
+      continue;
+    }
+    entry.items.forEach((member, index) => {
+      if (!items[member]) {
+        errors.push(`${id} references missing item "${member}"`);
+      } else if (items[member].items) {
+        errors.push(`${id} contains another bundle "${member}"`);
+      } else if (entry.items.indexOf(member) !== index) {
+        errors.push(`${id} lists "${member}" more than once`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid registry:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+// Registry entries and content directories must match one to one: content
+// for an unregistered item has no source, and a registered item without
+// content is a source with nothing to sell. Throws listing every mismatch.
+//
+// With documents (every version's document) and versionDb, also checks that
+// each version came from a release of its own item: a monorepo tag for
+// another package (@astrojs/react@6.0.4 under astro) fails the item's
+// tag_filter. The tag is the document's source.tag, else whatever tag
+// version_db recorded for that version.
+function checkConsistency(registry, contentIds, { documents = [], versionDb = null } = {}) {
+  const errors = [];
+  const content = new Set(contentIds);
+
+  for (const id of content) {
+    if (!registry.getItem(id)) {
+      errors.push(`content/${id} has no registry entry (no source)`);
+    }
+  }
+  for (const id of Object.keys(registry.items)) {
+    if (!content.has(id)) {
+      errors.push(`${id} is registered but has no content`);
+    }
+  }
+
+  const plain = version => version.replace(/^v/, '');
+  for (const document of documents) {
+    const entry = registry.getItem(document.id);
+    if (!entry?.repo) continue;
+
+    const tags = document.source?.tag
+      ? [document.source.tag]
+      : (versionDb?.repos[entry.repo]?.history || [])
+        .filter(record => record.version && plain(record.version) === plain(document.version))
+        .map(record => record.tag);
+    // Prereleases are still this item's releases, just not picked as latest
+    const match = createTagMatcher({ ...entry.tag_filter, prereleases: true });
+    if (tags.length > 0 && !tags.some(tag => match(tag))) {
+      errors.push(`content/${document.id}/${document.version}.md is versioned from ` +
+        `${tags.map(tag => `'${tag}'`).join(', ')}, which is not a release of ${document.id}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Registry and content are out of sync:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+module.exports = {
+  REGISTRY_PATH: DEFAULT_PATH,
+  loadRegistry,
+  createRegistry,
+  saveRegistry,
+  validateRegistry,
+  checkConsistency
+};
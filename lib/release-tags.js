@@ -0,0 +1,120 @@
+// ============================================
+// RELEASE TAG MATCHING
+// ============================================
+// Picks a source's newest release from its repo's tags. Monorepos tag every
+// package (@astrojs/react@6.0.4, langchain-core==1.6.0, ...), so each
+// source can narrow the tags with a registry tag_filter:
+//
+//   prefix       only tags starting with this, e.g. "astro@"
+//   pattern      regex the rest of the tag must match; the `version` named
+//                group (or the first group) is the version
+//   prereleases  true to accept prereleases (default false)
+//
+// What's left must be a semantic version (an optional leading "v" is fine),
+// and the highest version wins - not the most recently published.
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const DEFAULT_MAX_PAGES = 5;
+
+// { major, minor, patch, prerelease: [] } or null
+function parseSemver(version) {
+  const match = SEMVER_PATTERN.exec(version);
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+// Semver precedence: a prerelease sorts before its release
+function compareSemver(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    if (numeric) return Number(x) - Number(y);
+    if (/^\d+$/.test(x)) return -1;
+    if (/^\d+$/.test(y)) return 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+// How far `next` moved from `previous`: 'major', 'minor', 'patch' or
+// 'prerelease', or null if it didn't move forward
+function semverBump(previous, next) {
+  if (compareSemver(next, previous) <= 0) return null;
+  if (next.major !== previous.major) return 'major';
+  if (next.minor !== previous.minor) return 'minor';
+  if (next.patch !== previous.patch) return 'patch';
+  return 'prerelease';
+}
+
+// Returns match(tag, { prerelease }) -> parsed version, or null if the tag
+// isn't a release of this source. prerelease is GitHub's release flag.
+function createTagMatcher(filter) {
+  const { prefix, prereleases = false } = filter || {};
+  const pattern = filter?.pattern ? new RegExp(filter.pattern) : null;
+
+  return function match(tag, { prerelease = false } = {}) {
+    let rest = tag;
+    if (prefix) {
+      if (!tag.startsWith(prefix)) return null;
+      rest = tag.slice(prefix.length);
+    }
+    if (pattern) {
+      const found = rest.match(pattern);
+      if (!found) return null;
+      rest = found.groups?.version ?? found[1] ?? found[0];
+    }
+
+    const version = parseSemver(rest);
+    if (!version) return null;
+    if ((prerelease || version.prerelease.length > 0) && !prereleases) return null;
+    return version;
+  };
+}
+
+// Newest matching tag across pages of listPage(page) -> [{ tag, prerelease?, draft? }]
+// (newest first, as GitHub returns them). Stops at the first page with a
+// match, an empty page, or maxPages. Resolves the tag string or null.
+async function findLatestTag(listPage, filter, { maxPages = DEFAULT_MAX_PAGES } = {}) {
+  const match = createTagMatcher(filter);
+  let best = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const entries = await listPage(page);
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      if (entry.draft) continue;
+      const version = match(entry.tag, { prerelease: entry.prerelease });
+      if (version && (!best || compareSemver(version, best.version) > 0)) {
+        best = { tag: entry.tag, version };
+      }
+    }
+    if (best) break;
+  }
+
+  return best ? best.tag : null;
+}
+
+module.exports = {
+  parseSemver,
+  compareSemver,
+  semverBump,
+  createTagMatcher,
+  findLatestTag
+};
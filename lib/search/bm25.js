@@ -0,0 +1,84 @@
+// ============================================
+// BM25 INDEX
+// ============================================
+// Okapi BM25 over small in-memory documents. Each document is
+// { id, fields: { name: text, ... } }; field weights repeat a field's terms,
+// so a match in an item's name counts for more than one in its body.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that',
+  'the', 'this', 'to', 'use', 'using', 'was', 'what', 'when', 'with', 'you'
+]);
+
+// Lowercase word tokens without stopwords. Identifiers stay whole
+// (useState, create_client) and are also split at dots (prisma.user.create).
+function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text).toLowerCase().match(/[a-z0-9_$][a-z0-9_$.]*/g) || []) {
+    const trimmed = word.replace(/\.+$/, '');
+    const parts = trimmed.includes('.') ? [trimmed, ...trimmed.split('.')] : [trimmed];
+    for (const part of parts) {
+      if (part.length > 1 && !STOPWORDS.has(part)) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+// weights: { field: repeat count }, default 1 per field
+function createBm25Index(documents, weights = {}) {
+  const postings = new Map();   // term -> Map(doc index -> term frequency)
+  const lengths = [];
+
+  documents.forEach((document, index) => {
+    let length = 0;
+    for (const [field, text] of Object.entries(document.fields)) {
+      const weight = weights[field] ?? 1;
+      for (const term of tokenize(text)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const counts = postings.get(term);
+        counts.set(index, (counts.get(index) || 0) + weight);
+        length += weight;
+      }
+    }
+    lengths.push(length);
+  });
+
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+  return {
+    size: documents.length,
+
+    // [{ document, score, terms }] best first; terms are the query terms
+    // the document matched
+    search(query, { limit = 10, filter = () => true } = {}) {
+      const scores = new Map();
+      for (const term of new Set(tokenize(query))) {
+        const counts = postings.get(term);
+        if (!counts) continue;
+        const idf = Math.log(1 + (documents.length - counts.size + 0.5) / (counts.size + 0.5));
+        for (const [index, frequency] of counts) {
+          const norm = frequency + K1 * (1 - B + B * lengths[index] / averageLength);
+          const entry = scores.get(index) || { score: 0, terms: [] };
+          entry.score += idf * frequency * (K1 + 1) / norm;
+          entry.terms.push(term);
+          scores.set(index, entry);
+        }
+      }
+
+      return [...scores.entries()]
+        .map(([index, { score, terms }]) => ({ document: documents[index], score, terms }))
+        .filter(result => filter(result.document))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  tokenize,
+  createBm25Index
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// EMBEDDING INDEX
+// ============================================
+// Semantic matches from a local sentence-embedding model, run in-process by
+// @xenova/transformers (not a dependency - `npm install @xenova/transformers`
+// to use it; the model downloads on first use). Vectors are cached on disk
+// by text hash, so a restart only embeds text that changed.
+//
+// Options:
+//   model       default Xenova/all-MiniLM-L6-v2
+//   cachePath   default data/search-embeddings.json
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const BATCH_SIZE = 16;
+
+const hashText = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Vectors are normalized, so the dot product is the cosine similarity
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function createEmbeddingIndex(options = {}) {
+  const model = options.model || DEFAULT_MODEL;
+  const cachePath = options.cachePath || path.join(__dirname, '..', '..', 'data', 'search-embeddings.json');
+
+  let extractor = null;
+  let entries = [];    // [{ document, vector }]
+  let cache = null;    // text hash -> vector
+
+  async function getExtractor() {
+    if (!extractor) {
+      let transformers;
+      try {
+        transformers = await import('@xenova/transformers');
+      } catch (error) {
+        throw new Error('Semantic search needs @xenova/transformers (npm install @xenova/transformers)');
+      }
+      extractor = await transformers.pipeline('feature-extraction', model);
+    }
+    return extractor;
+  }
+
+  async function embed(texts) {
+    const run = await getExtractor();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const output = await run(texts.slice(i, i + BATCH_SIZE), { pooling: 'mean', normalize: true });
+      vectors.push(...output.tolist());
+    }
+    return vectors;
+  }
+
+  function loadCache() {
+    if (cache) return cache;
+    cache = new Map();
+    if (fs.existsSync(cachePath)) {
+      const stored = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (stored.model === model) {
+        cache = new Map(Object.entries(stored.vectors));
+      }
+    }
+    return cache;
+  }
+
+  async function saveCache(hashes) {
+    // Only keep vectors for the current documents
+    const vectors = {};
+    for (const hash of hashes) vectors[hash] = cache.get(hash);
+    await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.promises.writeFile(cachePath, JSON.stringify({ model, vectors }));
+  }
+
+  return {
+    model,
+
+    // Embed documents ([{ id, text, ... }]), replacing the index
+    async build(documents) {
+      loadCache();
+      const hashes = documents.map(document => hashText(document.text));
+      const missing = [...new Set(hashes.filter(hash => !cache.has(hash)))];
+      if (missing.length > 0) {
+        const texts = missing.map(hash => documents[hashes.indexOf(hash)].text);
+        const vectors = await embed(texts);
+        missing.forEach((hash, index) => {
+          cache.set(hash, vectors[index].map(value => Math.round(value * 1e5) / 1e5));
+        });
+        await saveCache(new Set(hashes));
+      }
+      entries = documents.map((document, index) => ({ document, vector: cache.get(hashes[index]) }));
+      return { documents: entries.length, embedded: missing.length };
+    },
+
+    // [{ document, score }] by cosine similarity, best first
+    async search(query, { limit = 10, filter = () => true } = {}) {
+      const [vector] = await embed([query]);
+      return entries
+        .filter(entry => filter(entry.document))
+        .map(entry => ({ document: entry.document, score: dot(vector, entry.vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = { createEmbeddingIndex };
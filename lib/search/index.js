@@ -0,0 +1,200 @@
+const { getSections } = require('../sections');
+const { createBm25Index } = require('./bm25');
+const { createEmbeddingIndex } = require('./embeddings');
+
+// ============================================
+// DOCUMENTATION SEARCH
+// ============================================
+// Free search over the catalog, so an agent can find which item answers its
+// question before paying: ranked items with a teaser from the best matching
+// section - never the paid text itself.
+//
+// The current version of every item is split into the sections sold on their
+// own (see lib/sections.js) and indexed with BM25. With embeddings on (SEARCH_EMBEDDINGS=true, see
+// embeddings.js) sections also get a local semantic index, built in the
+// background; until it's ready searches are keyword-only. Keyword and
+// semantic rankings are merged by reciprocal rank fusion.
+//
+// Options:
+//   embeddings   enable semantic matches (default SEARCH_EMBEDDINGS === 'true')
+//   model, cachePath   passed to the embedding index
+
+const SNIPPET_CHARS = 160;
+const RRF_K = 60;
+const FIELD_WEIGHTS = { name: 3, section: 2, body: 1 };
+
+// Markdown to one line of plain text
+function plainText(markdown) {
+  return markdown
+    .replace(/^\s*(```|~~~).*$/gm, ' ')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The first SNIPPET_CHARS of text - and never more than a quarter of the
+// section, so short sections aren't given away whole. The window is fixed:
+// if the query could move it, enough free searches would rebuild the section.
+function makeSnippet(text) {
+  const length = Math.min(SNIPPET_CHARS, Math.floor(text.length / 4));
+  if (length === 0) return '';
+  const snippet = text.slice(0, length);
+  return length < text.length ? `${snippet.replace(/\s\S*$/, '')}…` : snippet;
+}
+
+// One searchable section per heading of every non-bundle item
+function buildSections(inventory) {
+  const sections = [];
+  for (const [id, item] of Object.entries(inventory)) {
+    if (item.items) continue;
+    for (const section of getSections(item)) {
+      const text = plainText(section.content);
+      sections.push({
+        id: `${id}#${section.id}`,
+        item: id,
+        section: section.id,
+        category: item.category,
+        title: section.title,
+        price: section.price,
+        text,
+        fields: {
+          name: `${item.name} ${id} ${item.repo || ''}`,
+          section: section.title,
+          body: text
+        }
+      });
+    }
+  }
+  return sections;
+}
+
+function createSearchService(options = {}) {
+  const embeddingsEnabled = options.embeddings ?? process.env.SEARCH_EMBEDDINGS === 'true';
+  const embeddingIndex = embeddingsEnabled ? createEmbeddingIndex(options) : null;
+
+  let inventory = {};
+  let sections = [];
+  let keywordIndex = createBm25Index([]);
+  let semantic = { status: embeddingsEnabled ? 'building' : 'disabled' };
+  let building = Promise.resolve();
+
+  // Bundles a purchase of this item could also come from
+  function bundlesContaining(id) {
+    return Object.entries(inventory)
+      .filter(([, item]) => item.items?.includes(id))
+      .map(([bundleId, bundle]) => ({ id: bundleId, price: bundle.price }));
+  }
+
+  return {
+    // Re-index for a new INVENTORY
+    update(nextInventory) {
+      inventory = nextInventory;
+      sections = buildSections(nextInventory);
+      keywordIndex = createBm25Index(sections, FIELD_WEIGHTS);
+
+      if (embeddingIndex) {
+        const current = sections;
+        semantic = { status: 'building' };
+        // One build at a time, so the latest inventory's build lands last
+        building = building
+          .then(() => embeddingIndex.build(current))
+          .then(() => {
+            if (sections === current) semantic = { status: 'ready' };
+          })
+          .catch(error => {
+            console.error('[search] Embedding index failed:', error.message);
+            if (sections === current) semantic = { status: 'error', error: error.message };
+          });
+      }
+    },
+
+    status() {
+      return {
+        sections: sections.length,
+        semantic: semantic.status,
+        ...(semantic.error && { semantic_error: semantic.error }),
+        ...(embeddingIndex && { model: embeddingIndex.model })
+      };
+    },
+
+    // mode is 'keyword', 'semantic' or 'hybrid' (both when the semantic
+    // index is ready, else keyword). Resolves { mode, results } where
+    // results are [{ id, name, category, version, price, currency, score,
+    // matches, section, snippet, purchase, bundles }], best first. section
+    // is the best matching section, which can be bought on its own.
+    async search(query, { limit = 10, category = null, mode = 'hybrid' } = {}) {
+      if (mode === 'semantic' && semantic.status !== 'ready') {
+        const error = new Error(embeddingIndex
+          ? `Semantic index is not available (${semantic.status})`
+          : 'Semantic search is disabled (SEARCH_EMBEDDINGS=true enables it)');
+        error.code = 'SEMANTIC_UNAVAILABLE';
+        throw error;
+      }
+      const useKeyword = mode !== 'semantic';
+      const useSemantic = mode === 'semantic' || (mode === 'hybrid' && semantic.status === 'ready');
+
+      const filter = section => !category || section.category === category;
+      const pool = limit * 5;
+      const rankings = {
+        keyword: useKeyword ? keywordIndex.search(query, { limit: pool, filter }) : [],
+        semantic: useSemantic ? await embeddingIndex.search(query, { limit: pool, filter }) : []
+      };
+
+      // Each item is ranked by its best section in each ranking
+      const items = new Map();
+      for (const [kind, hits] of Object.entries(rankings)) {
+        let rank = 0;
+        for (const hit of hits) {
+          const id = hit.document.item;
+          const entry = items.get(id) || { id, score: 0, matches: { keyword: null, semantic: null }, section: null };
+          if (entry.matches[kind] !== null) continue;
+          rank++;
+          entry.matches[kind] = Math.round(hit.score * 1000) / 1000;
+          entry.score += 1 / (RRF_K + rank);
+          entry.section = entry.section || hit.document;
+          items.set(id, entry);
+        }
+      }
+
+      const results = [...items.values()]
+        .filter(entry => inventory[entry.id])
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(entry => {
+          const item = inventory[entry.id];
+          return {
+            id: entry.id,
+            name: item.name,
+            category: item.category,
+            version: item.version,
+            price: item.price,
+            currency: 'USDC',
+            score: Math.round(entry.score * 10000) / 10000,
+            matches: entry.matches,
+            section: {
+              id: entry.section.section,
+              title: entry.section.title,
+              price: entry.section.price,
+              purchase: `/buy/${entry.id}/sections/${entry.section.section}`
+            },
+            snippet: makeSnippet(entry.section.text),
+            purchase: `/buy/${entry.id}`,
+            bundles: bundlesContaining(entry.id)
+          };
+        });
+
+      return {
+        mode: useKeyword && useSemantic ? 'hybrid' : useSemantic ? 'semantic' : 'keyword',
+        results
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSearchService,
+  makeSnippet,
+  plainText
+};
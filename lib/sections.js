@@ -0,0 +1,107 @@
+const { chunkMarkdown } = require('./ingestion/markdown');
+
+// ============================================
+// DOCUMENT SECTIONS
+// ============================================
+// Documents split at their headings (the same chunks the ingestion pipeline
+// lists in front matter), so an agent can buy just the part it needs:
+//
+//   /buy/stripe-node/sections/webhooks            one section
+//   /buy/stripe-node/sections/webhooks,features   several, one payment
+//
+// A section is priced by its share of the document's tokens. Several
+// sections cost the sum of their prices, never more than the whole document.
+// Bundles are only sold whole.
+//
+// Section purchases are quoted, paid and receipted under a purchase key in
+// place of the item id: 'stripe-node#features,webhooks' (ids in document
+// order, so the same sections always make the same key).
+
+// Rough count for English prose and code - about 4 characters per token
+const CHARS_PER_TOKEN = 4;
+const USDC_UNIT = 1e6;
+
+const estimateTokens = text => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+// Price in USDC, rounded up to a whole base unit
+const roundPrice = amount => Math.max(1, Math.ceil(amount * USDC_UNIT - 1e-6)) / USDC_UNIT;
+
+// Documents are replaced (not changed) on a content reload, so sections are
+// computed once per document object
+const cache = new WeakMap();
+
+// [{ id, title, tokens, price, content }] in document order, or [] for a bundle
+function getSections(document) {
+  if (document.items) return [];
+  if (cache.has(document)) return cache.get(document);
+
+  const chunks = chunkMarkdown(document.content || '').map(chunk => ({
+    ...chunk,
+    tokens: estimateTokens(chunk.content)
+  }));
+  const total = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0) || 1;
+  const sections = chunks.map(({ id, title, tokens, content }) => ({
+    id,
+    title,
+    tokens,
+    price: roundPrice(document.price * tokens / total),
+    content
+  }));
+
+  cache.set(document, sections);
+  return sections;
+}
+
+// Resolve a comma-separated list of section ids against a document.
+// Returns { sections, tokens, price } or { error, unknown? }
+function selectSections(document, ids) {
+  if (document.items) {
+    return { error: 'Bundles are only sold whole' };
+  }
+  const requested = [...new Set(String(ids).split(',').map(id => id.trim()).filter(Boolean))];
+  if (requested.length === 0) {
+    return { error: 'No section ids given' };
+  }
+
+  const available = getSections(document);
+  const unknown = requested.filter(id => !available.some(section => section.id === id));
+  if (unknown.length > 0) {
+    return { error: `Unknown section${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, unknown };
+  }
+
+  const sections = available.filter(section => requested.includes(section.id));
+  const sum = sections.reduce((total, section) => total + section.price, 0);
+  return {
+    sections,
+    tokens: sections.reduce((total, section) => total + section.tokens, 0),
+    price: Math.min(roundPrice(sum), document.price)
+  };
+}
+
+// 'stripe-node#features,webhooks' for those sections of stripe-node
+function sectionPurchaseKey(item, sections) {
+  return `${item}#${sections.map(section => section.id).join(',')}`;
+}
+
+// Purchase key -> { item, sectionIds } (sectionIds is null for a whole item)
+function parsePurchaseKey(key) {
+  const hash = key.indexOf('#');
+  if (hash === -1) return { item: key, sectionIds: null };
+  return { item: key.slice(0, hash), sectionIds: key.slice(hash + 1) };
+}
+
+// Where a purchase key is bought, pinned to version if given
+function purchasePath(key, version) {
+  const { item, sectionIds } = parsePurchaseKey(key);
+  const param = version ? `${item}@${version}` : item;
+  return sectionIds ? `/buy/${param}/sections/${sectionIds}` : `/buy/${param}`;
+}
+
+module.exports = {
+  estimateTokens,
+  getSections,
+  selectSections,
+  sectionPurchaseKey,
+  parsePurchaseKey,
+  purchasePath
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// SIGNATURE LEDGER (REPLAY PROTECTION)
+// ============================================
+// A signature store records every transaction signature that has been
+// redeemed. Any store must implement:
+//
+//   claim(signature, record) -> Promise<boolean>
+//     Atomically check-and-insert. Resolves true if this call recorded the
+//     signature, false if it was already present.
+//   has(signature)           -> Promise<boolean>
+//   get(signature)           -> Promise<record | null>
+//
+// A record looks like:
+//   { signature, item, amount, asset, network, quote, timestamp }
+// where item is the purchase key, amount is in the asset's whole units,
+// asset the payment adapter id (e.g. 'solana-usdc'), network its x402
+// network and quote the id of the quote the payment was bound to.
+
+// Solana signatures are base58 encoded 64-byte values, EVM transaction
+// hashes are 0x-prefixed 32-byte hex
+const SIGNATURE_PATTERN = /^([1-9A-HJ-NP-Za-km-z]{32,100}|0x[0-9a-fA-F]{64})$/;
+
+function isValidSignature(signature) {
+  return typeof signature === 'string' && SIGNATURE_PATTERN.test(signature);
+}
+
+function assertValidSignature(signature) {
+  if (!isValidSignature(signature)) {
+    throw new Error('Invalid transaction signature format');
+  }
+}
+
+// Hex hashes are case-insensitive, so record them in one case
+function normalizeSignature(signature) {
+  return signature.startsWith('0x') ? signature.toLowerCase() : signature;
+}
+
+function buildRecord(signature, record) {
+  return {
+    signature,
+    item: record.item ?? null,
+    amount: record.amount ?? null,
+    asset: record.asset ?? null,
+    network: record.network ?? null,
+    quote: record.quote ?? null,
+    timestamp: record.timestamp || new Date().toISOString()
+  };
+}
+
+// In-memory store - only safe for a single process, lost on restart
+function createMemorySignatureStore() {
+  const records = new Map();
+
+  return {
+    async claim(signature, record = {}) {
+      assertValidSignature(signature);
+      const key = normalizeSignature(signature);
+      if (records.has(key)) {
+        return false;
+      }
+      records.set(key, buildRecord(key, record));
+      return true;
+    },
+
+    async has(signature) {
+      return isValidSignature(signature) && records.has(normalizeSignature(signature));
+    },
+
+    async get(signature) {
+      if (!isValidSignature(signature)) return null;
+      return records.get(normalizeSignature(signature)) || null;
+    }
+  };
+}
+
+// File store - one file per signature, created with O_EXCL ('wx') so the
+// check-and-insert is atomic across requests, processes and restarts
+function createFileSignatureStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (signature) => path.join(directory, `${normalizeSignature(signature)}.json`);
+
+  return {
+    async claim(signature, record = {}) {
+      assertValidSignature(signature);
+      const data = JSON.stringify(buildRecord(normalizeSignature(signature), record), null, 2);
+      try {
+        await fs.promises.writeFile(fileFor(signature), data, { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async has(signature) {
+      if (!isValidSignature(signature)) return false;
+      return fs.existsSync(fileFor(signature));
+    },
+
+    async get(signature) {
+      if (!isValidSignature(signature)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(signature), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+// Build the store selected by SIGNATURE_STORE ('file' or 'memory')
+function createSignatureStore(options = {}) {
+  const type = options.type || process.env.SIGNATURE_STORE || 'file';
+
+  if (type === 'memory') {
+    return createMemorySignatureStore();
+  }
+  if (type === 'file') {
+    const directory = options.directory ||
+                      process.env.SIGNATURE_STORE_DIR ||
+                      path.join(__dirname, '..', 'data', 'signatures');
+    return createFileSignatureStore(directory);
+  }
+  throw new Error(`Unknown SIGNATURE_STORE type: ${type}`);
+}
+
+module.exports = {
+  createSignatureStore,
+  createMemorySignatureStore,
+  createFileSignatureStore
+};
@@ -0,0 +1,26 @@
+// ============================================
+// SOLANA PAY URLS
+// ============================================
+// See https://docs.solanapay.com/spec
+
+// Transfer request: the wallet builds the transfer itself
+function buildTransferRequestURL({ recipient, amount, splToken, reference, label, message, memo }) {
+  const params = new URLSearchParams();
+  params.set('amount', String(amount));
+  if (splToken) params.set('spl-token', splToken);
+  if (reference) params.append('reference', reference);
+  if (label) params.set('label', label);
+  if (message) params.set('message', message);
+  if (memo) params.set('memo', memo);
+  return `solana:${recipient}?${params.toString()}`;
+}
+
+// Transaction request: the wallet fetches a transaction from our endpoint
+function buildTransactionRequestURL(link) {
+  return `solana:${encodeURIComponent(link)}`;
+}
+
+module.exports = {
+  buildTransferRequestURL,
+  buildTransactionRequestURL
+};
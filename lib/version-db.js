@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { versionFromTag } = require('./ingestion');
+const { normalizeMarkdown } = require('./ingestion/markdown');
+const { parseSemver, compareSemver } = require('./release-tags');
+
+// ============================================
+// VERSION DATABASE
+// ============================================
+// version_db.json is where watchtower records every release it detects (and
+// the server reads to answer "what changed since X"):
+//
+//   {
+//     schema: 2,
+//     repos: {
+//       "vercel/next.js": {
+//         current: "v16.3.2",
+//         history: [                       oldest first
+//           { tag, version, detected_at, published_at, release_url,
+//             notes_excerpt, bump }
+//         ]
+//       }
+//     },
+//   }
+//
+// version is the content version for the tag (see versionFromTag) and bump
+// is 'initial', 'major', 'minor', 'patch', 'prerelease' or null (unknown, or
+// not a step forward). The original format - { repo: tag } - is migrated on
+// load; entries it knew about have no detection details. GitHub list ETags
+// used to be kept here too and are dropped on load (they're in
+// data/github-etags.json now, see lib/ingestion/etag-cache.js).
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_PATH = process.env.VERSION_DB_PATH || path.join(__dirname, '..', 'version_db.json');
+const NOTES_EXCERPT_CHARS = 500;
+
+function emptyDatabase() {
+  return { schema: SCHEMA_VERSION, repos: {} };
+}
+
+// Upgrade a parsed version_db.json to the current schema
+function migrateVersionDb(data) {
+  if (data.schema === SCHEMA_VERSION) {
+    const { etags, ...db } = data;
+    return db;
+  }
+  if (data.schema !== undefined) {
+    throw new Error(`Unsupported version_db schema ${data.schema}`);
+  }
+
+  const db = emptyDatabase();
+  for (const [repo, tag] of Object.entries(data)) {
+    db.repos[repo] = {
+      current: tag,
+      history: [{
+        tag,
+        version: versionFromTag(tag),
+        detected_at: null,
+        published_at: null,
+        release_url: null,
+        notes_excerpt: null,
+        bump: null
+      }]
+    };
+  }
+  return db;
+}
+
+function loadVersionDb(filePath = DEFAULT_PATH) {
+  if (!fs.existsSync(filePath)) return emptyDatabase();
+  return migrateVersionDb(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+// Write then rename - the server reads this file while watchtower runs
+function saveVersionDb(db, filePath = DEFAULT_PATH) {
+  const temp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(temp, JSON.stringify(db, null, 2));
+  fs.renameSync(temp, filePath);
+}
+
+// First paragraphs of release notes, as plain markdown
+function notesExcerpt(body) {
+  if (!body) return null;
+  const text = normalizeMarkdown(body);
+  if (!text) return null;
+  if (text.length <= NOTES_EXCERPT_CHARS) return text;
+  const cut = text.slice(0, NOTES_EXCERPT_CHARS);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+// Make `tag` the repo's current version, adding it to the history
+function recordVersion(db, repo, { tag, release, bump }) {
+  const record = db.repos[repo] || (db.repos[repo] = { current: null, history: [] });
+  const entry = {
+    tag,
+    version: versionFromTag(tag),
+    detected_at: new Date().toISOString(),
+    published_at: release?.published_at || null,
+    release_url: release?.url || null,
+    notes_excerpt: notesExcerpt(release?.body),
+    bump
+  };
+  record.current = tag;
+  record.history.push(entry);
+  return entry;
+}
+
+const sameVersion = (a, b) => a.replace(/^v/, '') === b.replace(/^v/, '');
+
+// History entries after `since` (a tag or content version). Versions that
+// were never recorded are compared as semver. Returns null if `since` is
+// neither recorded nor a version.
+function changesSince(record, since) {
+  if (!since) return record.history;
+
+  const index = record.history.findLastIndex(entry =>
+    entry.tag === since || sameVersion(entry.version, since));
+  if (index !== -1) return record.history.slice(index + 1);
+
+  const base = parseSemver(since);
+  if (!base) return null;
+  return record.history.filter(entry => {
+    const version = parseSemver(entry.version);
+    return version && compareSemver(version, base) > 0;
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  migrateVersionDb,
+  loadVersionDb,
+  saveVersionDb,
+  recordVersion,
+  changesSince
+};
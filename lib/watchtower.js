@@ -0,0 +1,338 @@
+const { createIngestionPipeline, createDefaultFetcher, loadEtagCache, saveEtagCache } = require('./ingestion');
+const { loadRegistry, createRegistry, saveRegistry, checkConsistency } = require('./registry');
+const { createContentStore } = require('./content-store');
+const { findLatestTag, createTagMatcher, semverBump } = require('./release-tags');
+const { loadVersionDb, saveVersionDb, recordVersion } = require('./version-db');
+const { createWebhookNotifier } = require('./webhooks');
+
+// ============================================
+// WATCHTOWER
+// ============================================
+// Finds new upstream releases of every registry source, records them in
+// version_db.json and ingests their docs as new content versions. Nothing
+// runs on require - watchtower.js is the command line, and the server
+// triggers checks through POST /admin/watchtower/check.
+//
+// createWatchtower(options):
+//   registry       shared registry (default registry.json, re-read on every
+//                  call so sources the CLI adds reach a running server)
+//   registryPath   where add-source writes the registry (default registry.json)
+//   dbPath         version database (default version_db.json)
+//   contentDir     content directory (default CONTENT_DIR or content/)
+//   fetcher        GitHub access (default createDefaultFetcher() per check,
+//                  with list ETags kept in cachePath)
+//   cachePath      GitHub ETag cache (default GITHUB_CACHE_PATH or
+//                  data/github-etags.json, see lib/ingestion/etag-cache.js)
+//   ingest         build content for new releases (default WATCHTOWER_INGEST !== 'false')
+//   concurrency    sources checked at once (default WATCHTOWER_CONCURRENCY or 4)
+//   notifier       told about every check's updates (default webhook
+//                  subscriptions, see lib/webhooks.js)
+
+const DEFAULT_CONCURRENCY = 4;
+const ITEM_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Run fn over items with at most `limit` in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Newest release tag matching the source's tag filter (highest semver, not
+// most recent - monorepos publish many packages). Releases first, then tags
+// for repos that don't publish releases. Resolves { tag } or { error }.
+async function getLatestRelease(fetcher, source) {
+  try {
+    const tag = await findLatestTag(page => fetcher.listReleases(source.repo, page), source.tagFilter) ||
+                await findLatestTag(page => fetcher.listTags(source.repo, page), source.tagFilter);
+    return tag ? { tag } : { error: 'no matching release or tag' };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Semver bump from the stored tag to the new one ('initial' on first sight,
+// null if either tag isn't a version of this source)
+function getBump(source, storedVersion, latestVersion) {
+  if (!storedVersion) return 'initial';
+  const match = createTagMatcher({ ...source.tagFilter, prereleases: true });
+  const previous = match(storedVersion);
+  const next = match(latestVersion);
+  return previous && next ? semverBump(previous, next) : null;
+}
+
+// What webhook subscribers get for an update
+function toNotification(update) {
+  const ingested = update.ingestion?.status === 'written' || update.ingestion?.status === 'exists';
+  return {
+    id: update.id,
+    name: update.name,
+    repo: update.repo,
+    category: update.category,
+    docs: update.docs,
+    previous: update.previous,
+    latest: update.latest,
+    bump: update.bump,
+    content_version: ingested ? update.ingestion.version : null
+  };
+}
+
+// Release details for the history; a failure here shouldn't lose the update
+async function getReleaseDetails(fetcher, repo, tag) {
+  try {
+    return await fetcher.getRelease(repo, tag);
+  } catch (error) {
+    return null;
+  }
+}
+
+function createWatchtower(options = {}) {
+  const registryPath = options.registryPath;
+  let registry = options.registry || null;
+  const currentRegistry = () => registry || loadRegistry(registryPath);
+  const dbPath = options.dbPath;
+  const cachePath = options.cachePath;
+  const contentDir = options.contentDir;
+  const ingestEnabled = options.ingest ?? process.env.WATCHTOWER_INGEST !== 'false';
+  const notifier = options.notifier || createWebhookNotifier();
+  const concurrency = Math.max(1, options.concurrency ||
+                                  parseInt(process.env.WATCHTOWER_CONCURRENCY || DEFAULT_CONCURRENCY, 10));
+  let running = false;
+
+  // { fetcher, saveCache() } - the ETag cache is saved with the database
+  function createFetcher() {
+    if (options.fetcher) return { fetcher: options.fetcher, saveCache() {} };
+    const cache = loadEtagCache(cachePath);
+    return {
+      fetcher: createDefaultFetcher(process.env, { cache }),
+      saveCache: () => saveEtagCache(cache, cachePath)
+    };
+  }
+
+  // Fail loudly if the registry and content/ disagree
+  function assertConsistent(target) {
+    createContentStore({
+      registry: target,
+      directory: contentDir,
+      watch: false,
+      validate: (inventory, documents) => checkConsistency(target, Object.keys(inventory), {
+        documents,
+        versionDb: loadVersionDb(dbPath)
+      })
+    });
+  }
+
+  // Only one check (or add-source) at a time - they share version_db.json
+  async function exclusive(fn) {
+    if (running) {
+      const error = new Error('A watchtower check is already running');
+      error.code = 'CHECK_RUNNING';
+      throw error;
+    }
+    running = true;
+    try {
+      return await fn();
+    } finally {
+      running = false;
+    }
+  }
+
+  // Source by item id, repo or name (case-insensitive), or null
+  function findSource(query) {
+    const needle = String(query).toLowerCase();
+    return currentRegistry().sources().find(source =>
+      [source.id, source.repo, source.name].some(value => value.toLowerCase() === needle)) || null;
+  }
+
+  return {
+    sources() {
+      return currentRegistry().sources();
+    },
+
+    findSource,
+
+    isRunning() {
+      return running;
+    },
+
+    // Every source with its recorded version
+    list() {
+      const db = loadVersionDb(dbPath);
+      return currentRegistry().sources().map(source => {
+        const record = db.repos[source.repo];
+        const last = record?.history[record.history.length - 1];
+        return {
+          ...source,
+          current: record?.current || null,
+          detected_at: last?.detected_at || null
+        };
+      });
+    },
+
+    // { source, current, history } for an item id, repo or name, or null
+    history(query) {
+      const source = findSource(query);
+      if (!source) return null;
+      const record = loadVersionDb(dbPath).repos[source.repo];
+      return {
+        source,
+        current: record?.current || null,
+        history: record?.history || []
+      };
+    },
+
+    // Check every source (or one, by id, repo or name). A dry run only
+    // reports - nothing is recorded, ingested or notified. A new release is
+    // only recorded once its content is ingested (when ingesting is on), so
+    // a failed ingest is retried by the next check. Resolves
+    // { checked_at, dry_run, results, updates, errors, api, notifications }
+    // where each result is { id, name, repo, docs, category, status,
+    // previous, latest, bump, error?, ingestion? } and status is 'ok',
+    // 'new', 'updated' or 'error'.
+    check({ source: query, dryRun = false } = {}) {
+      return exclusive(async () => {
+        const registry = currentRegistry();
+        let sources = registry.sources();
+        if (query) {
+          const source = findSource(query);
+          if (!source) throw new Error(`Unknown source "${query}"`);
+          sources = [source];
+        }
+        assertConsistent(registry);
+
+        const checkedAt = new Date().toISOString();
+        const db = loadVersionDb(dbPath);
+        const { fetcher, saveCache } = createFetcher();
+        const latest = await mapWithConcurrency(sources, concurrency, source => getLatestRelease(fetcher, source));
+
+        const results = [];
+        const releases = new Map();
+        for (const [index, source] of sources.entries()) {
+          const { id, name, repo, docs, category } = source;
+          const previous = db.repos[repo]?.current || null;
+          const { tag, error } = latest[index];
+          const result = { id, name, repo, docs, category, previous, latest: tag || null, bump: null };
+          results.push(result);
+
+          if (!tag) {
+            Object.assign(result, { status: 'error', error });
+          } else if (previous === tag) {
+            result.status = 'ok';
+          } else {
+            result.status = previous ? 'updated' : 'new';
+            result.bump = getBump(source, previous, tag);
+            if (!dryRun) {
+              releases.set(repo, await getReleaseDetails(fetcher, repo, tag));
+            }
+          }
+        }
+
+        const updates = results.filter(result => result.status === 'new' || result.status === 'updated');
+        const errors = results
+          .filter(result => result.status === 'error')
+          .map(result => ({ name: result.name, stage: 'check', message: result.error }));
+
+        let notifications = [];
+        if (!dryRun) {
+          // Refresh the content we sell for every new version
+          const recorded = [];
+          const pipeline = ingestEnabled && updates.length > 0
+            ? createIngestionPipeline({ registry, fetcher, contentDir })
+            : null;
+          for (const update of updates) {
+            if (pipeline) {
+              try {
+                update.ingestion = await pipeline.ingest({ repo: update.repo, tag: update.latest });
+              } catch (error) {
+                update.ingestion = { status: 'error', error: error.message };
+              }
+              const { status, error } = update.ingestion;
+              if (status !== 'written' && status !== 'exists') {
+                errors.push({
+                  name: update.name,
+                  stage: 'ingestion',
+                  message: error || `Nothing to ingest at ${update.latest} (${status})`
+                });
+                continue;
+              }
+            }
+            recordVersion(db, update.repo, { tag: update.latest, release: releases.get(update.repo), bump: update.bump });
+            recorded.push(update);
+          }
+          saveVersionDb(db, dbPath);
+          saveCache();
+
+          try {
+            notifications = await notifier.notify(recorded.map(toNotification));
+          } catch (error) {
+            errors.push({ name: 'webhooks', stage: 'notification', message: error.message });
+          }
+        }
+
+        return {
+          checked_at: checkedAt,
+          dry_run: dryRun,
+          results,
+          updates,
+          errors,
+          api: fetcher.stats?.() || null,
+          notifications
+        };
+      });
+    },
+
+    // Register a new item and ingest its latest release as its first content
+    // version. registry.json is only written once that content exists, so the
+    // registry and content never disagree. A dry run finds the release only.
+    // Resolves { id, entry, latest, ingestion? }.
+    addSource(id, entry, { dryRun = false } = {}) {
+      return exclusive(async () => {
+        if (!ITEM_ID_PATTERN.test(id || '')) {
+          throw new Error(`Invalid item id "${id}" (lowercase letters, digits and dashes)`);
+        }
+        const current = currentRegistry();
+        if (current.getItem(id)) {
+          throw new Error(`Item "${id}" is already registered`);
+        }
+        const next = createRegistry({ ...current.items, [id]: entry });
+        const source = next.sources().find(candidate => candidate.id === id);
+
+        const db = loadVersionDb(dbPath);
+        const { fetcher, saveCache } = createFetcher();
+        const { tag, error } = await getLatestRelease(fetcher, source);
+        if (!tag) {
+          throw new Error(`No release found for ${entry.repo}: ${error}`);
+        }
+        if (dryRun) {
+          return { id, entry, latest: tag };
+        }
+
+        // Release details first, so the registry follows the content at once -
+        // a running server reloads both (see lib/content-store.js)
+        const release = await getReleaseDetails(fetcher, entry.repo, tag);
+        const pipeline = createIngestionPipeline({ registry: next, fetcher, contentDir });
+        const ingestion = await pipeline.ingest({ repo: entry.repo, tag });
+        if (ingestion.status !== 'written' && ingestion.status !== 'exists') {
+          throw new Error(`Nothing to ingest for ${entry.repo} at ${tag} (${ingestion.status})`);
+        }
+
+        saveRegistry(next, registryPath);
+        if (registry) registry = next;
+        recordVersion(db, entry.repo, { tag, release, bump: 'initial' });
+        saveVersionDb(db, dbPath);
+        saveCache();
+
+        return { id, entry, latest: tag, ingestion };
+      });
+    }
+  };
+}
+
+module.exports = { createWatchtower };
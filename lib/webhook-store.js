@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// WEBHOOK SUBSCRIPTIONS
+// ============================================
+// Who to tell when watchtower finds new releases. A subscription looks like:
+//
+//   { id, url, categories, secret, created_at, last_delivery }
+//
+// where an empty categories list means every category, secret signs the
+// deliveries (see lib/webhooks.js) and last_delivery is
+// { at, status, error? } or null.
+//
+// Subscriptions are one JSON file, re-read on every call, so the server and
+// the watchtower CLI can share it. The file also keeps the content version
+// last announced for each item ({ id: { version, tag } }, see
+// lib/webhooks.js), so subscribers hear about each version once.
+
+const ID_PREFIX = 'wh_';
+const SECRET_PREFIX = 'whsec_';
+
+function createWebhookStore(options = {}) {
+  const filePath = options.filePath ||
+                   process.env.WEBHOOK_STORE_PATH ||
+                   path.join(__dirname, '..', 'data', 'webhooks.json');
+
+  // { subscriptions, announced } - announced is null until the first announcement
+  function readFile() {
+    if (!fs.existsSync(filePath)) return { subscriptions: [], announced: null };
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return { subscriptions: data.subscriptions || [], announced: data.announced || null };
+  }
+
+  const read = () => readFile().subscriptions;
+
+  // Write then rename, so a reader never sees a partial file
+  async function writeFile(data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const temp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+    await fs.promises.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temp, filePath);
+  }
+
+  const write = subscriptions => writeFile({ ...readFile(), subscriptions });
+
+  // Serialize read-modify-write so updates can't interleave
+  let queue = Promise.resolve();
+  function serialize(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async list() {
+      return read();
+    },
+
+    async get(id) {
+      return read().find(subscription => subscription.id === id) || null;
+    },
+
+    create({ url, categories = [] }) {
+      return serialize(async () => {
+        const subscription = {
+          id: ID_PREFIX + crypto.randomBytes(8).toString('hex'),
+          url,
+          categories,
+          secret: SECRET_PREFIX + crypto.randomBytes(24).toString('hex'),
+          created_at: new Date().toISOString(),
+          last_delivery: null
+        };
+        await write([...read(), subscription]);
+        return subscription;
+      });
+    },
+
+    // Resolves false if there was no such subscription
+    remove(id) {
+      return serialize(async () => {
+        const subscriptions = read();
+        const remaining = subscriptions.filter(subscription => subscription.id !== id);
+        if (remaining.length === subscriptions.length) return false;
+        await write(remaining);
+        return true;
+      });
+    },
+
+    recordDelivery(id, delivery) {
+      return serialize(async () => {
+        const subscriptions = read();
+        const subscription = subscriptions.find(candidate => candidate.id === id);
+        if (!subscription) return;
+        subscription.last_delivery = delivery;
+        await write(subscriptions);
+      });
+    },
+
+    // { id: { version, tag } } last announced, or null if nothing ever was
+    async getAnnounced() {
+      return readFile().announced;
+    },
+
+    // Merge { id: { version, tag } } into the announced versions
+    markAnnounced(versions) {
+      return serialize(async () => {
+        const data = readFile();
+        await writeFile({ ...data, announced: { ...data.announced, ...versions } });
+      });
+    }
+  };
+}
+
+module.exports = { createWebhookStore };
@@ -0,0 +1,174 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createWebhookStore } = require('./webhook-store');
+
+// ============================================
+// WEBHOOK DELIVERY
+// ============================================
+// POSTs { event: 'updates', delivered_at, updates } to every subscription
+// with a matching category, with headers:
+//
+//   X-ContextNow-Event       'updates'
+//   X-ContextNow-Delivery    unique id, the same across retries
+//   X-ContextNow-Timestamp   unix seconds
+//   X-ContextNow-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                            keyed with the subscription secret>
+//
+// Receivers should recompute the signature over the raw body and reject
+// stale timestamps. Network errors, 429s and 5xxs are retried with backoff.
+//
+// Updates come from two places: a watchtower check run next to the
+// subscriptions (the server's /admin/watchtower/check, or the CLI on the
+// same host) notifies directly, and the server announces content versions
+// it hasn't announced yet when content/ changes. The second covers the
+// hourly GitHub Action, which commits new versions but has no subscriptions
+// (data/ isn't committed). The store remembers what was announced, so each
+// version goes out once whichever path sees it first.
+
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 1000;
+const TIMEOUT_MS = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Announcement for a content version the subscribers haven't heard about,
+// shaped like watchtower's (see toNotification in lib/watchtower.js)
+function toAnnouncement(document, previous, versionDb) {
+  const latest = document.source?.tag || document.version;
+  const recorded = versionDb?.repos[document.repo]?.history.find(entry => entry.tag === latest);
+  return {
+    id: document.id,
+    name: document.name,
+    repo: document.repo || null,
+    category: document.category,
+    docs: document.docs || null,
+    previous: previous ? previous.tag || previous.version : null,
+    latest,
+    bump: recorded?.bump || (previous ? null : 'initial'),
+    content_version: document.version
+  };
+}
+
+function createWebhookNotifier(options = {}) {
+  const store = options.store || createWebhookStore();
+  const backoffMs = options.backoffMs ?? BASE_BACKOFF_MS;
+
+  // Resolves { at, status: 'delivered' | 'failed', http_status?, error?, attempts }
+  async function deliver(subscription, payload) {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+    let failure = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      try {
+        const response = await axios.post(subscription.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ContextNow-Webhooks',
+            'X-ContextNow-Event': payload.event,
+            'X-ContextNow-Delivery': deliveryId,
+            'X-ContextNow-Timestamp': timestamp,
+            'X-ContextNow-Signature': signPayload(subscription.secret, timestamp, body)
+          },
+          timeout: TIMEOUT_MS,
+          maxRedirects: 0,
+          validateStatus: () => true
+        });
+        if (response.status < 300) {
+          return { at: new Date().toISOString(), status: 'delivered', http_status: response.status, attempts: attempt };
+        }
+        failure = { http_status: response.status, error: `HTTP ${response.status}` };
+        // Other client errors won't fix themselves
+        if (response.status < 500 && response.status !== 429) {
+          return { at: new Date().toISOString(), status: 'failed', ...failure, attempts: attempt };
+        }
+      } catch (error) {
+        failure = { error: error.message };
+      }
+      if (attempt < MAX_ATTEMPTS) await sleep(backoffMs * 4 ** (attempt - 1));
+    }
+
+    return { at: new Date().toISOString(), status: 'failed', ...failure, attempts: MAX_ATTEMPTS };
+  }
+
+  // Send updates to every subscription that wants some of them, skipping
+  // content versions already announced. Nothing is recorded before announce()
+  // has taken its first snapshot - a partial one would make it announce
+  // every other item.
+  async function send(updates) {
+    const announced = await store.getAnnounced();
+    updates = updates.filter(update => !update.content_version ||
+      announced?.[update.id]?.version !== update.content_version);
+    if (updates.length === 0) return [];
+
+    const versions = updates.filter(update => update.content_version);
+    if (announced && versions.length > 0) {
+      await store.markAnnounced(Object.fromEntries(versions.map(update =>
+        [update.id, { version: update.content_version, tag: update.latest }])));
+    }
+    const subscriptions = await store.list();
+
+    const results = await Promise.all(subscriptions.map(async subscription => {
+      const matching = subscription.categories.length === 0
+        ? updates
+        : updates.filter(update => subscription.categories.includes(update.category));
+      if (matching.length === 0) return null;
+
+      const delivery = await deliver(subscription, {
+        event: 'updates',
+        delivered_at: new Date().toISOString(),
+        updates: matching
+      });
+      await store.recordDelivery(subscription.id, delivery);
+      return { id: subscription.id, url: subscription.url, updates: matching.length, ...delivery };
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  // One send at a time, so a watchtower check and a content reload that see
+  // the same version can't both announce it
+  let queue = Promise.resolve();
+  function serialize(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    // Resolves [{ id, url, updates, ...delivery }]; failed deliveries don't reject
+    notify(updates) {
+      return serialize(() => send(updates));
+    },
+
+    // Announce every item in inventory ({ id: current document }) whose
+    // current version isn't the one last announced. The first call
+    // ever only records the versions - subscribers hear about changes from
+    // then on. Resolves notify()'s deliveries.
+    announce(inventory, versionDb = null) {
+      return serialize(async () => {
+        const announced = await store.getAnnounced();
+        const documents = Object.values(inventory);
+        if (!announced) {
+          await store.markAnnounced(Object.fromEntries(documents.map(document =>
+            [document.id, { version: document.version, tag: document.source?.tag || null }])));
+          return [];
+        }
+        const updates = documents
+          .filter(document => announced[document.id]?.version !== document.version)
+          .map(document => toAnnouncement(document, announced[document.id], versionDb));
+        return send(updates);
+      });
+    }
+  };
+}
+
+module.exports = {
+  signPayload,
+  createWebhookNotifier
+};
@@ -0,0 +1,97 @@
+// ============================================
+// x402 PROTOCOL ENCODING
+// ============================================
+// Implements the x402 wire format so generic x402 clients can pay us:
+//   - 402 body / PAYMENT-REQUIRED header: { x402Version, error, accepts: [PaymentRequirements] }
+//   - X-PAYMENT request header: base64 JSON { x402Version, scheme, network, payload }
+//   - X-PAYMENT-RESPONSE header: base64 JSON settlement result
+//
+// For the Solana 'exact' scheme, payload.signature is the signature of a
+// confirmed USDC transfer to payTo.
+//
+// Payments are bound to a quote, so each entry's `extra` also says what to pay:
+//   extra.memo         - the memo the payment must carry (SPL Memo on Solana,
+//                        trailing transfer calldata on EVM)
+//   extra.quoteId      - the quote the memo names
+//   extra.expiresAt    - when the quote stops being payable
+//   extra.tokenAccount - (Solana) the token account payTo receives asset in
+
+const X402_VERSION = 1;
+const DEFAULT_TIMEOUT_SECONDS = 300;
+
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function decodeHeader(header) {
+  return JSON.parse(Buffer.from(header, 'base64').toString('utf-8'));
+}
+
+// Build one entry of the `accepts` array
+function buildPaymentRequirements({ network, amountBaseUnits, resource, description, payTo, asset, extra }) {
+  return {
+    scheme: 'exact',
+    network,
+    maxAmountRequired: String(amountBaseUnits),
+    resource,
+    description,
+    mimeType: 'application/json',
+    payTo,
+    maxTimeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+    asset,
+    outputSchema: null,
+    extra: extra || null
+  };
+}
+
+function buildPaymentRequiredBody(accepts, error = 'X-PAYMENT header is required') {
+  return {
+    x402Version: X402_VERSION,
+    error,
+    accepts
+  };
+}
+
+// Decode and sanity-check an X-PAYMENT header.
+// Returns { valid: true, payment } or { valid: false, error }
+function parsePaymentHeader(header, accepts) {
+  let payment;
+  try {
+    payment = decodeHeader(header);
+  } catch (e) {
+    return { valid: false, error: 'X-PAYMENT header is not base64-encoded JSON' };
+  }
+
+  if (!payment || typeof payment !== 'object' || !payment.payload) {
+    return { valid: false, error: 'X-PAYMENT header is missing a payload' };
+  }
+  if (payment.x402Version !== X402_VERSION) {
+    return { valid: false, error: `Unsupported x402Version: ${payment.x402Version}` };
+  }
+
+  const accepted = accepts.some(a => a.scheme === payment.scheme && a.network === payment.network);
+  if (!accepted) {
+    return { valid: false, error: `Unsupported scheme/network: ${payment.scheme}/${payment.network}` };
+  }
+
+  return { valid: true, payment };
+}
+
+function buildPaymentResponseHeader({ transaction, network, payer }) {
+  return encodeHeader({
+    success: true,
+    transaction,
+    network,
+    payer: payer || null
+  });
+}
+
+module.exports = {
+  X402_VERSION,
+  encodeHeader,
+  decodeHeader,
+  buildPaymentRequirements,
+  buildPaymentRequiredBody,
+  parsePaymentHeader,
+  buildPaymentResponseHeader
+};
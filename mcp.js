@@ -0,0 +1,39 @@
+require('dotenv').config({ quiet: true });
+const { createMcpServer, createHttpBackend, serveStdio } = require('./lib/mcp');
+
+// ============================================
+// MCP SERVER (STDIO)
+// ============================================
+// For MCP hosts that launch a command: `node mcp.js`. The tools run against
+// CONTEXTNOW_URL when it is set (e.g. https://contextnow.dev), otherwise
+// against this checkout's server.js, started in-process on a loopback port.
+// The HTTP transport needs none of this - it is POST /mcp on the server.
+
+// stdout carries the protocol, so everything else logs to stderr
+console.log = console.error;
+
+async function startLocalServer() {
+  const { app } = require('./server');
+  return new Promise((resolve, reject) => {
+    const listener = app.listen(0, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${listener.address().port}`);
+    }).on('error', reject);
+  });
+}
+
+async function main() {
+  const baseUrl = process.env.CONTEXTNOW_URL || await startLocalServer();
+  console.error(`[mcp] ContextNow MCP server on stdio, using ${baseUrl}`);
+
+  await serveStdio(createMcpServer({ backend: createHttpBackend(baseUrl) }));
+  // The host closed stdin - the local server and content watchers would
+  // otherwise keep the process alive
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`[mcp] ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -1,156 +1,398 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const {
+  PublicKey,
+  Transaction,
+  TransactionInstruction
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const { createSignatureStore } = require('./lib/signature-store');
+const { createReceiptService } = require('./lib/receipts');
+const x402 = require('./lib/x402');
+const { createQuoteStore, parseQuoteMemo, isQuoteExpired } = require('./lib/quote-store');
+const solanaPay = require('./lib/solana-pay');
+const { createCreditLedger } = require('./lib/credit-ledger');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { createPaymentAdapters, getSolanaNetwork } = require('./lib/payments');
+const { createContentStore } = require('./lib/content-store');
+const { REGISTRY_PATH, checkConsistency } = require('./lib/registry');
+const { loadVersionDb, changesSince } = require('./lib/version-db');
+const { createWatchtower } = require('./lib/watchtower');
+const { createWebhookStore } = require('./lib/webhook-store');
+const { createWebhookNotifier } = require('./lib/webhooks');
+const { collectFeedEntries, buildAtomFeed, buildJsonFeed } = require('./lib/feeds');
+const { describeFreshness, describeBundleFreshness } = require('./lib/freshness');
+const { createSearchService } = require('./lib/search');
+const { getSections, selectSections, sectionPurchaseKey, parsePurchaseKey, purchasePath } = require('./lib/sections');
+const { createMcpServer, createHttpBackend, createMcpHandler } = require('./lib/mcp');
+const discovery = require('./lib/discovery');
+const { MEMO_PROGRAM_ID } = require('./lib/payments/solana-spl');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// The MCP tools call this server over loopback with the client's protocol
+// and address in X-Forwarded-* headers (see MCP below) - trust those only
+// from loopback
+app.set('trust proxy', 'loopback');
+
 // ============================================
 // SOLANA & USDC CONFIGURATION
 // ============================================
 
-const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 const SOLANA_WALLET_ADDRESS = process.env.SOLANA_WALLET_ADDRESS || '';
 
-// USDC-SPL Token Configuration (Mainnet)
-const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
-const USDC_DECIMALS = 6; // 1 USDC = 1,000,000 base units
+// Solana cluster (mainnet, devnet or localnet - see SOLANA_NETWORK in .env.example)
+const SOLANA_NETWORK = getSolanaNetwork();
+
+// Accepted payment options (see PAYMENT_ADAPTERS in .env.example).
+// The first is always Solana USDC, the default for legacy clients and Solana Pay.
+const paymentAdapters = createPaymentAdapters({ solanaNetwork: SOLANA_NETWORK });
+const usdcAdapter = paymentAdapters[0];
+
+// USDC-SPL Token Configuration (mint for the selected cluster)
+const USDC_MINT = new PublicKey(usdcAdapter.asset);
+const USDC_DECIMALS = usdcAdapter.decimals; // 1 USDC = 1,000,000 base units
+
+// x402 network identifier, e.g. 'solana' or 'solana-devnet'
+const X402_NETWORK = usdcAdapter.network;
 
 // Solana connection
-const solanaConnection = new Connection(SOLANA_RPC_URL, 'confirmed');
+const solanaConnection = usdcAdapter.connection;
+
+// How long to wait for a pre-signed transaction we broadcast to confirm
+const SUBMIT_CONFIRM_TIMEOUT_MS = parseInt(process.env.SUBMIT_CONFIRM_TIMEOUT_MS || '30000', 10);
+
+// Ledger of redeemed transaction signatures to prevent replay attacks
+// (persistent by default, see SIGNATURE_STORE in .env.example)
+const signatureStore = createSignatureStore();
+
+// Signed receipts let a paid purchase be re-downloaded within RECEIPT_TTL_SECONDS
+const receiptService = createReceiptService();
+
+// Price quotes - bind each payment (via its memo) to an item, price and expiry
+const quoteStore = createQuoteStore();
+
+// Every unpaid request for a paid item writes a quote, so quote creation is
+// rate limited per client IP and across all clients
+const quoteLimiters = {
+  ip: createRateLimiter({
+    limit: parseInt(process.env.QUOTES_PER_IP_PER_MINUTE || '30', 10),
+    windowMs: 60 * 1000
+  }),
+  all: createRateLimiter({
+    limit: parseInt(process.env.QUOTES_PER_MINUTE || '600', 10),
+    windowMs: 60 * 1000
+  })
+};
+
+// Count a quote against the limits, or send 429 and return false
+function takeQuote(req, res) {
+  const limited = [quoteLimiters.ip.take(req.ip), quoteLimiters.all.take('all')]
+    .find(result => !result.ok);
+  if (!limited) return true;
+  res.setHeader('Retry-After', limited.retryAfterSeconds);
+  res.status(429).json({
+    error: 'Too Many Requests',
+    code: 'RATE_LIMITED',
+    message: 'Too many price quotes requested recently',
+    retry_after_seconds: limited.retryAfterSeconds
+  });
+  return false;
+}
 
-// Store used transaction signatures to prevent replay attacks
-const usedTransactionSignatures = new Set();
+// Prepaid USDC balances keyed by API key - /buy/:item debits them
+const creditLedger = createCreditLedger();
+
+// Quotes for credit top-ups use this pseudo-item instead of an INVENTORY id
+const CREDIT_TOPUP_ITEM = 'credits';
+const CREDIT_MIN_TOPUP_USDC = parseFloat(process.env.CREDIT_MIN_TOPUP_USDC || '0.01');
+
+// Creating an account is unauthenticated and appends to the ledger, so it
+// is rate limited per client IP and across all clients
+const creditAccountLimiters = {
+  ip: createRateLimiter({
+    limit: parseInt(process.env.CREDIT_ACCOUNTS_PER_IP_PER_HOUR || '5', 10),
+    windowMs: 60 * 60 * 1000
+  }),
+  all: createRateLimiter({
+    limit: parseInt(process.env.CREDIT_ACCOUNTS_PER_HOUR || '100', 10),
+    windowMs: 60 * 60 * 1000
+  })
+};
 
 // ============================================
-// USDC PAYMENT VERIFICATION
+// PAYMENT VERIFICATION
 // ============================================
 
 async function getOurUSDCTokenAccount() {
-  if (!SOLANA_WALLET_ADDRESS) {
-    throw new Error('SOLANA_WALLET_ADDRESS not configured');
+  return usdcAdapter.getTokenAccount();
+}
+
+// Adapters for an x402 network, e.g. 'solana' or 'base'
+function getPaymentAdapters(network) {
+  return paymentAdapters.filter(adapter => adapter.network === network);
+}
+
+// Network a bare legacy proof belongs to: EVM hashes are 0x-prefixed hex
+function inferPaymentNetwork(proof) {
+  if (/^0x[0-9a-fA-F]{64}$/.test(proof)) {
+    return paymentAdapters.find(adapter => adapter.network !== X402_NETWORK)?.network || X402_NETWORK;
   }
-  const walletPubkey = new PublicKey(SOLANA_WALLET_ADDRESS);
-  return await getAssociatedTokenAddress(USDC_MINT, walletPubkey);
+  return X402_NETWORK;
 }
 
-async function verifyUSDCPayment(transactionSignature, expectedAmountUSDC) {
-  try {
-    // Check if transaction was already used (replay attack prevention)
-    if (usedTransactionSignatures.has(transactionSignature)) {
-      return {
-        valid: false,
-        code: 'REPLAY_ATTACK',
-        error: 'Transaction already used',
-        message: 'This transaction signature has already been used for a previous purchase. Each purchase requires a new USDC transaction.',
-        action: 'Send a new USDC payment and use the new transaction signature'
-      };
+const QUOTE_USED_RESULT = {
+  valid: false,
+  code: 'QUOTE_USED',
+  error: 'Quote already paid',
+  message: 'This quote has already been redeemed by another transaction.',
+  action: 'Request the item again for a fresh quote'
+};
+
+const REPLAY_ATTACK_RESULT = {
+  valid: false,
+  code: 'REPLAY_ATTACK',
+  error: 'Transaction already used',
+  message: 'This transaction signature has already been used for a previous purchase. Each purchase requires a new USDC transaction.',
+  action: 'Send a new USDC payment and use the new transaction signature'
+};
+
+const UNSUPPORTED_NETWORK_RESULT = {
+  valid: false,
+  code: 'UNSUPPORTED_NETWORK',
+  error: 'Payment network not accepted',
+  message: 'This server does not accept payments on that network.',
+  action: 'Pay with one of the options listed in the 402 response'
+};
+
+// Find the first adapter on the network that sees a payment of its asset to us.
+// Returns { error } or { adapter, payment }
+async function findPayment(adapters, extract) {
+  let firstError = null;
+  for (const adapter of adapters) {
+    const result = await extract(adapter);
+    if (!result.error) {
+      return { adapter, payment: result.payment };
     }
+    firstError = firstError || result.error;
+  }
+  return { error: firstError };
+}
 
-    // Fetch the transaction
-    const transaction = await solanaConnection.getParsedTransaction(
-      transactionSignature,
-      { maxSupportedTransactionVersion: 0 }
-    );
+// The payment memo must name an unexpired, unpaid quote for the requested item.
+// A quote already marked paid by this same transaction is a redemption that
+// was interrupted, and may be completed. Returns { error } or { quote }
+async function checkQuoteBinding(memos, context, paidAt, explorerUrl, transactionSignature) {
+  const quoteId = memos.map(parseQuoteMemo).find(Boolean);
 
-    if (!transaction) {
-      return {
+  if (!quoteId) {
+    return {
+      error: {
         valid: false,
-        code: 'TX_NOT_FOUND',
-        error: 'Transaction not found on Solana blockchain',
-        message: 'The transaction signature was not found. It may still be processing or the signature may be incorrect.',
-        action: 'Wait a few seconds for confirmation, then retry. If the issue persists, verify the transaction signature is correct.',
-        solscan_url: `https://solscan.io/tx/${transactionSignature}`
-      };
-    }
+        code: 'QUOTE_MISSING',
+        error: 'Payment memo with a quote ID is missing',
+        message: 'Every payment must include an SPL Memo instruction containing the quote memo from the 402 response.',
+        action: 'Request the item again for a fresh quote and include its memo in your payment transaction',
+        ...(explorerUrl && { explorer_url: explorerUrl })
+      }
+    };
+  }
 
-    // Check if transaction is confirmed
-    if (!transaction.meta || transaction.meta.err) {
-      return {
+  const quote = await quoteStore.get(quoteId);
+  if (!quote) {
+    return {
+      error: {
+        valid: false,
+        code: 'QUOTE_NOT_FOUND',
+        error: `Unknown quote: ${quoteId}`,
+        message: 'The quote named in the payment memo does not exist.',
+        action: 'Request the item again for a fresh quote'
+      }
+    };
+  }
+
+  if (quote.item !== context.item ||
+      (quote.account || null) !== (context.account || null) ||
+      (context.reference && quote.reference !== context.reference)) {
+    return {
+      error: {
         valid: false,
-        code: 'TX_FAILED',
-        error: 'Transaction failed or not confirmed',
-        message: 'The transaction exists but failed or has not been confirmed yet.',
-        action: 'Check the transaction on Solscan. If it failed, send a new payment.',
-        solscan_url: `https://solscan.io/tx/${transactionSignature}`
+        code: 'QUOTE_ITEM_MISMATCH',
+        error: `Quote ${quoteId} was issued for '${quote.item}', not '${context.item}'`,
+        message: 'A payment can only be redeemed for the item it was quoted for.',
+        action: `Request ${purchasePath(quote.item)} with this payment, or pay a new quote for '${context.item}'`,
+        quote_item: quote.item
+      }
+    };
+  }
+
+  // A pinned purchase (/buy/:item@:version) must be paid with a quote for
+  // that version - an unpinned quote is for whatever version is current
+  if (context.version) {
+    const quotedVersion = quote.version || INVENTORY[parsePurchaseKey(quote.item).item]?.version;
+    if (quotedVersion !== context.version) {
+      return {
+        error: {
+          valid: false,
+          code: 'QUOTE_VERSION_MISMATCH',
+          error: `Quote ${quoteId} was issued for version '${quotedVersion}', not '${context.version}'`,
+          message: 'A payment can only be redeemed for the version it was quoted for.',
+          action: `Request ${purchasePath(quote.item, quote.version)} with this payment, or pay a new quote for version '${context.version}'`,
+          quote_version: quotedVersion
+        }
       };
     }
+  }
 
-    // Get our USDC token account
-    const ourTokenAccount = await getOurUSDCTokenAccount();
-    const ourTokenAccountStr = ourTokenAccount.toBase58();
-
-    // Parse token transfer instructions
-    const instructions = transaction.transaction.message.instructions;
-    let validPaymentFound = false;
-    let receivedAmount = 0;
-
-    for (const instruction of instructions) {
-      // Check if it's a parsed instruction (SPL Token)
-      if (instruction.parsed && instruction.program === 'spl-token') {
-        const { type, info } = instruction.parsed;
-
-        // Look for transfer or transferChecked instructions
-        if (type === 'transfer' || type === 'transferChecked') {
-          const destination = info.destination;
-          const mint = info.mint;
-          const amount = info.amount || info.tokenAmount?.amount;
-
-          // Verify it's USDC going to our account
-          if (destination === ourTokenAccountStr) {
-            // For transferChecked, verify mint is USDC
-            if (type === 'transferChecked' && mint !== USDC_MINT.toBase58()) {
-              continue;
-            }
-            receivedAmount = parseInt(amount);
-            validPaymentFound = true;
-            break;
-          }
-        }
+  if (quote.status === 'paid' && quote.signature !== transactionSignature) {
+    return { error: { ...QUOTE_USED_RESULT } };
+  }
+
+  if (isQuoteExpired(quote, paidAt)) {
+    return {
+      error: {
+        valid: false,
+        code: 'QUOTE_EXPIRED',
+        error: `Quote expired at ${quote.expires_at}`,
+        message: 'The payment was made after the quote expired.',
+        action: 'Request the item again for a fresh quote. Contact support about the expired payment.',
+        expires_at: quote.expires_at
       }
+    };
+  }
+
+  return { quote };
+}
+
+// The quoted amount must be paid exactly. Returns an error result or null
+function checkPaymentAmount(adapter, receivedAmount, expectedAmountUSD) {
+  const receivedUSD = receivedAmount / Math.pow(10, adapter.decimals);
+  const expectedBaseUnits = Math.floor(expectedAmountUSD * Math.pow(10, adapter.decimals));
+
+  if (receivedAmount < expectedBaseUnits) {
+    return {
+      valid: false,
+      code: 'INSUFFICIENT_AMOUNT',
+      error: `Insufficient amount (expected ${expectedAmountUSD} ${adapter.symbol}, received ${receivedUSD} ${adapter.symbol})`,
+      message: `The payment amount is too low. You sent ${receivedUSD} ${adapter.symbol} but ${expectedAmountUSD} ${adapter.symbol} is required.`,
+      action: `Send an additional ${(expectedAmountUSD - receivedUSD).toFixed(6)} ${adapter.symbol} to complete the purchase`,
+      expected: expectedAmountUSD,
+      received: receivedUSD,
+      shortfall: expectedAmountUSD - receivedUSD
+    };
+  }
+
+  if (receivedAmount > expectedBaseUnits) {
+    return {
+      valid: false,
+      code: 'AMOUNT_MISMATCH',
+      error: `Amount does not match quote (expected ${expectedAmountUSD} ${adapter.symbol}, received ${receivedUSD} ${adapter.symbol})`,
+      message: `Payments must match the quoted price exactly. You sent ${receivedUSD} ${adapter.symbol} but the quote was for ${expectedAmountUSD} ${adapter.symbol}.`,
+      action: 'Contact support about the overpayment, and pay a fresh quote for the exact amount',
+      expected: expectedAmountUSD,
+      received: receivedUSD
+    };
+  }
+
+  return null;
+}
+
+// Verify a confirmed stablecoin payment. context.item is the item being
+// bought, context.network the x402 network the payment was made on
+// (default Solana), and context.reference is set for Solana Pay payments.
+// The amount comes from the quote named in the transaction's memo.
+async function verifyUSDCPayment(transactionSignature, context = {}) {
+  const adapters = getPaymentAdapters(context.network || X402_NETWORK);
+  if (adapters.length === 0) {
+    return { ...UNSUPPORTED_NETWORK_RESULT };
+  }
+
+  try {
+    // Check if transaction was already used (replay attack prevention)
+    if (await signatureStore.has(transactionSignature)) {
+      return { ...REPLAY_ATTACK_RESULT };
     }
 
-    if (!validPaymentFound) {
+    // Fetch the transaction once for the network
+    const fetched = await adapters[0].fetchTransaction(transactionSignature);
+    if (fetched.error) {
+      return fetched.error;
+    }
+
+    // Find the transfer of an accepted asset to us
+    const found = await findPayment(adapters, adapter =>
+      adapter.extractPayment(fetched.transaction, transactionSignature)
+    );
+    if (found.error) {
+      return found.error;
+    }
+    const { adapter, payment } = found;
+    const explorerUrl = adapter.explorerUrl(transactionSignature);
+
+    // Solana Pay flow: the transaction must carry the quote's reference key
+    if (context.reference && !(payment.accountKeys || []).includes(context.reference)) {
       return {
         valid: false,
-        code: 'WRONG_RECIPIENT',
-        error: 'Payment sent to wrong address',
-        message: 'No USDC transfer to our wallet was found in this transaction. You may have sent to the wrong address or sent SOL instead of USDC.',
-        action: 'Send USDC (not SOL) to the correct token account address',
-        correct_address: ourTokenAccountStr,
-        solscan_url: `https://solscan.io/tx/${transactionSignature}`
+        code: 'REFERENCE_MISMATCH',
+        error: 'Transaction does not include the payment reference',
+        message: 'This transaction was not made for this Solana Pay quote.',
+        action: 'Pay using the Solana Pay URL from the quote so the reference key is included',
+        solscan_url: explorerUrl
       };
     }
 
-    // Convert expected amount to base units
-    const expectedBaseUnits = Math.floor(expectedAmountUSDC * Math.pow(10, USDC_DECIMALS));
+    // The memo must name a valid quote for this item, paid before it expired
+    const binding = await checkQuoteBinding(payment.memos, context, payment.paidAt, explorerUrl, transactionSignature);
+    if (binding.error) {
+      return binding.error;
+    }
+    const { quote } = binding;
 
-    // Allow 1% tolerance for rounding
-    const tolerance = expectedBaseUnits * 0.01;
-    const minAmount = expectedBaseUnits - tolerance;
+    // The transfer must match the quoted price
+    const amountError = checkPaymentAmount(adapter, payment.amount, quote.amount);
+    if (amountError) {
+      return amountError;
+    }
 
-    if (receivedAmount < minAmount) {
-      const receivedUSDC = receivedAmount / Math.pow(10, USDC_DECIMALS);
-      return {
-        valid: false,
-        code: 'INSUFFICIENT_AMOUNT',
-        error: `Insufficient amount (expected ${expectedAmountUSDC} USDC, received ${receivedUSDC} USDC)`,
-        message: `The payment amount is too low. You sent ${receivedUSDC} USDC but ${expectedAmountUSDC} USDC is required.`,
-        action: `Send an additional ${(expectedAmountUSDC - receivedUSDC).toFixed(6)} USDC to complete the purchase`,
-        expected: expectedAmountUSDC,
-        received: receivedUSDC,
-        shortfall: expectedAmountUSDC - receivedUSDC
-      };
+    const amountReceived = payment.amount / Math.pow(10, adapter.decimals);
+
+    // Quotes are single use; the same memo in a second transaction is
+    // rejected. The quote is marked first, so if anything below fails the
+    // payment is not yet redeemed and the same proof can be retried.
+    if (!(await quoteStore.markPaid(quote.id, transactionSignature)) &&
+        (await quoteStore.get(quote.id))?.signature !== transactionSignature) {
+      console.error(`[x402] Quote ${quote.id} was paid twice, second signature: ${transactionSignature}`);
+      return { ...QUOTE_USED_RESULT };
     }
 
-    // Mark transaction as used
-    usedTransactionSignatures.add(transactionSignature);
+    // Mark transaction as used - the claim is atomic, so if a concurrent
+    // request redeemed the same signature while we were verifying, we lose
+    const claimed = await signatureStore.claim(transactionSignature, {
+      item: context.item,
+      amount: amountReceived,
+      asset: adapter.id,
+      network: adapter.network,
+      quote: quote.id
+    });
+    if (!claimed) {
+      return { ...REPLAY_ATTACK_RESULT };
+    }
 
     return {
       valid: true,
-      amountReceived: receivedAmount / Math.pow(10, USDC_DECIMALS),
-      transactionSignature
+      amountReceived,
+      currency: adapter.symbol,
+      network: adapter.network,
+      asset: adapter.id,
+      transactionSignature,
+      quoteId: quote.id,
+      quoteVersion: quote.version || null,
+      payer: payment.payer
     };
 
   } catch (error) {
@@ -165,6 +407,84 @@ async function verifyUSDCPayment(transactionSignature, expectedAmountUSDC) {
   }
 }
 
+// Pre-signed submission: the client sends a signed but unsent Solana
+// transaction, we check the quote and transfer before broadcasting it, wait
+// for confirmation and then run the normal signature verification (which
+// also claims the ledger)
+async function submitUSDCPayment(serializedTransaction, context = {}) {
+  const adapters = getPaymentAdapters(X402_NETWORK);
+  const decoded = usdcAdapter.decodeSignedTransaction(serializedTransaction);
+  if (decoded.error) {
+    return decoded.error;
+  }
+  const { transaction, signature: transactionSignature } = decoded;
+
+  try {
+    if (await signatureStore.has(transactionSignature)) {
+      return { ...REPLAY_ATTACK_RESULT };
+    }
+
+    // Check the quote and transfer before broadcasting so bad payments never land on chain
+    const found = await findPayment(adapters, adapter =>
+      adapter.extractSignedPayment(transaction, transactionSignature)
+    );
+    if (found.error) {
+      return found.error;
+    }
+
+    const binding = await checkQuoteBinding(found.payment.memos, context, Date.now(), null, transactionSignature);
+    if (binding.error) {
+      return binding.error;
+    }
+
+    const amountError = checkPaymentAmount(found.adapter, found.payment.amount, binding.quote.amount);
+    if (amountError) {
+      return amountError;
+    }
+  } catch (error) {
+    console.error('Payment pre-check error:', error);
+    return {
+      valid: false,
+      code: 'VERIFICATION_ERROR',
+      error: `Verification failed: ${error.message}`,
+      message: 'An error occurred while checking your transaction. It has not been submitted.',
+      action: 'Retry the request. If the issue persists, contact support.'
+    };
+  }
+
+  try {
+    await usdcAdapter.broadcast(transaction);
+  } catch (error) {
+    console.error('Payment submission error:', error);
+    return {
+      valid: false,
+      code: 'TX_SUBMIT_FAILED',
+      error: `Transaction submission failed: ${error.message}`,
+      message: 'The transaction was rejected by the Solana network. It may have an expired blockhash or insufficient funds.',
+      action: 'Build and sign a new transaction with a recent blockhash, then retry.'
+    };
+  }
+
+  const confirmation = await usdcAdapter.waitForConfirmation(transactionSignature, SUBMIT_CONFIRM_TIMEOUT_MS);
+  if (!confirmation.confirmed) {
+    return {
+      valid: false,
+      code: confirmation.err ? 'TX_FAILED' : 'TX_NOT_FOUND',
+      error: confirmation.err ? 'Transaction failed' : 'Transaction was not confirmed in time',
+      message: confirmation.err
+        ? 'The transaction was submitted but failed on chain.'
+        : 'The transaction was submitted but has not been confirmed yet.',
+      action: confirmation.err
+        ? 'Check the transaction on Solscan and send a new payment.'
+        : 'Retry with the transaction signature in the x-payment-proof header once it confirms.',
+      transactionSignature,
+      solscan_url: usdcAdapter.explorerUrl(transactionSignature)
+    };
+  }
+
+  return verifyUSDCPayment(transactionSignature, { ...context, network: X402_NETWORK });
+}
+
 // ============================================
 // EXPRESS MIDDLEWARE
 // ============================================
@@ -177,276 +497,173 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
-// Inventory - Premium API documentation content
-// Organized by category with pricing tiers based on complexity
-const INVENTORY = {
-  // ============================================
-  // AI / LLM DOCUMENTATION
-  // ============================================
-  'openai-python': {
-    name: 'OpenAI Python SDK',
-    content: `# OpenAI Python SDK Documentation (2026 Edition)\n\n## Chat Completions\n\n\`\`\`python\nfrom openai import OpenAI\nclient = OpenAI()\nresponse = client.chat.completions.create(\n    model="gpt-5-turbo",\n    messages=[{"role": "user", "content": "Hello!"}]\n)\n\`\`\`\n\n## Features\n- Native multimodal input\n- Real-time streaming v2\n- Context window: 1M tokens`,
-    price: 0.002,
-    category: 'ai',
-    icon: '🤖',
-    docs: 'https://platform.openai.com/docs'
-  },
-  'anthropic-claude': {
-    name: 'Anthropic Claude SDK',
-    content: `# Anthropic Claude SDK Documentation (2026 Edition)\n\n## Messages API\n\n\`\`\`python\nimport anthropic\nclient = anthropic.Anthropic()\nmessage = client.messages.create(\n    model="claude-4-opus",\n    max_tokens=1024,\n    messages=[{"role": "user", "content": "Hello, Claude!"}]\n)\n\`\`\`\n\n## Features\n- Extended thinking mode\n- Computer use capabilities\n- 500K context window`,
-    price: 0.002,
-    category: 'ai',
-    icon: '🧠',
-    docs: 'https://docs.anthropic.com'
-  },
-  'langchain-python': {
-    name: 'LangChain Python',
-    content: `# LangChain Python Documentation (2026 Edition)\n\n## Chains & Agents\n\n\`\`\`python\nfrom langchain_openai import ChatOpenAI\nfrom langchain.agents import create_tool_calling_agent\n\nllm = ChatOpenAI(model="gpt-5-turbo")\nagent = create_tool_calling_agent(llm, tools, prompt)\n\`\`\`\n\n## Features\n- LangGraph integration\n- Tool calling agents\n- RAG pipelines`,
-    price: 0.002,
-    category: 'ai',
-    icon: '🦜',
-    docs: 'https://python.langchain.com/docs'
-  },
-  'langchain-js': {
-    name: 'LangChain JS',
-    content: `# LangChain JS Documentation (2026 Edition)\n\n## Chains & Agents\n\n\`\`\`typescript\nimport { ChatOpenAI } from "@langchain/openai";\nimport { createToolCallingAgent } from "langchain/agents";\n\nconst llm = new ChatOpenAI({ model: "gpt-5-turbo" });\nconst agent = createToolCallingAgent({ llm, tools, prompt });\n\`\`\``,
-    price: 0.002,
-    category: 'ai',
-    icon: '🦜',
-    docs: 'https://js.langchain.com/docs'
-  },
-  'huggingface-transformers': {
-    name: 'Hugging Face Transformers',
-    content: `# Hugging Face Transformers Documentation (2026 Edition)\n\n## Pipeline API\n\n\`\`\`python\nfrom transformers import pipeline\n\nclassifier = pipeline("sentiment-analysis")\nresult = classifier("I love using transformers!")\n\`\`\`\n\n## Features\n- 500K+ pretrained models\n- AutoModel classes\n- Trainer API`,
-    price: 0.002,
-    category: 'ai',
-    icon: '🤗',
-    docs: 'https://huggingface.co/docs/transformers'
-  },
+// Inventory - Premium API documentation content. registry.json says what we
+// sell (and where watchtower gets it), content/ holds the markdown for each
+// version (see lib/content-store.js). INVENTORY is always the current
+// version of every item and is replaced when the files change. The registry
+// is reloaded with it, so a source `watchtower add-source` registers goes on
+// sale without a restart.
+const contentStore = createContentStore({
+  registryPath: REGISTRY_PATH,
+  // Fails startup (or rejects a content reload) unless every registered
+  // item has content, all content is registered and every version came
+  // from one of its item's own releases
+  validate: (inventory, documents, registry) => checkConsistency(registry, Object.keys(inventory), {
+    documents,
+    versionDb: loadVersionDb()
+  })
+});
+let INVENTORY = contentStore.getInventory();
+let registry = contentStore.getRegistry();
+contentStore.onReload(inventory => {
+  INVENTORY = inventory;
+  registry = contentStore.getRegistry();
+});
 
-  // ============================================
-  // PAYMENTS / FINTECH
-  // ============================================
-  'stripe-node': {
-    name: 'Stripe Node.js SDK',
-    content: `# Stripe Node.js Documentation (2026 Edition)\n\n## Payment Intents\n\n\`\`\`javascript\nconst stripe = require('stripe')('sk_test_xxx');\n\nconst paymentIntent = await stripe.paymentIntents.create({\n  amount: 2000,\n  currency: 'usd',\n  payment_method_types: ['card'],\n});\n\`\`\`\n\n## Features\n- Neural payment verification\n- Quantum-resistant encryption\n- AI fraud detection v3`,
-    price: 0.001,
-    category: 'payments',
-    icon: '💳',
-    docs: 'https://stripe.com/docs/api'
-  },
+// /buy/nextjs@v16.3.2 -> { item: 'nextjs', version: 'v16.3.2' }
+function parseItemParam(param) {
+  const at = param.indexOf('@');
+  if (at === -1) return { item: param, version: null };
+  return { item: param.slice(0, at), version: param.slice(at + 1) };
+}
 
-  // ============================================
-  // WEB FRAMEWORKS
-  // ============================================
-  'nextjs': {
-    name: 'Next.js',
-    content: `# Next.js Documentation (2026 Edition)\n\n## App Router\n\n\`\`\`typescript\n// app/page.tsx\nexport default function Page() {\n  return <h1>Hello, Next.js!</h1>\n}\n\`\`\`\n\n## Features\n- Server Components by default\n- Streaming & Suspense\n- Turbopack bundler`,
-    price: 0.002,
-    category: 'framework',
-    icon: '▲',
-    docs: 'https://nextjs.org/docs'
-  },
-  'remix': {
-    name: 'Remix',
-    content: `# Remix Documentation (2026 Edition)\n\n## Loaders & Actions\n\n\`\`\`typescript\nexport async function loader({ request }) {\n  const user = await getUser(request);\n  return json({ user });\n}\n\`\`\`\n\n## Features\n- Nested routing\n- Progressive enhancement\n- Web standards focused`,
-    price: 0.002,
-    category: 'framework',
-    icon: '💿',
-    docs: 'https://remix.run/docs'
-  },
-  'astro': {
-    name: 'Astro',
-    content: `# Astro Documentation (2026 Edition)\n\n## Components\n\n\`\`\`astro\n---\nconst name = "Astro";\n---\n<h1>Hello, {name}!</h1>\n\`\`\`\n\n## Features\n- Zero JS by default\n- Content collections\n- Island architecture`,
-    price: 0.002,
-    category: 'framework',
-    icon: '🚀',
-    docs: 'https://docs.astro.build'
-  },
+// Bundle ids that include an item - a bundle purchase covers its members
+function getBundlesContaining(item) {
+  return Object.keys(INVENTORY).filter(id => INVENTORY[id].items?.includes(item));
+}
 
-  // ============================================
-  // COMMUNICATION
-  // ============================================
-  'twilio-node': {
-    name: 'Twilio Node.js SDK',
-    content: `# Twilio Node.js Documentation (2026 Edition)\n\n## Send SMS\n\n\`\`\`javascript\nconst twilio = require('twilio');\nconst client = twilio(accountSid, authToken);\n\nawait client.messages.create({\n  body: 'Hello from Twilio!',\n  to: '+1234567890',\n  from: '+0987654321'\n});\n\`\`\``,
-    price: 0.001,
-    category: 'communication',
-    icon: '📱',
-    docs: 'https://www.twilio.com/docs'
-  },
-  'sendgrid-node': {
-    name: 'SendGrid Node.js SDK',
-    content: `# SendGrid Node.js Documentation (2026 Edition)\n\n## Send Email\n\n\`\`\`javascript\nconst sgMail = require('@sendgrid/mail');\nsgMail.setApiKey(process.env.SENDGRID_API_KEY);\n\nawait sgMail.send({\n  to: 'user@example.com',\n  from: 'sender@example.com',\n  subject: 'Hello',\n  text: 'Hello from SendGrid!'\n});\n\`\`\``,
-    price: 0.001,
-    category: 'communication',
-    icon: '📧',
-    docs: 'https://docs.sendgrid.com'
-  },
+// How current a document is against the latest upstream release (see
+// lib/freshness.js). db is a loaded version_db.json, so callers covering
+// many items read it once.
+function getFreshness(document, db = loadVersionDb()) {
+  if (document.items) {
+    return describeBundleFreshness(Object.fromEntries(
+      document.items.map(member => [member, getFreshness(INVENTORY[member], db)])));
+  }
+  return describeFreshness(document, db.repos[document.repo]);
+}
 
-  // ============================================
-  // DATABASE
-  // ============================================
-  'supabase-js': {
-    name: 'Supabase JS',
-    content: `# Supabase JS Documentation (2026 Edition)\n\n## Client Setup\n\n\`\`\`javascript\nimport { createClient } from '@supabase/supabase-js';\nconst supabase = createClient(url, key);\n\nconst { data } = await supabase\n  .from('posts')\n  .select('*');\n\`\`\`\n\n## Features\n- Realtime subscriptions\n- Auth & Storage\n- Edge Functions`,
-    price: 0.002,
-    category: 'database',
-    icon: '⚡',
-    docs: 'https://supabase.com/docs'
-  },
-  'mongodb-node': {
-    name: 'MongoDB Node.js Driver',
-    content: `# MongoDB Node.js Documentation (2026 Edition)\n\n## CRUD Operations\n\n\`\`\`javascript\nconst { MongoClient } = require('mongodb');\nconst client = new MongoClient(uri);\n\nconst db = client.db('mydb');\nconst docs = await db.collection('users').find({}).toArray();\n\`\`\``,
-    price: 0.001,
-    category: 'database',
-    icon: '🍃',
-    docs: 'https://www.mongodb.com/docs/drivers/node/current'
-  },
-  'planetscale-js': {
-    name: 'PlanetScale Database JS',
-    content: `# PlanetScale JS Documentation (2026 Edition)\n\n## Serverless Driver\n\n\`\`\`javascript\nimport { connect } from '@planetscale/database';\nconst conn = connect({ url: process.env.DATABASE_URL });\n\nconst results = await conn.execute('SELECT * FROM users');\n\`\`\``,
-    price: 0.001,
-    category: 'database',
-    icon: '🪐',
-    docs: 'https://planetscale.com/docs'
-  },
-  'prisma': {
-    name: 'Prisma ORM',
-    content: `# Prisma Documentation (2026 Edition)\n\n## Client Usage\n\n\`\`\`typescript\nimport { PrismaClient } from '@prisma/client';\nconst prisma = new PrismaClient();\n\nconst users = await prisma.user.findMany({\n  include: { posts: true }\n});\n\`\`\`\n\n## Features\n- Type-safe queries\n- Auto-generated migrations\n- Prisma Studio`,
-    price: 0.002,
-    category: 'database',
-    icon: '🔷',
-    docs: 'https://www.prisma.io/docs'
-  },
-  'drizzle-orm': {
-    name: 'Drizzle ORM',
-    content: `# Drizzle ORM Documentation (2026 Edition)\n\n## Query Builder\n\n\`\`\`typescript\nimport { drizzle } from 'drizzle-orm/node-postgres';\nimport { users } from './schema';\n\nconst db = drizzle(pool);\nconst allUsers = await db.select().from(users);\n\`\`\`\n\n## Features\n- SQL-like syntax\n- Zero dependencies\n- Drizzle Kit migrations`,
-    price: 0.002,
-    category: 'database',
-    icon: '💧',
-    docs: 'https://orm.drizzle.team/docs'
-  },
+// Catalog view of a document's sections (see lib/sections.js). param is the
+// item as requested, so a pinned version stays pinned in the purchase links.
+function describeSections(param, document) {
+  return getSections(document).map(({ id, title, tokens, price }) => ({
+    id,
+    title,
+    tokens,
+    price,
+    purchase: `/buy/${param}/sections/${id}`
+  }));
+}
 
-  // ============================================
-  // INFRASTRUCTURE
-  // ============================================
-  'vercel': {
-    name: 'Vercel CLI & SDK',
-    content: `# Vercel Documentation (2026 Edition)\n\n## Deploy\n\n\`\`\`bash\n# Deploy to production\nvercel --prod\n\n# Set environment variables\nvercel env add SECRET production\n\`\`\`\n\n## Features\n- Edge Functions\n- Preview deployments\n- Analytics & Speed Insights`,
-    price: 0.001,
-    category: 'infrastructure',
-    icon: '▲',
-    docs: 'https://vercel.com/docs'
-  },
-  'railway': {
-    name: 'Railway CLI',
-    content: `# Railway Documentation (2026 Edition)\n\n## Deploy\n\n\`\`\`bash\n# Deploy from current directory\nrailway up\n\n# Link to project\nrailway link\n\`\`\`\n\n## Features\n- Instant deployments\n- Database provisioning\n- Automatic scaling`,
-    price: 0.001,
-    category: 'infrastructure',
-    icon: '🚂',
-    docs: 'https://docs.railway.app'
-  },
+// x402 `accepts` array: every way this purchase can be paid for, one entry
+// per payment adapter (Solana USDC first). sections is set for a section
+// purchase (see lib/sections.js).
+async function buildPaymentRequirements(req, inventoryItem, price, sections = null) {
+  const description = `${inventoryItem.name} ${inventoryItem.version} documentation` +
+    (sections ? ` - ${sections.map(section => section.title).join(', ')}` : '');
+  return Promise.all(paymentAdapters.map(async adapter => {
+    const { payTo, extra } = await adapter.describe();
+    return x402.buildPaymentRequirements({
+      network: adapter.network,
+      amountBaseUnits: Math.floor(price * Math.pow(10, adapter.decimals)),
+      resource: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`,
+      description,
+      payTo,
+      asset: adapter.asset,
+      extra
+    });
+  }));
+}
 
-  // ============================================
-  // WEB3 / BLOCKCHAIN
-  // ============================================
-  'wagmi': {
-    name: 'wagmi',
-    content: `# wagmi Documentation (2026 Edition)\n\n## React Hooks\n\n\`\`\`typescript\nimport { useAccount, useConnect } from 'wagmi';\n\nfunction App() {\n  const { address, isConnected } = useAccount();\n  const { connect, connectors } = useConnect();\n}\n\`\`\`\n\n## Features\n- 40+ React hooks\n- TypeScript native\n- Wallet connectors`,
-    price: 0.002,
-    category: 'web3',
-    icon: '🔗',
-    docs: 'https://wagmi.sh'
-  },
-  'viem': {
-    name: 'viem',
-    content: `# viem Documentation (2026 Edition)\n\n## Client Setup\n\n\`\`\`typescript\nimport { createPublicClient, http } from 'viem';\nimport { mainnet } from 'viem/chains';\n\nconst client = createPublicClient({\n  chain: mainnet,\n  transport: http()\n});\n\`\`\`\n\n## Features\n- TypeScript native\n- Modular & tree-shakeable\n- 99% test coverage`,
-    price: 0.002,
-    category: 'web3',
-    icon: '💎',
-    docs: 'https://viem.sh'
-  },
-  'solana-web3': {
-    name: 'Solana Web3.js',
-    content: `# Solana Web3.js Documentation (2026 Edition)\n\n## Transaction\n\n\`\`\`javascript\nimport { Connection, PublicKey } from '@solana/web3.js';\n\nconst connection = new Connection('https://api.mainnet-beta.solana.com');\nconst balance = await connection.getBalance(publicKey);\n\`\`\`\n\n## Features\n- Full RPC client\n- Transaction building\n- Account management`,
-    price: 0.002,
-    category: 'web3',
-    icon: '◎',
-    docs: 'https://solana-labs.github.io/solana-web3.js'
-  },
-  'ethers': {
-    name: 'Ethers.js',
-    content: `# Ethers.js Documentation (2026 Edition)\n\n## Provider & Signer\n\n\`\`\`javascript\nimport { ethers } from 'ethers';\n\nconst provider = new ethers.BrowserProvider(window.ethereum);\nconst signer = await provider.getSigner();\nconst balance = await provider.getBalance(address);\n\`\`\``,
-    price: 0.002,
-    category: 'web3',
-    icon: '⟠',
-    docs: 'https://docs.ethers.org'
-  },
+// Human-readable summary of the accepts array for the legacy 402 body
+function describePaymentOptions(accepts) {
+  return accepts.map((requirements, index) => ({
+    id: paymentAdapters[index].id,
+    network: requirements.network,
+    currency: paymentAdapters[index].symbol,
+    asset: requirements.asset,
+    pay_to: requirements.extra?.tokenAccount || requirements.payTo,
+    amount_base_units: requirements.maxAmountRequired
+  }));
+}
 
-  // ============================================
-  // TESTING
-  // ============================================
-  'vitest': {
-    name: 'Vitest',
-    content: `# Vitest Documentation (2026 Edition)\n\n## Test Example\n\n\`\`\`typescript\nimport { describe, it, expect } from 'vitest';\n\ndescribe('math', () => {\n  it('adds numbers', () => {\n    expect(1 + 1).toBe(2);\n  });\n});\n\`\`\`\n\n## Features\n- Vite-native\n- Jest compatible\n- Browser mode`,
-    price: 0.001,
-    category: 'testing',
-    icon: '⚡',
-    docs: 'https://vitest.dev'
-  },
-  'playwright': {
-    name: 'Playwright',
-    content: `# Playwright Documentation (2026 Edition)\n\n## E2E Test\n\n\`\`\`typescript\nimport { test, expect } from '@playwright/test';\n\ntest('homepage', async ({ page }) => {\n  await page.goto('https://example.com');\n  await expect(page).toHaveTitle(/Example/);\n});\n\`\`\`\n\n## Features\n- Cross-browser testing\n- Auto-wait & assertions\n- Trace viewer`,
-    price: 0.001,
-    category: 'testing',
-    icon: '🎭',
-    docs: 'https://playwright.dev/docs'
-  },
+// Every accepted payment option - for /payment-info and /.well-known/x402
+async function describeAcceptedPayments() {
+  return Promise.all(paymentAdapters.map(async adapter => {
+    const { payTo, extra } = await adapter.describe();
+    return {
+      id: adapter.id,
+      network: adapter.network,
+      currency: adapter.symbol,
+      name: adapter.name,
+      asset: adapter.asset,
+      decimals: adapter.decimals,
+      pay_to: extra?.tokenAccount || payTo
+    };
+  }));
+}
 
-  // ============================================
-  // BUNDLES
-  // ============================================
-  'bundle-ai': {
-    name: 'AI/LLM Bundle',
-    content: `# AI/LLM Documentation Bundle\n\nIncludes all AI documentation:\n- OpenAI Python SDK\n- Anthropic Claude SDK\n- LangChain Python & JS\n- Hugging Face Transformers\n\n*Complete documentation delivered upon purchase*`,
-    price: 0.008,
-    category: 'bundle',
-    icon: '📦',
-    docs: '/catalog'
-  },
-  'bundle-web3': {
-    name: 'Web3 Bundle',
-    content: `# Web3 Documentation Bundle\n\nIncludes all Web3 documentation:\n- wagmi\n- viem\n- Solana Web3.js\n- Ethers.js\n\n*Complete documentation delivered upon purchase*`,
-    price: 0.006,
-    category: 'bundle',
-    icon: '📦',
-    docs: '/catalog'
-  },
-  'bundle-all': {
-    name: 'Complete Bundle',
-    content: `# Complete Documentation Bundle\n\nIncludes ALL 24 documentation packages:\n- 5 AI/LLM libraries\n- 5 Database libraries\n- 4 Web3 libraries\n- 3 Web frameworks\n- And more...\n\n*Best value - save 50%*`,
-    price: 0.025,
-    category: 'bundle',
-    icon: '🎁',
-    docs: '/catalog'
+// Public view of a quote (the claim token is only shown inside status_url)
+function describeQuote(quote) {
+  return {
+    id: quote.id,
+    item: quote.item,
+    ...(quote.version && { version: quote.version }),
+    amount_usdc: quote.amount,
+    amount_base_units: Math.floor(quote.amount * Math.pow(10, USDC_DECIMALS)),
+    memo: quote.memo,
+    expires_at: quote.expires_at,
+    usage: 'Include memo as an SPL Memo instruction in your payment and send exactly the quoted amount before expires_at'
+  };
+}
+
+// Describe how to pay a quote with Solana Pay
+function buildSolanaPayDetails(req, quote, inventoryItem) {
+  if (!SOLANA_WALLET_ADDRESS) {
+    return null;
   }
-};
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  return {
+    quote_id: quote.id,
+    reference: quote.reference,
+    url: solanaPay.buildTransferRequestURL({
+      recipient: SOLANA_WALLET_ADDRESS,
+      amount: quote.amount,
+      splToken: USDC_MINT.toBase58(),
+      reference: quote.reference,
+      label: 'ContextNow',
+      message: `${inventoryItem.name} documentation`,
+      memo: quote.memo
+    }),
+    transaction_request_url: solanaPay.buildTransactionRequestURL(`${baseUrl}/solana-pay/${quote.reference}`),
+    status_url: `/solana-pay/${quote.reference}/status?token=${quote.claim_token}`,
+    usage: 'Show url or transaction_request_url as a QR code, then poll status_url until the content is returned'
+  };
+}
 
 // x402 Payment Required Middleware (USDC-SPL on Solana)
 async function x402Middleware(req, res, next) {
-  // Check both headers and query params for payment proof
-  const paymentProof = req.headers['x-payment-proof'] ||
-                       req.headers['authorization'] ||
-                       req.query.payment_proof ||
-                       req.query.proof;
-  const item = req.params.item;
-  const inventoryItem = INVENTORY[item];
+  // Standard x402 clients send X-PAYMENT; legacy clients send the bare
+  // signature in a header or query param
+  const xPaymentHeader = req.headers['x-payment'];
+  let paymentProof = req.headers['x-payment-proof'] ||
+                     req.headers['authorization'] ||
+                     req.query.payment_proof ||
+                     req.query.proof;
+  // Pre-signed transaction for the server to broadcast
+  let paymentTransaction = req.headers['x-payment-transaction'];
+  // Network of a legacy proof, when it can't be told from the proof itself
+  let paymentNetwork = req.headers['x-payment-network'];
+  const { item, version } = parseItemParam(req.params.item);
+  const inventoryItem = contentStore.resolve(item, version);
 
   // DEBUG: Log incoming request details
   console.log('\n[x402] === Payment Request ===');
   console.log('[x402] Item:', item);
   console.log('[x402] Headers:', JSON.stringify({
+    'x-payment': xPaymentHeader ? `${xPaymentHeader.substring(0, 20)}...` : undefined,
     'x-payment-proof': req.headers['x-payment-proof'],
     'authorization': req.headers['authorization']
   }));
@@ -454,7 +671,7 @@ async function x402Middleware(req, res, next) {
   console.log('[x402] Payment proof received:', paymentProof ? `"${paymentProof.substring(0, 20)}..."` : 'NONE');
 
   // Item doesn't exist
-  if (!inventoryItem) {
+  if (!INVENTORY[item]) {
     console.log('[x402] ERROR: Item not found');
     return res.status(404).json({
       error: 'Not Found',
@@ -463,41 +680,198 @@ async function x402Middleware(req, res, next) {
     });
   }
 
+  // Item exists, but not in the requested version
+  if (!inventoryItem) {
+    console.log('[x402] ERROR: Version not found -', version);
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Version '${version}' of '${item}' is not available`,
+      available_versions: contentStore.listVersions(item),
+      usage: `/buy/${item}@<version>, or /buy/${item}@latest`
+    });
+  }
+
+  // /buy/:item/sections/:sections sells part of the document under its own
+  // purchase key, at the sections' price
+  let selection = null;
+  if (req.params.sections !== undefined) {
+    selection = selectSections(inventoryItem, req.params.sections);
+    if (selection.error) {
+      console.log('[x402] ERROR: Sections not available -', selection.error);
+      return res.status(inventoryItem.items ? 400 : 404).json({
+        error: inventoryItem.items ? 'Bad Request' : 'Not Found',
+        message: selection.error,
+        ...(!inventoryItem.items && {
+          available_sections: getSections(inventoryItem).map(section => section.id)
+        }),
+        usage: `/buy/${req.params.item}/sections/<id>, or /buy/${req.params.item}/sections/<id>,<id> for several`
+      });
+    }
+  }
+  const purchaseKey = selection ? sectionPurchaseKey(item, selection.sections) : item;
+  const price = selection ? selection.price : inventoryItem.price;
+  // Version a payment must have been quoted for (null: any, see checkQuoteBinding)
+  const pinnedVersion = version && version !== 'latest' ? inventoryItem.version : null;
+
+  req.item = item;
+  req.inventoryItem = inventoryItem;
+  req.sections = selection;
+
+  // Receipt from a previous purchase - re-deliver without a new payment
+  const receiptToken = req.headers['x-payment-receipt'] || req.query.receipt;
+  if (receiptToken) {
+    console.log('[x402] BRANCH: Receipt presented - verifying');
+    const receipt = receiptService.verify(receiptToken, purchaseKey);
+    // The signature must still be in the ledger, redeemed for this purchase
+    // or (for a whole item) a bundle that includes it
+    const record = receipt.valid ? await signatureStore.get(receipt.claims.sig) : null;
+    const coversItem = record && (record.item === purchaseKey ||
+      (!selection && getBundlesContaining(item).includes(record.item)));
+
+    if (!receipt.valid || !coversItem) {
+      console.log('[x402] BRANCH: Receipt rejected -', receipt.code || 'NOT_IN_LEDGER');
+      return res.status(402).json({
+        error: 'Receipt Verification Failed',
+        code: receipt.code || 'INVALID_RECEIPT',
+        reason: receipt.error || 'Receipt does not match a recorded purchase',
+        action_required: 'Purchase the item again with a new USDC payment',
+        info_endpoint: '/payment-info',
+        support: 'support@contextnow.dev'
+      });
+    }
+
+    receiptService.logRedelivery({
+      item: purchaseKey,
+      transactionSignature: receipt.claims.sig,
+      issued_at: new Date(receipt.claims.iat * 1000).toISOString(),
+      ip: req.ip
+    });
+    req.paymentInfo = {
+      method: 'receipt',
+      transactionSignature: receipt.claims.sig,
+      receipt_expires_at: new Date(receipt.claims.exp * 1000).toISOString()
+    };
+    req.isRedelivery = true;
+    return next();
+  }
+
+  // Prepaid credits - debit the account's balance instead of a transaction
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const account = authenticateCreditAccount(req, res);
+    if (!account) return;
+
+    const amount = Math.floor(price * Math.pow(10, USDC_DECIMALS));
+    let debit;
+    try {
+      debit = await creditLedger.debit(account.id, amount, { item: purchaseKey });
+    } catch (error) {
+      console.error('[x402] Credit debit error:', error);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        code: 'CREDITS_UNAVAILABLE',
+        reason: 'The credit ledger could not be updated',
+        action_required: 'Your balance was not debited. Retry the request, or pay for this item directly without x-api-key.',
+        support: 'support@contextnow.dev'
+      });
+    }
+
+    if (!debit.ok) {
+      console.log('[x402] BRANCH: Credit debit FAILED - insufficient balance');
+      return res.status(402).json({
+        error: 'Insufficient Credits',
+        code: 'INSUFFICIENT_CREDITS',
+        reason: `Balance ${debit.balance / Math.pow(10, USDC_DECIMALS)} USDC is less than the price ${price} USDC`,
+        action_required: 'Top up your balance with POST /credits/topup, or pay for this item directly without x-api-key',
+        balance_usdc: debit.balance / Math.pow(10, USDC_DECIMALS),
+        required_usdc: price,
+        support: 'support@contextnow.dev'
+      });
+    }
+
+    console.log('[x402] BRANCH: Paid with credits -', account.id);
+    req.paymentInfo = {
+      method: 'credits',
+      account: account.id,
+      balance_usdc: debit.entry.balance / Math.pow(10, USDC_DECIMALS)
+    };
+    return next();
+  }
+
+  const accepts = await buildPaymentRequirements(req, inventoryItem, price, selection?.sections);
+  const usdcTokenAccount = accepts[0].extra.tokenAccount;
+
+  // Standard x402 payment header takes precedence over legacy proofs
+  if (xPaymentHeader) {
+    const parsed = x402.parsePaymentHeader(xPaymentHeader, accepts);
+    const payload = parsed.valid ? parsed.payment.payload : {};
+
+    if (!payload.signature && !payload.transaction) {
+      const error = parsed.error || 'X-PAYMENT payload must contain a transaction or transaction signature';
+      console.log('[x402] BRANCH: Invalid X-PAYMENT header -', error);
+      return res.status(402).json({
+        ...x402.buildPaymentRequiredBody(accepts, error),
+        code: 'INVALID_PAYMENT_HEADER'
+      });
+    }
+    paymentProof = payload.signature;
+    paymentTransaction = payload.transaction;
+    paymentNetwork = parsed.payment.network;
+  }
+
   // No payment proof provided - return 402 Payment Required
-  if (!paymentProof) {
+  if (!paymentProof && !paymentTransaction) {
     console.log('[x402] BRANCH: No payment proof - returning payment instructions');
-    let usdcTokenAccount = null;
-    try {
-      if (SOLANA_WALLET_ADDRESS) {
-        usdcTokenAccount = (await getOurUSDCTokenAccount()).toBase58();
-      }
-    } catch (e) {
-      console.error('Error getting USDC token account:', e.message);
-    }
+    if (!takeQuote(req, res)) return;
+    // Section quotes pin the version, so the sections paid for are the
+    // ones delivered even if the content changes before payment
+    const quote = await quoteStore.create({
+      item: purchaseKey,
+      version: (version || selection) && inventoryItem.version,
+      amount: price
+    });
+    accepts.forEach(requirements => {
+      requirements.extra = { ...requirements.extra, quoteId: quote.id, memo: quote.memo, expiresAt: quote.expires_at };
+    });
+
+    const paymentRequired = x402.buildPaymentRequiredBody(accepts, 'Payment Required');
+    res.setHeader('PAYMENT-REQUIRED', x402.encodeHeader(paymentRequired));
 
     return res.status(402).json({
-      error: 'Payment Required',
+      ...paymentRequired,
       message: 'This content requires USDC micropayment on Solana',
       pricing: {
         item: item,
-        amount: inventoryItem.price,
+        ...(selection && {
+          sections: selection.sections.map(({ id, title, tokens, price }) => ({ id, title, tokens, price })),
+          tokens: selection.tokens,
+          full_item_price: inventoryItem.price
+        }),
+        amount: price,
         currency: 'USDC',
-        network: 'Solana (Mainnet)'
+        network: SOLANA_NETWORK.label
       },
+      quote: describeQuote(quote),
       payment_instructions: {
-        step1: 'Get USDC on Solana (swap SOL for USDC on Jupiter, Raydium, or buy on exchange)',
-        step2: `Send exactly ${inventoryItem.price} USDC to our wallet`,
-        step3: 'Include the transaction signature in x-payment-proof header',
+        step1: `Get USDC on ${SOLANA_NETWORK.label}: ${SOLANA_NETWORK.getUsdc}`,
+        step2: `Send exactly ${quote.amount} USDC to our wallet with the memo "${quote.memo}" before ${quote.expires_at}`,
+        step3: 'Include the transaction signature (or 0x transaction hash for EVM payments) in x-payment-proof header',
         step4: 'Retry this request with the header'
       },
       payment_details: {
         wallet_address: SOLANA_WALLET_ADDRESS || 'Not configured',
         usdc_token_account: usdcTokenAccount || 'Not configured',
         usdc_mint: USDC_MINT.toBase58(),
-        amount_usdc: inventoryItem.price,
-        amount_base_units: Math.floor(inventoryItem.price * Math.pow(10, USDC_DECIMALS))
+        amount_usdc: price,
+        amount_base_units: Math.floor(price * Math.pow(10, USDC_DECIMALS))
       },
+      payment_options: describePaymentOptions(accepts),
+      solana_pay: buildSolanaPayDetails(req, quote, inventoryItem),
       example_header: 'x-payment-proof: <your-solana-transaction-signature>',
+      credits_header: 'x-api-key: <your-api-key> (pays from a prepaid balance, see POST /credits/accounts)',
+      receipt_header: 'x-payment-receipt: <receipt-token-from-a-previous-purchase>',
+      x402_header: 'X-PAYMENT: <base64 JSON { x402Version: 1, scheme: "exact", network, payload: { signature } or { transaction } }> for a payment carrying accepts[].extra.memo',
+      presigned_header: 'x-payment-transaction: <base64 signed transaction - we broadcast it and return the content once confirmed>',
       info_endpoint: '/payment-info',
       support: 'support@contextnow.dev'
     });
@@ -509,29 +883,32 @@ async function x402Middleware(req, res, next) {
     return next();
   }
 
-  // Verify USDC payment on Solana
-  console.log('[x402] BRANCH: Verifying USDC payment on Solana...');
-  console.log('[x402] Calling verifyUSDCPayment with:', {
-    signature: paymentProof.substring(0, 20) + '...',
-    expectedAmount: inventoryItem.price
-  });
-
-  const verification = await verifyUSDCPayment(paymentProof, inventoryItem.price);
+  let verification;
+  if (paymentTransaction) {
+    // Broadcast the client's pre-signed transaction, then verify it
+    console.log('[x402] BRANCH: Submitting pre-signed USDC transaction...');
+    verification = await submitUSDCPayment(paymentTransaction, { item: purchaseKey, version: pinnedVersion });
+  } else {
+    // Verify USDC payment on Solana
+    console.log('[x402] BRANCH: Verifying USDC payment on Solana...');
+    console.log('[x402] Calling verifyUSDCPayment with:', {
+      signature: paymentProof.substring(0, 20) + '...',
+      item: purchaseKey
+    });
+    verification = await verifyUSDCPayment(paymentProof, {
+      item: purchaseKey,
+      version: pinnedVersion,
+      network: paymentNetwork || inferPaymentNetwork(paymentProof)
+    });
+  }
 
   console.log('[x402] Verification result:', JSON.stringify(verification, null, 2));
 
   if (!verification.valid) {
     console.log('[x402] BRANCH: Payment verification FAILED - code:', verification.code);
-    // Get USDC token account for retry info
-    let usdcTokenAccount = null;
-    try {
-      if (SOLANA_WALLET_ADDRESS) {
-        usdcTokenAccount = (await getOurUSDCTokenAccount()).toBase58();
-      }
-    } catch (e) {}
 
     return res.status(402).json({
-      error: 'Payment Verification Failed',
+      ...x402.buildPaymentRequiredBody(accepts, 'Payment Verification Failed'),
       code: verification.code,
       reason: verification.error,
       details: verification.message,
@@ -539,6 +916,7 @@ async function x402Middleware(req, res, next) {
 
       // Include any additional context from verification
       ...(verification.solscan_url && { solscan_url: verification.solscan_url }),
+      ...(verification.explorer_url && { explorer_url: verification.explorer_url }),
       ...(verification.correct_address && { correct_address: verification.correct_address }),
       ...(verification.expected && {
         amount_expected: verification.expected,
@@ -549,18 +927,19 @@ async function x402Middleware(req, res, next) {
       // Retry information
       retry_info: {
         item: item,
-        required_amount: inventoryItem.price,
+        required_amount: price,
         currency: 'USDC',
         payment_address: usdcTokenAccount || SOLANA_WALLET_ADDRESS || 'Not configured',
         header_to_use: 'x-payment-proof',
-        header_value: '<your-new-transaction-signature>'
+        header_value: '<your-new-transaction-signature>',
+        new_quote: `Request ${req.baseUrl}${req.path} without payment headers for a fresh quote`
       },
 
       // Help links
       resources: {
         payment_info: '/payment-info',
         get_usdc: 'https://jup.ag',
-        check_transaction: 'https://solscan.io'
+        check_transaction: SOLANA_NETWORK.explorerHome
       },
       support: 'support@contextnow.dev'
     });
@@ -570,6 +949,22 @@ async function x402Middleware(req, res, next) {
   console.log('[x402] BRANCH: Payment verification SUCCESS!');
   console.log('[x402] Amount received:', verification.amountReceived, 'USDC');
   req.paymentInfo = verification;
+  req.receipt = receiptService.issue(purchaseKey, verification.transactionSignature);
+  // Deliver the version that was quoted and paid for - a quote pinned to a
+  // version (or a section quote) is redeemable on the unpinned URL
+  const quotedItem = verification.quoteVersion && contentStore.resolve(item, verification.quoteVersion);
+  if (quotedItem && quotedItem !== inventoryItem) {
+    const quotedSelection = selection && selectSections(quotedItem, selection.sections.map(section => section.id));
+    if (!quotedSelection?.error) {
+      req.inventoryItem = quotedItem;
+      req.sections = quotedSelection;
+    }
+  }
+  res.setHeader('X-PAYMENT-RESPONSE', x402.buildPaymentResponseHeader({
+    transaction: verification.transactionSignature,
+    network: verification.network,
+    payer: verification.payer
+  }));
   next();
 }
 
@@ -1466,7 +1861,7 @@ const LANDING_PAGE = `<!DOCTYPE html>
       <div class="container">
         <div class="hero-badge">
           <span class="badge-dot"></span>
-          HTTP 402 • USDC on Solana • Live on Mainnet
+          HTTP 402 • USDC on Solana • Live on ${SOLANA_NETWORK.shortLabel}
         </div>
         <div class="hero-logo">⚡</div>
         <h1>Fresh docs for<br><span class="gradient">AI agents</span></h1>
@@ -1545,7 +1940,7 @@ const LANDING_PAGE = `<!DOCTYPE html>
   <span class="property">"pricing"</span>: {
     <span class="property">"amount"</span>: <span class="number">0.001</span>,
     <span class="property">"currency"</span>: <span class="string">"USDC"</span>,
-    <span class="property">"network"</span>: <span class="string">"Solana (Mainnet)"</span>
+    <span class="property">"network"</span>: <span class="string">"${SOLANA_NETWORK.label}"</span>
   },
   <span class="property">"payment_details"</span>: {
     <span class="property">"usdc_token_account"</span>: <span class="string">"GbNZA3..."</span>
@@ -1586,7 +1981,7 @@ const LANDING_PAGE = `<!DOCTYPE html>
       <div class="section-header">
         <span class="section-tag">// Pricing matrix</span>
         <h2 class="section-title">Documentation packages</h2>
-        <p class="section-subtitle">Real USDC micropayments on Solana Mainnet</p>
+        <p class="section-subtitle">Real USDC micropayments on Solana ${SOLANA_NETWORK.shortLabel}</p>
       </div>
       <div class="pricing-grid">
         <div class="price-card">
@@ -1674,7 +2069,7 @@ const LANDING_PAGE = `<!DOCTYPE html>
           </div>
           <div class="footer-column">
             <h4>Resources</h4>
-            <a href="https://solscan.io" target="_blank">Solscan</a>
+            <a href="${SOLANA_NETWORK.explorerHome}" target="_blank">Solscan</a>
             <a href="https://jup.ag" target="_blank">Get USDC</a>
             <a href="mailto:support@contextnow.dev">Support</a>
           </div>
@@ -1699,6 +2094,55 @@ app.get('/', (req, res) => {
 });
 
 // Catalog Page HTML Generator
+// Status badge plus what it's based on, for a catalog card
+function renderFreshnessBadges(freshness) {
+  const label = { fresh: 'FRESH', stale: 'UPDATE PENDING', unknown: 'UNTRACKED' }[freshness.status];
+  const details = [];
+  if (freshness.stale && freshness.upstream) {
+    details.push(`upstream ${freshness.upstream.version}`);
+  }
+  if (freshness.stale_items?.length) {
+    details.push(`${freshness.stale_items.length} behind`);
+  }
+  if (freshness.upstream?.released_at) {
+    details.push(`released ${freshness.upstream.released_at.slice(0, 10)}`);
+  }
+  if (freshness.content?.regenerated_at) {
+    details.push(`updated ${freshness.content.regenerated_at.slice(0, 10)}`);
+  }
+
+  return `<div class="freshness-badges">
+            <span class="freshness-badge ${freshness.status}">${label}</span>
+            ${details.map(detail => `<span class="freshness-badge">${detail}</span>`).join('')}
+          </div>`;
+}
+
+// Headings come from upstream docs, so escape them for the page
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Expandable list of the sections sold on their own, for a catalog card
+function renderSectionList(item) {
+  const sections = getSections(INVENTORY[item.id]);
+  if (sections.length < 2) return '';
+
+  const cheapest = Math.min(...sections.map(section => section.price));
+  return `<details class="product-sections">
+            <summary>${sections.length} sections from ${cheapest} USDC</summary>
+            <ul>
+              ${sections.map(section => `<li>
+                <a href="/buy/${item.id}/sections/${section.id}">${escapeHtml(section.title)}</a>
+                <span>${section.tokens} tok · ${section.price}</span>
+              </li>`).join('')}
+            </ul>
+          </details>`;
+}
+
 function generateCatalogPage() {
   // Category display configuration
   const categoryConfig = {
@@ -1714,11 +2158,12 @@ function generateCatalogPage() {
   };
 
   // Group items by category
+  const db = loadVersionDb();
   const byCategory = {};
   Object.entries(INVENTORY).forEach(([id, item]) => {
     const cat = item.category || 'other';
     if (!byCategory[cat]) byCategory[cat] = [];
-    byCategory[cat].push({ id, ...item });
+    byCategory[cat].push({ id, ...item, freshness: getFreshness(item, db) });
   });
 
   // Sort categories by order
@@ -1738,10 +2183,13 @@ function generateCatalogPage() {
           ${isFeatured ? '<div class="featured-badge">// BEST VALUE</div>' : ''}
           <div class="product-icon">${item.icon}</div>
           <h3>${item.name}</h3>
+          ${item.repo ? `<div class="product-version">${item.version}</div>` : ''}
+          ${renderFreshnessBadges(item.freshness)}
           <div class="product-price">
             <span class="price-amount">${item.price}</span>
             <span class="price-unit">USDC</span>
           </div>
+          ${renderSectionList(item)}
           <a href="/buy/${item.id}" class="btn-purchase">
             <span class="btn-text">Purchase</span>
             <span class="btn-arrow">→</span>
@@ -2167,21 +2615,57 @@ function generateCatalogPage() {
       line-height: 1.3;
     }
 
-    .product-price {
+    .product-version {
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.7rem;
+      color: var(--text-dim);
+      margin: -10px 0 16px;
+    }
+
+    .freshness-badges {
       display: flex;
-      align-items: baseline;
+      flex-wrap: wrap;
       justify-content: center;
       gap: 6px;
-      margin-bottom: 20px;
-      padding: 12px 16px;
-      background: var(--bg-elevated);
-      width: 100%;
-      border: 1px solid var(--border);
+      margin: -8px 0 16px;
     }
 
-    .price-amount {
-      font-family: 'Syne', sans-serif;
-      font-size: 1.4rem;
+    .freshness-badge {
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.6rem;
+      letter-spacing: 0.05em;
+      padding: 2px 8px;
+      border: 1px solid var(--border-glow);
+      color: var(--text-secondary);
+    }
+
+    .freshness-badge.fresh {
+      border-color: var(--cyan-dim);
+      color: var(--cyan);
+    }
+
+    .freshness-badge.stale {
+      border-color: var(--amber);
+      color: var(--amber);
+    }
+
+    .freshness-badge.unknown { color: var(--text-dim); }
+
+    .product-price {
+      display: flex;
+      align-items: baseline;
+      justify-content: center;
+      gap: 6px;
+      margin-bottom: 20px;
+      padding: 12px 16px;
+      background: var(--bg-elevated);
+      width: 100%;
+      border: 1px solid var(--border);
+    }
+
+    .price-amount {
+      font-family: 'Syne', sans-serif;
+      font-size: 1.4rem;
       font-weight: 700;
       color: var(--cyan);
     }
@@ -2249,6 +2733,43 @@ function generateCatalogPage() {
       color: var(--cyan);
     }
 
+    .product-sections {
+      margin: -8px 0 20px;
+      text-align: left;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.7rem;
+    }
+
+    .product-sections summary {
+      cursor: pointer;
+      text-align: center;
+      color: var(--text-secondary);
+    }
+
+    .product-sections ul {
+      list-style: none;
+      margin-top: 10px;
+      padding: 0;
+    }
+
+    .product-sections li {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 4px 0;
+      border-bottom: 1px solid var(--border-glow);
+    }
+
+    .product-sections a {
+      color: var(--cyan);
+      text-decoration: none;
+    }
+
+    .product-sections li span {
+      color: var(--text-dim);
+      white-space: nowrap;
+    }
+
     /* API Notice */
     .api-notice {
       text-align: center;
@@ -2408,6 +2929,7 @@ app.get('/catalog', (req, res) => {
 
 app.get('/catalog/json', async (req, res) => {
   // Group items by category
+  const db = loadVersionDb();
   const byCategory = {};
   Object.entries(INVENTORY).forEach(([id, item]) => {
     const cat = item.category || 'other';
@@ -2417,7 +2939,15 @@ app.get('/catalog/json', async (req, res) => {
       name: item.name,
       price: item.price,
       currency: 'USDC',
-      docs: item.docs
+      docs: item.docs,
+      version: item.version,
+      versions: contentStore.listVersions(id),
+      ...(item.repo && { repo: item.repo }),
+      updated_at: item.updated_at,
+      freshness: getFreshness(item, db),
+      ...(item.items
+        ? { items: item.items }
+        : { sections: describeSections(id, item) })
     });
   });
 
@@ -2432,7 +2962,8 @@ app.get('/catalog/json', async (req, res) => {
     total_items: Object.keys(INVENTORY).length,
     categories: byCategory,
     payment_info: {
-      network: 'Solana (Mainnet)',
+      network: SOLANA_NETWORK.label,
+      x402_network: X402_NETWORK,
       currency: 'USDC-SPL',
       wallet_address: SOLANA_WALLET_ADDRESS || 'Not configured',
       usdc_token_account: usdcTokenAccount || 'Not configured',
@@ -2441,6 +2972,200 @@ app.get('/catalog/json', async (req, res) => {
   });
 });
 
+// ============================================
+// SEARCH
+// ============================================
+// Free: which item answers a query, with a teaser and its price - never the
+// paid text (see lib/search)
+
+const SEARCH_MAX_QUERY_CHARS = 200;
+const SEARCH_MAX_LIMIT = 25;
+const SEARCH_MODES = ['hybrid', 'keyword', 'semantic'];
+
+const searchService = createSearchService();
+searchService.update(INVENTORY);
+contentStore.onReload(inventory => searchService.update(inventory));
+
+app.get('/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), SEARCH_MAX_LIMIT);
+  const category = req.query.category || null;
+  const mode = req.query.mode || 'hybrid';
+
+  if (!query || query.length > SEARCH_MAX_QUERY_CHARS) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `q is required (at most ${SEARCH_MAX_QUERY_CHARS} characters)`,
+      usage: '/search?q=<query>[&category=<category>][&limit=<1-25>][&mode=hybrid|keyword|semantic]'
+    });
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown mode '${mode}'`,
+      modes: SEARCH_MODES
+    });
+  }
+  const categories = [...new Set(Object.values(INVENTORY).map(item => item.category))];
+  if (category && !categories.includes(category)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown category '${category}'`,
+      categories
+    });
+  }
+
+  try {
+    const { mode: used, results } = await searchService.search(query, { limit, category, mode });
+    res.json({
+      query,
+      mode: used,
+      total: results.length,
+      results,
+      index: searchService.status()
+    });
+  } catch (error) {
+    if (error.code === 'SEMANTIC_UNAVAILABLE') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message,
+        index: searchService.status()
+      });
+    }
+    console.error('[search] Search failed:', error.message);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+});
+
+// ============================================
+// UPSTREAM CHANGES
+// ============================================
+// Releases watchtower has detected (version_db.json, see lib/version-db.js),
+// so an agent holding docs for one version can tell whether a newer
+// purchase is worth it
+
+const BUMP_RANK = { prerelease: 1, patch: 2, minor: 3, major: 4 };
+
+// Largest semver bump among history entries, or null
+function largestBump(entries) {
+  return entries.reduce((largest, entry) =>
+    BUMP_RANK[entry.bump] > (BUMP_RANK[largest] || 0) ? entry.bump : largest, null);
+}
+
+function describeRelease(entry) {
+  return entry && {
+    tag: entry.tag,
+    version: entry.version,
+    detected_at: entry.detected_at
+  };
+}
+
+app.get('/changes', (req, res) => {
+  const db = loadVersionDb();
+  const items = Object.entries(INVENTORY)
+    .filter(([, item]) => item.repo)
+    .map(([id, item]) => {
+      const history = db.repos[item.repo]?.history || [];
+      return {
+        id,
+        name: item.name,
+        repo: item.repo,
+        upstream: describeRelease(history[history.length - 1]) || null,
+        content_version: item.version,
+        changes: `/changes/${id}?since=${encodeURIComponent(item.version)}`
+      };
+    });
+
+  res.json({ total_items: items.length, items });
+});
+
+app.get('/changes/:item', (req, res) => {
+  const id = req.params.item;
+  const item = INVENTORY[id];
+  const since = req.query.since || null;
+
+  if (!item) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Item '${id}' not found in inventory`,
+      available_items: Object.keys(INVENTORY)
+    });
+  }
+
+  // Bundles have no upstream of their own
+  if (!item.repo) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `'${id}' is a bundle - check the changes of each of its items`,
+      items: item.items.map(member => `/changes/${member}${since ? `?since=${encodeURIComponent(since)}` : ''}`)
+    });
+  }
+
+  const record = loadVersionDb().repos[item.repo] || { current: null, history: [] };
+  const changes = changesSince(record, since);
+  if (!changes) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `'${since}' is not a version of ${item.name}`,
+      known_versions: record.history.map(entry => entry.version),
+      usage: `/changes/${id}?since=<version>`
+    });
+  }
+
+  res.json({
+    item: id,
+    name: item.name,
+    repo: item.repo,
+    since,
+    upstream: describeRelease(record.history[record.history.length - 1]) || null,
+    changed: changes.length > 0,
+    bump: largestBump(changes),
+    // Newest first
+    changes: changes.slice().reverse(),
+    latest_content: {
+      version: item.version,
+      updated_at: item.updated_at,
+      price: item.price,
+      currency: 'USDC',
+      purchase: `/buy/${id}@${item.version}`
+    }
+  });
+});
+
+// Feeds of detected releases (see lib/feeds.js), optionally for one category
+function feedEntries(req, res) {
+  const { category } = req.query;
+  const categories = new Set(registry.sources().map(source => source.category));
+  if (category && !categories.has(category)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown category '${category}'`,
+      categories: [...categories]
+    });
+    return null;
+  }
+  return collectFeedEntries(loadVersionDb(), registry, { category });
+}
+
+function feedUrls(req) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return { baseUrl, selfUrl: `${baseUrl}${req.originalUrl}` };
+}
+
+app.get('/feed.xml', (req, res) => {
+  const entries = feedEntries(req, res);
+  if (!entries) return;
+  res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.send(buildAtomFeed(entries, feedUrls(req)));
+});
+
+app.get('/feed.json', (req, res) => {
+  const entries = feedEntries(req, res);
+  if (!entries) return;
+  res.setHeader('Content-Type', 'application/feed+json; charset=utf-8');
+  res.send(JSON.stringify(buildJsonFeed(entries, feedUrls(req)), null, 2));
+});
+
 // Payment Information Endpoint
 app.get('/payment-info', async (req, res) => {
   let usdcTokenAccount = null;
@@ -2458,10 +3183,20 @@ app.get('/payment-info', async (req, res) => {
     price_base_units: Math.floor(item.price * Math.pow(10, USDC_DECIMALS))
   }));
 
+  const acceptedPayments = await describeAcceptedPayments();
+
+  // Quote for a single item, e.g. /payment-info?item=nextjs
+  const quotedItem = req.query.item;
+  if (INVENTORY[quotedItem] && !takeQuote(req, res)) return;
+  const quote = INVENTORY[quotedItem]
+    ? await quoteStore.create({ item: quotedItem, amount: INVENTORY[quotedItem].price })
+    : null;
+
   res.json({
     service: 'ContextNow',
     payment_method: 'USDC-SPL on Solana',
-    network: 'Solana Mainnet',
+    network: SOLANA_NETWORK.label,
+    x402_network: X402_NETWORK,
 
     wallet: {
       address: SOLANA_WALLET_ADDRESS || 'Not configured - set SOLANA_WALLET_ADDRESS env var',
@@ -2476,20 +3211,28 @@ app.get('/payment-info', async (req, res) => {
       network: 'Solana SPL Token'
     },
 
+    accepted_payments: acceptedPayments,
+
     pricing: items,
 
+    quote: quote ? describeQuote(quote) : {
+      note: 'Request /payment-info?item=<id> for a quote and Solana Pay URL for that item'
+    },
+    solana_pay: quote ? buildSolanaPayDetails(req, quote, INVENTORY[quotedItem]) : null,
+
     instructions: {
       step1: {
-        title: 'Get USDC on Solana',
-        options: [
+        title: `Get USDC on ${SOLANA_NETWORK.label}`,
+        options: SOLANA_NETWORK.id === 'mainnet' ? [
           'Swap SOL for USDC on Jupiter (jup.ag)',
           'Swap on Raydium (raydium.io)',
           'Buy USDC on an exchange and withdraw to Solana'
-        ]
+        ] : [SOLANA_NETWORK.getUsdc]
       },
       step2: {
         title: 'Send USDC Payment',
-        details: `Send the exact USDC amount to: ${usdcTokenAccount || 'Configure wallet first'}`,
+        details: `Send the exact quoted USDC amount to: ${usdcTokenAccount || 'Configure wallet first'}`,
+        memo: 'Add an SPL Memo instruction containing the quote memo (get a quote from a 402 response or /payment-info?item=<id>)',
         important: 'Send USDC tokens, NOT SOL'
       },
       step3: {
@@ -2504,19 +3247,24 @@ app.get('/payment-info', async (req, res) => {
           headers: {
             'x-payment-proof': '<your-transaction-signature>'
           }
-        }
+        },
+        x402: 'Standard x402 clients can send an X-PAYMENT header instead; the 402 response lists the accepted payment requirements',
+        presigned: 'Or send the signed, unsent transaction (base64) in x-payment-transaction and we broadcast it for you',
+        sections: 'To buy part of a document, request GET /buy/:item/sections/:id (or :id,:id,... for several in one payment). GET /buy/:item/sections lists section prices.'
       }
     },
 
     verification: {
-      tolerance: '1% (to account for rounding)',
+      amount: 'Must match the quoted amount exactly',
+      quotes: 'Payments are bound to a quote by its memo. A quote is for one item, can be paid once, and expires.',
       replay_protection: 'Each transaction signature can only be used once',
+      receipts: `Successful purchases return a receipt token, valid for ${receiptService.ttlSeconds} seconds. Send it as x-payment-receipt to download the item again.`,
       confirmation: 'Transaction must be confirmed on Solana'
     },
 
     links: {
       jupiter_swap: 'https://jup.ag',
-      solscan: 'https://solscan.io',
+      solscan: SOLANA_NETWORK.explorerHome,
       usdc_info: 'https://www.circle.com/en/usdc'
     },
 
@@ -2527,51 +3275,647 @@ app.get('/payment-info', async (req, res) => {
   });
 });
 
-app.get('/buy/:item', x402Middleware, (req, res) => {
-  const item = req.params.item;
-  const inventoryItem = INVENTORY[item];
+// Send a purchased item - shared by /buy/:item and the Solana Pay status endpoint.
+// inventoryItem is the version being delivered (the current one by default),
+// sections the selectSections() result for a section purchase.
+function deliverPurchase(res, item, { inventoryItem = INVENTORY[item], sections, paymentInfo, receipt, isRedelivery }) {
+  if (receipt) {
+    res.setHeader('X-Payment-Receipt', receipt.token);
+  }
 
   res.json({
     success: true,
     item: item,
-    charged: inventoryItem.price,
+    version: inventoryItem.version,
+    freshness: getFreshness(inventoryItem),
+    ...(inventoryItem.repo && {
+      documents: { repo: inventoryItem.repo, version: inventoryItem.version }
+    }),
+    charged: isRedelivery ? 0 : sections ? sections.price : inventoryItem.price,
     currency: 'USDC',
-    payment: req.paymentInfo || { method: 'development_bypass' },
-    content: inventoryItem.content,
+    payment: paymentInfo || { method: 'development_bypass' },
+    ...(receipt && {
+      receipt: {
+        token: receipt.token,
+        expires_at: receipt.expires_at,
+        usage: sections
+          ? 'Send as x-payment-receipt header to download these sections again without paying'
+          : 'Send as x-payment-receipt header to download this item again without paying'
+      }
+    }),
+    ...(sections
+      ? buildSectionContent(sections)
+      : inventoryItem.items
+        ? buildBundleContent(item, receipt && paymentInfo?.transactionSignature)
+        : { content: inventoryItem.content }),
     timestamp: new Date().toISOString()
   });
+}
+
+// Member documents of a bundle, concatenated and as an array. A paid
+// purchase also gets a receipt per member so each can be re-downloaded
+// on its own from /buy/:member.
+function buildBundleContent(item, transactionSignature) {
+  const bundle = INVENTORY[item];
+  const members = bundle.items.map(id => ({
+    id,
+    name: INVENTORY[id].name,
+    version: INVENTORY[id].version,
+    content: INVENTORY[id].content,
+    ...(transactionSignature && { receipt: receiptService.issue(id, transactionSignature) })
+  }));
+
+  return {
+    bundle: {
+      name: bundle.name,
+      item_count: members.length
+    },
+    content: [bundle.content || `# ${bundle.name}`, ...members.map(member => member.content)].join('\n\n---\n\n'),
+    items: members
+  };
+}
+
+// Purchased sections, concatenated and as an array
+function buildSectionContent({ sections, tokens }) {
+  return {
+    sections: sections.map(({ id, title, tokens, content }) => ({ id, title, tokens, content })),
+    tokens,
+    content: sections.map(section => section.content).join('\n\n')
+  };
+}
+
+function sendPurchase(req, res) {
+  deliverPurchase(res, req.item, {
+    inventoryItem: req.inventoryItem,
+    sections: req.sections,
+    paymentInfo: req.paymentInfo,
+    receipt: req.receipt,
+    isRedelivery: req.isRedelivery
+  });
+}
+
+// /buy/:item serves the current version; /buy/:item@:version (or @latest) pins one
+app.get('/buy/:item', x402Middleware, sendPurchase);
+
+// Sections of an item with their token counts and prices (free)
+app.get('/buy/:item/sections', (req, res) => {
+  const { item, version } = parseItemParam(req.params.item);
+  const inventoryItem = contentStore.resolve(item, version);
+  if (!inventoryItem) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: INVENTORY[item]
+        ? `Version '${version}' of '${item}' is not available`
+        : `Item '${item}' not found in inventory`
+    });
+  }
+  if (inventoryItem.items) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Bundles are only sold whole',
+      purchase: `/buy/${req.params.item}`
+    });
+  }
+
+  res.json({
+    item,
+    version: inventoryItem.version,
+    price: inventoryItem.price,
+    currency: 'USDC',
+    sections: describeSections(req.params.item, inventoryItem),
+    usage: `/buy/${req.params.item}/sections/<id>, or /buy/${req.params.item}/sections/<id>,<id> to buy several in one payment`
+  });
+});
+
+// One section, or several comma-separated ids (one quote and payment for all)
+app.get('/buy/:item/sections/:sections', x402Middleware, sendPurchase);
+
+// ============================================
+// SOLANA PAY
+// ============================================
+
+// Transaction request (GET) - wallet asks who it is paying
+app.get('/solana-pay/:reference', (req, res) => {
+  res.json({
+    label: 'ContextNow',
+    icon: `${req.protocol}://${req.get('host')}/favicon.ico`
+  });
+});
+
+// Transaction request (POST) - wallet sends its account, we return the transfer to sign
+app.post('/solana-pay/:reference', async (req, res) => {
+  const quote = await quoteStore.getByReference(req.params.reference);
+  if (!quote || quote.status !== 'pending' || isQuoteExpired(quote)) {
+    return res.status(404).json({ error: 'Not Found', message: 'No pending, unexpired quote for this reference' });
+  }
+
+  let payer;
+  try {
+    payer = new PublicKey(req.body?.account);
+  } catch (e) {
+    return res.status(400).json({ error: 'Bad Request', message: 'Body must contain a valid `account` public key' });
+  }
+
+  try {
+    const inventoryItem = INVENTORY[parsePurchaseKey(quote.item).item];
+    const ourTokenAccount = await getOurUSDCTokenAccount();
+    const payerTokenAccount = await getAssociatedTokenAddress(USDC_MINT, payer);
+
+    const transfer = createTransferCheckedInstruction(
+      payerTokenAccount,
+      USDC_MINT,
+      ourTokenAccount,
+      payer,
+      Math.floor(quote.amount * Math.pow(10, USDC_DECIMALS)),
+      USDC_DECIMALS
+    );
+    // Reference key lets us find this payment with getSignaturesForAddress
+    transfer.keys.push({ pubkey: new PublicKey(quote.reference), isSigner: false, isWritable: false });
+
+    // Memo binds the payment to the quote
+    const memo = new TransactionInstruction({
+      programId: MEMO_PROGRAM_ID,
+      keys: [],
+      data: Buffer.from(quote.memo, 'utf-8')
+    });
+
+    const { blockhash } = await solanaConnection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: payer, recentBlockhash: blockhash }).add(transfer, memo);
+
+    res.json({
+      transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+      message: `ContextNow: ${inventoryItem.name} documentation`
+    });
+  } catch (error) {
+    console.error('Solana Pay transaction request error:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+});
+
+// Poll for a Solana Pay payment by reference - releases the content once found
+app.get('/solana-pay/:reference/status', async (req, res) => {
+  const quote = await quoteStore.getByReference(req.params.reference);
+  if (!quote || req.query.token !== quote.claim_token) {
+    return res.status(404).json({ error: 'Not Found', message: 'No quote for this reference and token' });
+  }
+
+  // A quote marked paid whose signature isn't in the ledger was interrupted
+  // mid-redemption - verifying it again below completes the delivery
+  if (quote.status === 'paid' && await signatureStore.has(quote.signature)) {
+    return res.json({
+      status: 'paid',
+      item: quote.item,
+      transactionSignature: quote.signature,
+      message: 'Content was already delivered for this quote. Use the receipt from that response to download it again.'
+    });
+  }
+
+  let signatures;
+  try {
+    signatures = await solanaConnection.getSignaturesForAddress(
+      new PublicKey(quote.reference),
+      { limit: 20 },
+      'confirmed'
+    );
+  } catch (error) {
+    console.error('Solana Pay reference lookup error:', error.message);
+    return res.status(502).json({ error: 'Bad Gateway', message: 'Could not query Solana for the payment reference' });
+  }
+
+  // Oldest first - the first valid payment for the reference wins
+  let lastFailure = null;
+  for (const { signature, err } of signatures.reverse()) {
+    if (err) continue;
+
+    const verification = await verifyUSDCPayment(signature, {
+      item: quote.item,
+      reference: quote.reference
+    });
+    if (!verification.valid) {
+      lastFailure = verification;
+      continue;
+    }
+
+    console.log(`[solana-pay] Payment found for ${quote.item}: ${signature.substring(0, 20)}...`);
+    const { item, sectionIds } = parsePurchaseKey(quote.item);
+    const inventoryItem = contentStore.resolve(item, quote.version) || INVENTORY[item];
+    return deliverPurchase(res, item, {
+      inventoryItem,
+      sections: sectionIds ? selectSections(inventoryItem, sectionIds) : undefined,
+      paymentInfo: { ...verification, method: 'solana_pay', reference: quote.reference },
+      receipt: receiptService.issue(quote.item, signature)
+    });
+  }
+
+  res.status(202).json({
+    status: 'pending',
+    item: quote.item,
+    reference: quote.reference,
+    message: 'No confirmed payment found for this reference yet. Poll again in a few seconds.',
+    ...(lastFailure && {
+      last_failure: { code: lastFailure.code, reason: lastFailure.error }
+    })
+  });
 });
 
-// Start server
-app.listen(PORT, async () => {
-  console.log('='.repeat(50));
-  console.log('🚀 CONTEXTNOW - Fresh Docs for AI Agents');
-  console.log('   💰 Powered by USDC on Solana');
-  console.log('='.repeat(50));
-  console.log(`Server running at http://localhost:${PORT}`);
+// ============================================
+// PREPAID CREDITS
+// ============================================
 
-  // Show wallet configuration status
-  if (SOLANA_WALLET_ADDRESS) {
+// Look up the account for the x-api-key header, or send 401 and return null
+function authenticateCreditAccount(req, res) {
+  const account = creditLedger.authenticate(req.headers['x-api-key']);
+  if (!account) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'INVALID_API_KEY',
+      message: 'Missing or unknown x-api-key. Create an account with POST /credits/accounts.'
+    });
+    return null;
+  }
+  return account;
+}
+
+app.post('/credits/accounts', async (req, res) => {
+  const limited = [creditAccountLimiters.ip.take(req.ip), creditAccountLimiters.all.take('all')]
+    .find(result => !result.ok);
+  if (limited) {
+    res.setHeader('Retry-After', limited.retryAfterSeconds);
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      code: 'RATE_LIMITED',
+      message: 'Too many credit accounts created recently',
+      retry_after_seconds: limited.retryAfterSeconds
+    });
+  }
+
+  try {
+    const { account, apiKey } = await creditLedger.createAccount();
+    res.status(201).json({
+      account_id: account.id,
+      api_key: apiKey,
+      balance_usdc: 0,
+      note: 'Store the API key now - it cannot be shown again. Send it as x-api-key.',
+      next_step: 'POST /credits/topup with { "amount_usdc": <amount> } to get a deposit quote'
+    });
+  } catch (error) {
+    console.error('Error creating credit account:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+});
+
+// Top up a balance. Without a payment this returns a deposit quote (402);
+// with x-payment-proof or x-payment-transaction it verifies the deposit
+// and credits the account.
+app.post('/credits/topup', async (req, res) => {
+  const account = authenticateCreditAccount(req, res);
+  if (!account) return;
+
+  const paymentProof = req.headers['x-payment-proof'] || req.body?.signature;
+  const paymentTransaction = req.headers['x-payment-transaction'] || req.body?.transaction;
+
+  if (!paymentProof && !paymentTransaction) {
+    const amount = parseFloat(req.body?.amount_usdc);
+    if (!(amount >= CREDIT_MIN_TOPUP_USDC)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Body must contain amount_usdc of at least ${CREDIT_MIN_TOPUP_USDC}`
+      });
+    }
+
+    let usdcTokenAccount = null;
     try {
-      const usdcAccount = await getOurUSDCTokenAccount();
-      console.log(`\n💳 USDC Payments Enabled`);
-      console.log(`   Wallet: ${SOLANA_WALLET_ADDRESS.slice(0, 8)}...${SOLANA_WALLET_ADDRESS.slice(-8)}`);
-      console.log(`   USDC Account: ${usdcAccount.toBase58().slice(0, 8)}...`);
-    } catch (e) {
-      console.log(`\n⚠️  Wallet configured but USDC account error: ${e.message}`);
+      if (SOLANA_WALLET_ADDRESS) {
+        usdcTokenAccount = (await getOurUSDCTokenAccount()).toBase58();
+      }
+    } catch (e) {}
+
+    const quote = await quoteStore.create({ item: CREDIT_TOPUP_ITEM, amount, account: account.id });
+    return res.status(402).json({
+      error: 'Payment Required',
+      message: `Deposit ${amount} USDC to credit account ${account.id}`,
+      quote: describeQuote(quote),
+      payment_details: {
+        wallet_address: SOLANA_WALLET_ADDRESS || 'Not configured',
+        usdc_token_account: usdcTokenAccount || 'Not configured',
+        usdc_mint: USDC_MINT.toBase58()
+      },
+      next_step: 'Retry POST /credits/topup with the transaction signature in x-payment-proof'
+    });
+  }
+
+  const context = { item: CREDIT_TOPUP_ITEM, account: account.id };
+  const verification = paymentTransaction
+    ? await submitUSDCPayment(paymentTransaction, context)
+    : await verifyUSDCPayment(paymentProof, {
+      ...context,
+      network: req.headers['x-payment-network'] || inferPaymentNetwork(paymentProof)
+    });
+
+  if (!verification.valid) {
+    return res.status(402).json({
+      error: 'Payment Verification Failed',
+      code: verification.code,
+      reason: verification.error,
+      details: verification.message,
+      action_required: verification.action,
+      support: 'support@contextnow.dev'
+    });
+  }
+
+  const amount = Math.round(verification.amountReceived * Math.pow(10, USDC_DECIMALS));
+  let entry;
+  try {
+    entry = await creditLedger.credit(account.id, amount, {
+      signature: verification.transactionSignature
+    });
+  } catch (error) {
+    // The payment is redeemed but not credited - support has to fix it up
+    console.error(`[credits] Could not credit ${account.id} for ${verification.transactionSignature}:`, error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      code: 'CREDITS_UNAVAILABLE',
+      reason: 'Your deposit was verified but the credit ledger could not be updated',
+      action_required: 'Contact support with the transaction signature to have the deposit credited',
+      transactionSignature: verification.transactionSignature,
+      support: 'support@contextnow.dev'
+    });
+  }
+  console.log(`[credits] ${account.id} topped up ${verification.amountReceived} USDC`);
+
+  res.json({
+    success: true,
+    account_id: account.id,
+    credited_usdc: verification.amountReceived,
+    balance_usdc: entry.balance / Math.pow(10, USDC_DECIMALS),
+    transactionSignature: verification.transactionSignature
+  });
+});
+
+app.get('/credits/balance', (req, res) => {
+  const account = authenticateCreditAccount(req, res);
+  if (!account) return;
+
+  res.json({
+    account_id: account.id,
+    balance_usdc: account.balance / Math.pow(10, USDC_DECIMALS),
+    balance_base_units: account.balance,
+    created_at: account.created_at
+  });
+});
+
+app.get('/credits/usage', (req, res) => {
+  const account = authenticateCreditAccount(req, res);
+  if (!account) return;
+
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({
+    account_id: account.id,
+    balance_usdc: account.balance / Math.pow(10, USDC_DECIMALS),
+    entries: creditLedger.getUsage(account.id, { limit }).map(entry => ({
+      type: entry.type,
+      amount_usdc: entry.amount / Math.pow(10, USDC_DECIMALS),
+      balance_usdc: entry.balance / Math.pow(10, USDC_DECIMALS),
+      ...(entry.item && { item: entry.item }),
+      ...(entry.signature && { transactionSignature: entry.signature }),
+      timestamp: entry.timestamp
+    }))
+  });
+});
+
+// ============================================
+// ADMIN
+// ============================================
+// Operator endpoints, authenticated with `Authorization: Bearer <ADMIN_TOKEN>`
+// and disabled when ADMIN_TOKEN isn't set
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Release checks read registry.json themselves (as the CLI does); new
+// content versions reach INVENTORY through the content store's reload
+const webhookStore = createWebhookStore();
+const webhookNotifier = createWebhookNotifier({ store: webhookStore });
+const watchtower = createWatchtower({
+  notifier: webhookNotifier
+});
+
+// Subscriptions live in this server's data/, so the hourly GitHub Action
+// (which commits new versions but has no subscriptions) can't notify anyone.
+// The server announces new content versions instead - on a content reload,
+// and at startup for what a deploy brought in.
+function announceContent(inventory) {
+  webhookNotifier.announce(inventory, loadVersionDb()).catch(error => {
+    console.error('[webhooks] Announcing new versions failed:', error.message);
+  });
+}
+contentStore.onReload(announceContent);
+announceContent(INVENTORY);
+
+function authenticateAdmin(req, res) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Admin endpoints are disabled - set ADMIN_TOKEN to enable them'
+    });
+    return false;
+  }
+
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const actual = Buffer.from((req.headers['authorization'] || '').replace(/^Bearer\s+/i, ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      code: 'INVALID_ADMIN_TOKEN',
+      message: 'Missing or wrong admin token (Authorization: Bearer <ADMIN_TOKEN>)'
+    });
+    return false;
+  }
+  return true;
+}
+
+// Run a watchtower check now. Body: { source?, dry_run? }
+app.post('/admin/watchtower/check', async (req, res) => {
+  if (!authenticateAdmin(req, res)) return;
+  const { source, dry_run: dryRun = false } = req.body || {};
+
+  if (source && !watchtower.findSource(source)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Unknown source '${source}'`,
+      available_sources: watchtower.sources().map(s => s.id)
+    });
+  }
+
+  try {
+    res.json(await watchtower.check({ source, dryRun: Boolean(dryRun) }));
+  } catch (error) {
+    if (error.code === 'CHECK_RUNNING') {
+      return res.status(409).json({ error: 'Conflict', message: error.message });
     }
-  } else {
-    console.log('\n⚠️  No SOLANA_WALLET_ADDRESS configured');
-    console.log('   Set it in .env to accept real payments');
-    console.log('   Using "valid_proof" bypass for development');
-  }
-
-  console.log(`\n📦 Available items: ${Object.keys(INVENTORY).join(', ')}`);
-  console.log('\n🔗 Endpoints:');
-  console.log('   GET /             - Landing page');
-  console.log('   GET /catalog      - Browse documentation');
-  console.log('   GET /catalog/json - API catalog');
-  console.log('   GET /payment-info - USDC payment instructions');
-  console.log('   GET /buy/:item    - Purchase (requires USDC payment)');
-  console.log('='.repeat(50));
+    console.error('[watchtower] Check failed:', error.message);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
 });
+
+// Subscribe a URL to update notifications. Body: { url, categories? }.
+// The secret that signs deliveries is in the response.
+app.post('/admin/webhooks', async (req, res) => {
+  if (!authenticateAdmin(req, res)) return;
+  const { url, categories = [] } = req.body || {};
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {}
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'url must be an http(s) URL'
+    });
+  }
+
+  const known = new Set(watchtower.sources().map(source => source.category));
+  const unknown = Array.isArray(categories) ? categories.filter(category => !known.has(category)) : null;
+  if (!unknown || unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: unknown ? `Unknown categories: ${unknown.join(', ')}` : 'categories must be an array',
+      categories: [...known]
+    });
+  }
+
+  res.status(201).json(await webhookStore.create({ url: parsed.href, categories }));
+});
+
+app.get('/admin/webhooks', async (req, res) => {
+  if (!authenticateAdmin(req, res)) return;
+  const subscriptions = await webhookStore.list();
+  res.json({
+    subscriptions: subscriptions.map(({ secret, ...subscription }) => subscription)
+  });
+});
+
+app.delete('/admin/webhooks/:id', async (req, res) => {
+  if (!authenticateAdmin(req, res)) return;
+  if (!(await webhookStore.remove(req.params.id))) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook '${req.params.id}' not found`
+    });
+  }
+  res.status(204).end();
+});
+
+// ============================================
+// MCP
+// ============================================
+// Streamable HTTP transport for the MCP tools (see lib/mcp.js). The tools
+// call this server's own API over loopback, keeping the client's Host and
+// protocol so payment requirements name the public URL, and its address so
+// quotes count against the client's rate limit.
+
+const mcpServer = createMcpServer({ backend: createHttpBackend(`http://127.0.0.1:${PORT}`) });
+const mcpHandler = createMcpHandler(mcpServer, {
+  forwardHeaders: req => ({
+    host: req.get('host'),
+    'x-forwarded-proto': req.protocol,
+    'x-forwarded-for': req.ip
+  })
+});
+app.post('/mcp', mcpHandler);
+// Anything but POST gets a 405 from the handler (route().all() keeps it out
+// of the documented routes)
+app.route('/mcp').all(mcpHandler);
+
+// ============================================
+// DISCOVERY
+// ============================================
+// llms.txt, OpenAPI and x402 discovery for agents, generated from the route
+// table and INVENTORY on every request (see lib/discovery.js)
+
+const baseUrlOf = req => `${req.protocol}://${req.get('host')}`;
+
+app.get('/llms.txt', (req, res) => {
+  res.type('text/plain').send(discovery.buildLlmsTxt({ inventory: INVENTORY, baseUrl: baseUrlOf(req) }));
+});
+
+app.get('/llms-full.txt', (req, res) => {
+  res.type('text/plain').send(discovery.buildLlmsFullTxt({
+    inventory: INVENTORY,
+    baseUrl: baseUrlOf(req),
+    routes: discovery.listRoutes(app)
+  }));
+});
+
+app.get('/openapi.json', (req, res) => {
+  res.json(discovery.buildOpenApi({
+    routes: discovery.listRoutes(app),
+    inventory: INVENTORY,
+    baseUrl: baseUrlOf(req),
+    version: require('./package.json').version
+  }));
+});
+
+app.get('/.well-known/x402', async (req, res) => {
+  res.json(discovery.buildX402Discovery({
+    inventory: INVENTORY,
+    baseUrl: baseUrlOf(req),
+    paymentOptions: await describeAcceptedPayments(),
+    x402Version: x402.X402_VERSION
+  }));
+});
+
+// Start server (mcp.js requires this file and listens itself)
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log('='.repeat(50));
+    console.log('🚀 CONTEXTNOW - Fresh Docs for AI Agents');
+    console.log('   💰 Powered by USDC on Solana');
+    console.log('='.repeat(50));
+    console.log(`Server running at http://localhost:${PORT}`);
+
+    // Show wallet configuration status
+    if (SOLANA_WALLET_ADDRESS) {
+      try {
+        const usdcAccount = await getOurUSDCTokenAccount();
+        console.log(`\n💳 USDC Payments Enabled`);
+        console.log(`   Wallet: ${SOLANA_WALLET_ADDRESS.slice(0, 8)}...${SOLANA_WALLET_ADDRESS.slice(-8)}`);
+        console.log(`   USDC Account: ${usdcAccount.toBase58().slice(0, 8)}...`);
+      } catch (e) {
+        console.log(`\n⚠️  Wallet configured but USDC account error: ${e.message}`);
+      }
+    } else {
+      console.log('\n⚠️  No SOLANA_WALLET_ADDRESS configured');
+      console.log('   Set it in .env to accept real payments');
+      console.log('   Using "valid_proof" bypass for development');
+    }
+
+    console.log(`\n📦 Available items: ${Object.keys(INVENTORY).join(', ')}`);
+    console.log('\n🔗 Endpoints:');
+    console.log('   GET /             - Landing page');
+    console.log('   GET /catalog      - Browse documentation');
+    console.log('   GET /catalog/json - API catalog');
+    console.log('   GET /payment-info - USDC payment instructions');
+    console.log('   GET /buy/:item    - Purchase (requires USDC payment)');
+    console.log('   GET /buy/:item@:version - Purchase a specific version');
+    console.log('   GET /buy/:item/sections - Sections with token counts and prices');
+    console.log('   GET /buy/:item/sections/:id[,:id] - Purchase sections in one payment');
+    console.log('   GET /search?q=    - Find the item that answers a query (free)');
+    console.log('   GET /changes/:item?since=:version - Upstream releases since a version');
+    console.log('   GET /solana-pay/:reference/status - Solana Pay payment status');
+    console.log('   POST /credits/accounts, /credits/topup - Prepaid credits');
+    console.log('   GET /feed.xml, /feed.json - Documentation update feeds');
+    console.log('   POST /mcp         - MCP tools (streamable HTTP)');
+    console.log('   GET /llms.txt, /openapi.json, /.well-known/x402 - Discovery for agents');
+    if (ADMIN_TOKEN) console.log('   POST /admin/watchtower/check - Check for new releases now');
+    if (ADMIN_TOKEN) console.log('   POST /admin/webhooks - Subscribe to update notifications');
+    console.log('='.repeat(50));
+
+    const undocumented = discovery.undocumentedRoutes(discovery.listRoutes(app));
+    if (undocumented.length > 0) {
+      console.warn(`⚠️  Routes missing from lib/discovery.js ROUTE_DOCS: ${undocumented.join(', ')}`);
+    }
+  });
+}
+
+module.exports = { app };
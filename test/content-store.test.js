@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRegistry, createRegistry, saveRegistry, checkConsistency } = require('../lib/registry');
+const { createContentStore } = require('../lib/content-store');
+
+const ROOT = path.join(__dirname, '..');
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-content-store-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Resolves on the store's next reload, or rejects after timeoutMs
+function reloads(store) {
+  const waiting = [];
+  store.onReload(inventory => waiting.splice(0).forEach(resolve => resolve(inventory)));
+  return (timeoutMs = 3000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('no reload')), timeoutMs);
+    waiting.push(inventory => {
+      clearTimeout(timer);
+      resolve(inventory);
+    });
+  });
+}
+
+test('an item registered after its content was written goes on sale without a restart', async t => {
+  const contentDir = path.join(directory, 'content');
+  const registryPath = path.join(directory, 'registry.json');
+  fs.cpSync(path.join(ROOT, 'content'), contentDir, { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'registry.json'), registryPath);
+
+  // Validated the way server.js does it
+  const store = createContentStore({
+    directory: contentDir,
+    registryPath,
+    validate: (inventory, documents, registry) => checkConsistency(registry, Object.keys(inventory), { documents })
+  });
+  t.after(() => store.close());
+  const nextReload = reloads(store);
+  assert.strictEqual(store.getInventory().hono, undefined);
+
+  // What `watchtower add-source hono` does: content first, then the registry
+  const reloaded = nextReload();
+  fs.mkdirSync(path.join(contentDir, 'hono'));
+  fs.writeFileSync(path.join(contentDir, 'hono', 'v4.9.0.md'), '---\nsource: { tag: v4.9.0 }\n---\n# Hono v4.9.0\n');
+  const registry = loadRegistry(registryPath);
+  saveRegistry(createRegistry({
+    ...registry.items,
+    hono: { name: 'Hono', repo: 'honojs/hono', docs: 'https://hono.dev', category: 'framework', price: 0.001 }
+  }), registryPath);
+
+  const inventory = await reloaded;
+  assert.strictEqual(inventory.hono.version, 'v4.9.0');
+  assert.strictEqual(inventory.hono.name, 'Hono');
+  assert.strictEqual(store.getRegistry().getItem('hono').repo, 'honojs/hono');
+
+  // Later content changes still pass validation
+  const later = nextReload();
+  fs.writeFileSync(path.join(contentDir, 'hono', 'v4.10.0.md'), '---\nsource: { tag: v4.10.0 }\n---\n# Hono v4.10.0\n');
+  assert.strictEqual((await later).hono.version, 'v4.10.0');
+});
+
+test('placeholder versions rank below every release', t => {
+  const contentDir = path.join(directory, 'placeholders');
+  fs.mkdirSync(path.join(contentDir, 'astro'), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'content', 'astro', '2026.1.md'), path.join(contentDir, 'astro', '2026.1.md'));
+
+  const store = createContentStore({ directory: contentDir, registry: loadRegistry(), watch: false });
+  t.after(() => store.close());
+  assert.strictEqual(store.resolve('astro').version, '2026.1');
+  assert.strictEqual(store.resolve('astro').placeholder, true);
+
+  fs.writeFileSync(path.join(contentDir, 'astro', '6.1.0.md'), '---\nsource: { tag: astro@6.1.0 }\n---\n# Astro 6.1.0\n');
+  const reloaded = createContentStore({ directory: contentDir, registry: loadRegistry(), watch: false });
+  assert.strictEqual(reloaded.resolve('astro').version, '6.1.0');
+  assert.deepStrictEqual(reloaded.listVersions('astro'), ['2026.1', '6.1.0']);
+  assert.strictEqual(reloaded.resolve('astro', '2026.1').placeholder, true);
+});
+
+test('front matter overrides registry metadata for its own version', t => {
+  const contentDir = path.join(directory, 'overrides');
+  fs.mkdirSync(path.join(contentDir, 'nextjs'), { recursive: true });
+  fs.writeFileSync(path.join(contentDir, 'nextjs', 'v15.0.0.md'),
+    '---\nname: Next.js 15 (legacy)\nprice: 0.0005\nicon: "🕰️"\n---\n# Next.js v15\n');
+  fs.writeFileSync(path.join(contentDir, 'nextjs', 'v16.3.2.md'), '# Next.js v16\n');
+
+  const registry = loadRegistry();
+  const store = createContentStore({ directory: contentDir, registry, watch: false });
+  t.after(() => store.close());
+
+  const legacy = store.resolve('nextjs', 'v15.0.0');
+  assert.strictEqual(legacy.name, 'Next.js 15 (legacy)');
+  assert.strictEqual(legacy.price, 0.0005);
+  assert.strictEqual(legacy.icon, '🕰️');
+  assert.strictEqual(legacy.category, registry.getItem('nextjs').category);
+
+  const current = store.resolve('nextjs');
+  assert.strictEqual(current.version, 'v16.3.2');
+  assert.strictEqual(current.name, registry.getItem('nextjs').name);
+  assert.strictEqual(current.price, registry.getItem('nextjs').price);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ env: { CREDIT_ACCOUNTS_PER_IP_PER_HOUR: '3' } });
+});
+
+test.after(() => server.close());
+
+async function request(method, path, { headers = {}, body } = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const ledgerLines = () => fs.readFileSync(process.env.CREDIT_LEDGER_PATH, 'utf-8').trim().split('\n').length;
+
+// Open an account and top it up with amount USDC through the fake chain
+async function fundedAccount(amount) {
+  const { body: account } = await request('POST', '/credits/accounts');
+  const headers = { 'x-api-key': account.api_key };
+  const { body: deposit } = await request('POST', '/credits/topup', { headers, body: { amount_usdc: amount } });
+  const signature = server.chain.pay({
+    destination: server.tokenAccount,
+    mint: server.mint,
+    amount: Math.round(amount * 1e6),
+    memo: deposit.quote.memo
+  });
+  const topup = await request('POST', '/credits/topup', { headers: { ...headers, 'x-payment-proof': signature } });
+  assert.strictEqual(topup.status, 200);
+  return headers;
+}
+
+test('a failed debit responds 500 without charging the balance', async () => {
+  const headers = await fundedAccount(0.01);
+
+  server.failNext('creditLedger', 'debit');
+  const failed = await request('GET', '/buy/stripe-node', { headers });
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(failed.body.code, 'CREDITS_UNAVAILABLE');
+  assert.strictEqual((await request('GET', '/credits/balance', { headers })).body.balance_usdc, 0.01);
+
+  const paid = await request('GET', '/buy/stripe-node', { headers });
+  assert.strictEqual(paid.status, 200);
+  assert.strictEqual(paid.body.payment.method, 'credits');
+});
+
+test('account creation is rate limited per client', async () => {
+  // fundedAccount above opened the first of three
+  const before = ledgerLines();
+  assert.strictEqual((await request('POST', '/credits/accounts')).status, 201);
+  assert.strictEqual((await request('POST', '/credits/accounts')).status, 201);
+
+  const limited = await request('POST', '/credits/accounts');
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.strictEqual(ledgerLines(), before + 2);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const discovery = require('../lib/discovery');
+
+let server;
+let catalog;
+
+test.before(async () => {
+  server = await startServer();
+  const { categories } = await (await fetch(`${server.baseUrl}/catalog/json`)).json();
+  catalog = Object.values(categories).flat();
+});
+
+test.after(() => server.close());
+
+const getJson = async path => (await fetch(`${server.baseUrl}${path}`)).json();
+const prices = () => Object.fromEntries(catalog.map(item => [item.id, item.price]));
+
+test('every route the server registers is documented', () => {
+  const { app } = require('../server');
+  assert.deepStrictEqual(discovery.undocumentedRoutes(discovery.listRoutes(app)), []);
+});
+
+test('the OpenAPI document lists every paid route with the 402 and every item price', async () => {
+  const openapi = await getJson('/openapi.json');
+  const paid = Object.entries(discovery.ROUTE_DOCS)
+    .filter(([, doc]) => doc.paid)
+    .map(([key]) => key.split(' ')[1].replace(/:([A-Za-z_]+)/g, '{$1}'));
+  assert.deepStrictEqual(paid, ['/buy/{item}', '/buy/{item}/sections/{sections}']);
+
+  for (const path of paid) {
+    const operation = openapi.paths[path]?.get;
+    assert.ok(operation, `${path} is in the document`);
+    assert.deepStrictEqual(operation.responses[402].content['application/json'].schema,
+      { $ref: '#/components/schemas/PaymentRequired' });
+    assert.deepStrictEqual(operation['x-prices'], prices());
+  }
+  assert.strictEqual(openapi.servers[0].url, server.baseUrl);
+});
+
+test('x402 discovery lists every item as a resource with its price', async () => {
+  const { resources, accepts } = await getJson('/.well-known/x402');
+  assert.deepStrictEqual(resources.map(resource => [resource.resource, resource.price]),
+    catalog.map(item => [`${server.baseUrl}/buy/${item.id}`, { amount: item.price, currency: 'USDC' }]));
+
+  // Bundles have no sections to buy
+  for (const item of catalog) {
+    const resource = resources.find(entry => entry.resource.endsWith(`/buy/${item.id}`));
+    assert.strictEqual(resource.sections, item.items ? undefined : `${server.baseUrl}/buy/${item.id}/sections`);
+  }
+  assert.deepStrictEqual(accepts.map(option => option.asset), [server.mint]);
+});
+
+test('llms.txt links every catalog item with its price', async () => {
+  const llms = await (await fetch(`${server.baseUrl}/llms.txt`)).text();
+  for (const item of catalog) {
+    assert.ok(llms.includes(`](${server.baseUrl}/buy/${item.id}): ${item.price} USDC`), `${item.id} is listed`);
+  }
+  const links = llms.match(/\]\([^)]*\/buy\/[^)]+\)/g);
+  assert.strictEqual(links.length, catalog.length);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBehind, describeFreshness, describeBundleFreshness } = require('../lib/freshness');
+const { migrateVersionDb } = require('../lib/version-db');
+
+const record = (repo, tag) => migrateVersionDb({ [repo]: tag }).repos[repo];
+const document = (version, extra = {}) => ({ id: 'astro', version, ...extra });
+
+test('isBehind compares semver, ignoring a v prefix', () => {
+  assert.strictEqual(isBehind('6.0.4', '6.1.0'), true);
+  assert.strictEqual(isBehind('v6.1.0', '6.1.0'), false);
+  assert.strictEqual(isBehind('6.10.0', '6.9.0'), false);
+  assert.strictEqual(isBehind('6.1.0', '6.1.0-beta.1'), false);
+});
+
+test('isBehind treats a non-semver version as current only when it is the same version', () => {
+  assert.strictEqual(isBehind('nightly', '6.1.0'), true);
+  assert.strictEqual(isBehind('2024-05-01', '2024-05-01'), false);
+  assert.strictEqual(isBehind('6.1.0', 'nightly'), true);
+});
+
+test('content behind the latest recorded release is stale', () => {
+  const freshness = describeFreshness(document('6.0.4'), record('withastro/astro', 'astro@6.1.0'));
+  assert.strictEqual(freshness.status, 'stale');
+  assert.strictEqual(freshness.stale, true);
+  assert.deepStrictEqual(freshness.upstream, { tag: 'astro@6.1.0', version: '6.1.0', released_at: null, detected_at: null });
+  assert.strictEqual(freshness.content.version, '6.0.4');
+});
+
+test('content at the latest recorded release is fresh', () => {
+  const freshness = describeFreshness(
+    document('6.1.0', { source: { ingested_at: '2026-10-01T00:00:00.000Z' } }),
+    record('withastro/astro', 'astro@6.1.0'));
+  assert.strictEqual(freshness.status, 'fresh');
+  assert.strictEqual(freshness.stale, false);
+  assert.strictEqual(freshness.content.regenerated_at, '2026-10-01T00:00:00.000Z');
+});
+
+test('freshness is unknown when nothing upstream is recorded', () => {
+  for (const missing of [undefined, { current: null, history: [] }]) {
+    const freshness = describeFreshness(document('6.1.0'), missing);
+    assert.strictEqual(freshness.status, 'unknown');
+    assert.strictEqual(freshness.stale, null);
+    assert.strictEqual(freshness.upstream, null);
+  }
+});
+
+test('a non-semver content version is stale against any other release', () => {
+  const freshness = describeFreshness(document('nightly'), record('withastro/astro', 'astro@6.1.0'));
+  assert.strictEqual(freshness.status, 'stale');
+});
+
+test('a placeholder is stale against any release, even one its version outranks', () => {
+  const upstream = record('withastro/astro', 'astro@6.1.0');
+  assert.strictEqual(isBehind('2026.1', '6.1.0'), false);
+  assert.strictEqual(describeFreshness(document('2026.1', { placeholder: true }), upstream).status, 'stale');
+  assert.strictEqual(describeFreshness(document('2026.1', { placeholder: true }), undefined).status, 'unknown');
+});
+
+test('a bundle is as fresh as its stalest item', () => {
+  const fresh = { status: 'fresh', stale: false };
+  const stale = { status: 'stale', stale: true };
+  const unknown = { status: 'unknown', stale: null };
+  assert.deepStrictEqual(describeBundleFreshness({ a: fresh, b: stale, c: unknown }),
+    { status: 'stale', stale: true, stale_items: ['b'] });
+  assert.deepStrictEqual(describeBundleFreshness({ a: fresh, c: unknown }),
+    { status: 'unknown', stale: null, stale_items: [] });
+  assert.deepStrictEqual(describeBundleFreshness({ a: fresh }),
+    { status: 'fresh', stale: false, stale_items: [] });
+});
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// ============================================
+// FAKE EVM JSON-RPC
+// ============================================
+// A local JSON-RPC endpoint for the EVM adapter (point BASE_RPC_URL at
+// url). transfer() mines an ERC-20 transfer with the quote memo appended to
+// its calldata, and answers the receipt, transaction, block number and
+// block lookups the adapter makes. Overrides shape the bad cases: another
+// token contract, recipient or amount, a reverted or unconfirmed transfer.
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const TRANSFER_SELECTOR = '0xa9059cbb';
+
+const randomAddress = () => '0x' + crypto.randomBytes(20).toString('hex');
+const randomHash = () => '0x' + crypto.randomBytes(32).toString('hex');
+const toHex = value => '0x' + BigInt(value).toString(16);
+const pad = value => value.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+
+function createFakeEvm() {
+  const transactions = new Map();
+  let server;
+
+  const evm = {
+    latestBlock: 1000,
+    url: null,
+
+    async listen() {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const { id, method, params } = JSON.parse(body);
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ jsonrpc: '2.0', id, result: evm.call(method, params) }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      evm.url = `http://127.0.0.1:${server.address().port}`;
+      return evm.url;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    call(method, [hash] = []) {
+      switch (method) {
+        case 'eth_getTransactionReceipt': return transactions.get(hash)?.receipt || null;
+        case 'eth_getTransactionByHash': return transactions.get(hash)?.tx || null;
+        case 'eth_blockNumber': return toHex(evm.latestBlock);
+        case 'eth_getBlockByNumber': return { number: hash, timestamp: toHex(Math.floor(Date.now() / 1000)) };
+        default: return null;
+      }
+    },
+
+    // Mine a transfer of amount base units of token to `to`. Resolves its hash.
+    transfer({ token, to, amount, memo, from = randomAddress(), contract = token, confirmations = 12, status = '0x1' }) {
+      const hash = randomHash();
+      const blockNumber = toHex(evm.latestBlock - confirmations + 1);
+      const input = TRANSFER_SELECTOR + pad(to) + pad(toHex(amount)) +
+        (memo ? Buffer.from(memo, 'utf-8').toString('hex') : '');
+
+      transactions.set(hash, {
+        receipt: {
+          transactionHash: hash,
+          status,
+          blockNumber,
+          logs: [{
+            address: token,
+            topics: [TRANSFER_TOPIC, '0x' + pad(from), '0x' + pad(to)],
+            data: '0x' + pad(toHex(amount))
+          }]
+        },
+        tx: { hash, from, to: contract, input, blockNumber }
+      });
+      return hash;
+    }
+  };
+  return evm;
+}
+
+module.exports = {
+  createFakeEvm,
+  randomAddress
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { PublicKey, Transaction, Keypair } = require('@solana/web3.js');
+const { decodeInstruction, TokenInstruction, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { MEMO_PROGRAM_ID } = require('../../lib/payments/solana-spl');
+
+// ============================================
+// FAKE SOLANA CHAIN
+// ============================================
+// Stands in for the RPC in tests. Payments land either through pay() or
+// through connection.sendRawTransaction (what the client SDK calls), and
+// the server reads them back with getParsedTransaction, in the shape the
+// real RPC returns. hiddenFor makes a transaction invisible for that many
+// lookups, like one that hasn't propagated yet, and program is the parsed
+// token program ('spl-token-2022' for Token-2022 mints).
+
+const randomSignature = () => bs58.encode(crypto.randomBytes(64));
+
+function createFakeChain() {
+  const transactions = new Map();
+  const lookups = [];
+
+  function record(signature, { destination, mint, amount, memo, authority, program = 'spl-token', hiddenFor = 0, err = null }) {
+    const payer = authority || Keypair.generate().publicKey.toBase58();
+    const instructions = [{
+      program,
+      parsed: {
+        type: 'transferChecked',
+        info: { destination, mint, authority: payer, tokenAmount: { amount: String(amount) } }
+      }
+    }];
+    if (memo) instructions.push({ program: 'spl-memo', parsed: memo });
+
+    transactions.set(signature, {
+      hiddenFor,
+      transaction: {
+        blockTime: Math.floor(Date.now() / 1000),
+        meta: { err },
+        transaction: {
+          message: {
+            accountKeys: [payer, destination].map(key => ({ pubkey: new PublicKey(key) })),
+            instructions
+          }
+        }
+      }
+    });
+    return signature;
+  }
+
+  // The transfer and memo of a signed payment transaction
+  function decodePayment(transaction) {
+    const payment = {};
+    for (const instruction of transaction.instructions) {
+      if (instruction.programId.equals(MEMO_PROGRAM_ID)) {
+        payment.memo = instruction.data.toString('utf-8');
+      } else if (instruction.programId.equals(TOKEN_PROGRAM_ID)) {
+        const decoded = decodeInstruction(instruction);
+        if (decoded.data.instruction !== TokenInstruction.TransferChecked) continue;
+        payment.destination = decoded.keys.destination.pubkey.toBase58();
+        payment.mint = decoded.keys.mint.pubkey.toBase58();
+        payment.authority = decoded.keys.owner.pubkey.toBase58();
+        payment.amount = decoded.data.amount.toString();
+      }
+    }
+    return payment;
+  }
+
+  const chain = {
+    // Signatures getParsedTransaction was asked for, in order
+    lookups,
+    // Signatures of transactions sent through the connection
+    sent: [],
+    // Options applied to the next transaction sent through the connection
+    nextSend: {},
+
+    // Land a payment without building a transaction. Resolves its signature.
+    pay(payment) {
+      return record(randomSignature(), payment);
+    },
+
+    async getParsedTransaction(signature) {
+      lookups.push(signature);
+      const entry = transactions.get(signature);
+      if (!entry) return null;
+      if (entry.hiddenFor > 0) {
+        entry.hiddenFor--;
+        return null;
+      }
+      return entry.transaction;
+    },
+
+    // Client-side @solana/web3.js Connection
+    connection: {
+      async getLatestBlockhash() {
+        return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1000 };
+      },
+      async sendRawTransaction(raw) {
+        const transaction = Transaction.from(raw);
+        const signature = bs58.encode(transaction.signature);
+        record(signature, { ...decodePayment(transaction), ...chain.nextSend });
+        chain.nextSend = {};
+        chain.sent.push(signature);
+        return signature;
+      },
+      async confirmTransaction() {
+        return { context: { slot: 1 }, value: { err: null } };
+      },
+      getParsedTransaction: signature => chain.getParsedTransaction(signature)
+    }
+  };
+  return chain;
+}
+
+module.exports = {
+  createFakeChain,
+  randomSignature
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Connection, Keypair, PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { createFakeChain } = require('./fake-solana');
+
+// ============================================
+// IN-PROCESS SERVER
+// ============================================
+// Loads server.js against a fake Solana chain, with every data file in a
+// throwaway directory. server.js is a singleton, so each test file starts
+// it once (node --test runs every file in its own process).
+//
+// extraContent adds files to a copy of content/, e.g.
+// { 'nextjs/v15.0.0.md': '...' } for an older version.
+//
+// failNext(store, method, error) makes the next call of a store method
+// throw - store is 'quoteStore', 'signatureStore' or 'creditLedger'.
+
+const STORE_FACTORIES = {
+  quoteStore: ['../../lib/quote-store', 'createQuoteStore'],
+  signatureStore: ['../../lib/signature-store', 'createSignatureStore'],
+  creditLedger: ['../../lib/credit-ledger', 'createCreditLedger']
+};
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// A port nothing is listening on. server.js reads PORT for its own MCP
+// loopback, so it must be known before the server is loaded.
+function freePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer({ env = {}, extraContent = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-test-'));
+  const contentDir = path.join(dataDir, 'content');
+  fs.cpSync(path.join(__dirname, '..', '..', 'content'), contentDir, { recursive: true });
+  for (const [file, source] of Object.entries(extraContent)) {
+    fs.writeFileSync(path.join(contentDir, file), source);
+  }
+
+  const wallet = Keypair.generate().publicKey;
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    PORT: String(await freePort()),
+    SOLANA_NETWORK: 'mainnet',
+    SOLANA_WALLET_ADDRESS: wallet.toBase58(),
+    RECEIPT_SECRET: 'test-secret',
+    CONTENT_DIR: contentDir,
+    CONTENT_WATCH: 'false',
+    SIGNATURE_STORE_DIR: path.join(dataDir, 'signatures'),
+    QUOTE_STORE_DIR: path.join(dataDir, 'quotes'),
+    CREDIT_LEDGER_PATH: path.join(dataDir, 'credits.jsonl'),
+    RECEIPT_LOG_PATH: path.join(dataDir, 'redeliveries.jsonl'),
+    WEBHOOK_STORE_PATH: path.join(dataDir, 'webhooks.json'),
+    // Every test client is 127.0.0.1 - raise the per-IP quote limit
+    QUOTES_PER_IP_PER_MINUTE: '1000',
+    ...env
+  });
+
+  const mint = process.env.USDC_MINT || USDC_MINT;
+  const chain = createFakeChain();
+  Connection.prototype.getParsedTransaction = signature => chain.getParsedTransaction(signature);
+
+  const failures = new Map();
+  for (const [name, [modulePath, factory]] of Object.entries(STORE_FACTORIES)) {
+    const exports = require(modulePath);
+    const create = exports[factory];
+    exports[factory] = options => {
+      const store = create(options);
+      return new Proxy(store, {
+        get(target, method) {
+          const value = target[method];
+          if (typeof value !== 'function') return value;
+          return (...args) => {
+            const error = failures.get(`${name}.${method}`);
+            if (error) {
+              failures.delete(`${name}.${method}`);
+              return Promise.reject(error);
+            }
+            return value.apply(target, args);
+          };
+        }
+      });
+    };
+  }
+
+  // Server logs every request - keep test output readable
+  const log = console.log;
+  console.log = () => {};
+  const { app } = require('../../server');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(process.env.PORT, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    chain,
+    dataDir,
+    wallet: wallet.toBase58(),
+    mint,
+    tokenAccount: getAssociatedTokenAddressSync(new PublicKey(mint), wallet).toBase58(),
+
+    failNext(store, method, error = new Error(`${store}.${method} failed`)) {
+      failures.set(`${store}.${method}`, error);
+    },
+
+    // Pay a 402 body's quote on the fake chain. Resolves the signature.
+    payQuote(paymentRequired, overrides = {}) {
+      return chain.pay({
+        destination: this.tokenAccount,
+        mint,
+        amount: paymentRequired.accepts[0].maxAmountRequired,
+        memo: paymentRequired.quote.memo,
+        ...overrides
+      });
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      console.log = log;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const { TOOLS, PROTOCOL_VERSION } = require('../lib/mcp');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+let nextId = 0;
+async function rpc(method, params, headers = {}) {
+  const response = await fetch(`${server.baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++nextId, method, params })
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const buyDoc = (args, headers) => rpc('tools/call', { name: 'buy_doc', arguments: args }, headers);
+
+test('initialize negotiates the protocol and opens a session', async () => {
+  const { status, headers, body } = await rpc('initialize', {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: 'test', version: '1.0.0' }
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.result.protocolVersion, PROTOCOL_VERSION);
+  assert.strictEqual(body.result.serverInfo.name, 'contextnow');
+  assert.deepStrictEqual(body.result.capabilities, { tools: { listChanged: false } });
+  assert.ok(headers.get('mcp-session-id'));
+});
+
+test('tools/list lists every tool', async () => {
+  const { body } = await rpc('tools/list');
+  assert.deepStrictEqual(body.result.tools.map(tool => tool.name), ['search_docs', 'list_catalog', 'get_price', 'buy_doc']);
+  assert.deepStrictEqual(body.result.tools, TOOLS);
+});
+
+test('buy_doc without payment is a tool error carrying the 402 for the public URL', async () => {
+  // As seen behind a TLS-terminating proxy on the same host
+  const { body } = await buyDoc({ item: 'nextjs' }, { 'X-Forwarded-Proto': 'https' });
+  const { isError, structuredContent } = body.result;
+  assert.strictEqual(isError, true);
+  assert.strictEqual(structuredContent.status, 402);
+  assert.strictEqual(structuredContent.accepts[0].resource, `https://${new URL(server.baseUrl).host}/buy/nextjs`);
+  assert.strictEqual(structuredContent.accepts[0].extra.memo, structuredContent.quote.memo);
+});
+
+test('buy_doc with a payment proof returns the documentation', async () => {
+  const { body: quoted } = await buyDoc({ item: 'nextjs' });
+  const signature = server.payQuote(quoted.result.structuredContent);
+
+  const { body } = await buyDoc({ item: 'nextjs', payment_proof: signature });
+  const { isError, content, structuredContent } = body.result;
+  assert.strictEqual(isError, undefined);
+  assert.match(content[0].text, /Next\.js/);
+  assert.strictEqual(structuredContent.version, 'v16.3.2');
+  assert.strictEqual(structuredContent.payment.transactionSignature, signature);
+  assert.ok(structuredContent.payment_response);
+});
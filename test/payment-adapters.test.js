@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const { createFakeEvm, randomAddress } = require('./helpers/fake-evm');
+const { ADAPTER_DEFINITIONS } = require('../lib/payments');
+
+const USDT_MINT = ADAPTER_DEFINITIONS['solana-usdt'].mints.mainnet;
+const PYUSD_MINT = ADAPTER_DEFINITIONS['solana-pyusd'].mints.mainnet;
+const BASE_USDC = ADAPTER_DEFINITIONS['base-usdc'].tokenAddress;
+const EVM_WALLET = randomAddress();
+
+let server;
+let evm;
+
+test.before(async () => {
+  evm = createFakeEvm();
+  server = await startServer({
+    env: {
+      PAYMENT_ADAPTERS: 'solana-usdt,solana-pyusd,base-usdc',
+      BASE_RPC_URL: await evm.listen(),
+      EVM_WALLET_ADDRESS: EVM_WALLET,
+      BASE_MIN_CONFIRMATIONS: '2'
+    }
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  await evm.close();
+});
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+const redeem = proof => get('/buy/stripe-node', { 'x-payment-proof': proof });
+
+// A fresh quote, and the requirements the 402 lists for asset
+async function quote(asset) {
+  const { body } = await get('/buy/stripe-node');
+  const requirements = body.accepts.find(accepts => accepts.asset === asset);
+  assert.ok(requirements, `402 lists ${asset}`);
+  return { requirements, memo: requirements.extra.memo, amount: Number(requirements.maxAmountRequired) };
+}
+
+test('the 402 lists every configured adapter', async () => {
+  const { body } = await get('/buy/stripe-node');
+  assert.deepStrictEqual(body.accepts.map(accepts => [accepts.network, accepts.asset]), [
+    ['solana', server.mint],
+    ['solana', USDT_MINT],
+    ['solana', PYUSD_MINT],
+    ['base', BASE_USDC]
+  ]);
+  assert.strictEqual(body.accepts[3].payTo, EVM_WALLET);
+});
+
+// ============================================
+// SOLANA USDT AND PYUSD (TOKEN-2022)
+// ============================================
+
+const SPL_ADAPTERS = [
+  { id: 'solana-usdt', mint: USDT_MINT, program: 'spl-token', other: PYUSD_MINT },
+  { id: 'solana-pyusd', mint: PYUSD_MINT, program: 'spl-token-2022', other: USDT_MINT }
+];
+
+for (const { id, mint, program, other } of SPL_ADAPTERS) {
+  const pay = ({ requirements, memo, amount }, overrides = {}) => server.chain.pay({
+    destination: requirements.extra.tokenAccount, mint, amount, memo, program, ...overrides
+  });
+
+  test(`${id}: a transfer to its token account is accepted`, async () => {
+    const quoted = await quote(mint);
+    assert.notStrictEqual(quoted.requirements.extra.tokenAccount, server.tokenAccount);
+    const { status, body } = await redeem(pay(quoted));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.payment.asset, id);
+  });
+
+  test(`${id}: another token sent to its token account is rejected`, async () => {
+    const quoted = await quote(mint);
+    const { body } = await redeem(pay(quoted, { mint: other }));
+    assert.strictEqual(body.code, 'WRONG_RECIPIENT');
+  });
+
+  test(`${id}: a transfer to another account is rejected`, async () => {
+    const quoted = await quote(mint);
+    const { body } = await redeem(pay(quoted, { destination: server.tokenAccount }));
+    assert.strictEqual(body.code, 'WRONG_RECIPIENT');
+  });
+
+  test(`${id}: an underpayment is rejected`, async () => {
+    const quoted = await quote(mint);
+    const { body } = await redeem(pay(quoted, { amount: quoted.amount - 1 }));
+    assert.strictEqual(body.code, 'INSUFFICIENT_AMOUNT');
+  });
+}
+
+// ============================================
+// BASE USDC (EVM ERC-20)
+// ============================================
+
+const transfer = ({ memo, amount }, overrides = {}) => evm.transfer({
+  token: BASE_USDC, to: EVM_WALLET, amount, memo, ...overrides
+});
+
+test('base-usdc: a Transfer log to our address with the calldata memo is accepted', async () => {
+  const quoted = await quote(BASE_USDC);
+  const from = randomAddress();
+  const { status, body } = await redeem(transfer(quoted, { from }));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.payment.asset, 'base-usdc');
+  assert.strictEqual(body.payment.network, 'base');
+  assert.strictEqual(body.payment.payer, from);
+});
+
+test('base-usdc: a transfer of another token is rejected', async () => {
+  const quoted = await quote(BASE_USDC);
+  const { body } = await redeem(transfer(quoted, { token: randomAddress() }));
+  assert.strictEqual(body.code, 'WRONG_RECIPIENT');
+  assert.strictEqual(body.correct_address, EVM_WALLET);
+});
+
+test('base-usdc: a transfer to another address is rejected', async () => {
+  const quoted = await quote(BASE_USDC);
+  const { body } = await redeem(transfer(quoted, { to: randomAddress() }));
+  assert.strictEqual(body.code, 'WRONG_RECIPIENT');
+});
+
+test('base-usdc: an underpayment is rejected', async () => {
+  const quoted = await quote(BASE_USDC);
+  const { body } = await redeem(transfer(quoted, { amount: quoted.amount - 1 }));
+  assert.strictEqual(body.code, 'INSUFFICIENT_AMOUNT');
+});
+
+test('base-usdc: the memo is only read from calldata sent to the token', async () => {
+  const quoted = await quote(BASE_USDC);
+  const missing = await redeem(transfer(quoted, { memo: null }));
+  assert.strictEqual(missing.body.code, 'QUOTE_MISSING');
+  // e.g. a router contract whose calldata merely contains the memo bytes
+  const routed = await redeem(transfer(quoted, { contract: randomAddress() }));
+  assert.strictEqual(routed.body.code, 'QUOTE_MISSING');
+});
+
+test('base-usdc: a transfer needs BASE_MIN_CONFIRMATIONS blocks', async () => {
+  const quoted = await quote(BASE_USDC);
+  const hash = transfer(quoted, { confirmations: 1 });
+  const pending = await redeem(hash);
+  assert.strictEqual(pending.body.code, 'TX_NOT_CONFIRMED');
+
+  evm.latestBlock++;
+  const { status } = await redeem(hash);
+  assert.strictEqual(status, 200);
+});
+
+test('base-usdc: a reverted transfer is rejected', async () => {
+  const quoted = await quote(BASE_USDC);
+  const { body } = await redeem(transfer(quoted, { status: '0x0' }));
+  assert.strictEqual(body.code, 'TX_FAILED');
+});
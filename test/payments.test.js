@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const OLD_VERSION = `---
+price: 0.0005
+---
+# Next.js Documentation (v15)
+
+## App Router
+
+The pages directory still works alongside app/ in this release.
+`;
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ extraContent: { 'nextjs/v15.0.0.md': OLD_VERSION } });
+});
+
+test.after(() => server.close());
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+// 402 for path, then pay its quote and redeem the payment on redeemPath
+async function payAndRedeem(path, redeemPath = path) {
+  const quoted = await get(path);
+  assert.strictEqual(quoted.status, 402);
+  const signature = server.payQuote(quoted.body);
+  return get(redeemPath, { 'x-payment-proof': signature });
+}
+
+test('a paid quote delivers the item', async () => {
+  const { status, body } = await payAndRedeem('/buy/nextjs');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.version, 'v16.3.2');
+  assert.ok(body.receipt.token);
+});
+
+test('a pinned quote cannot be redeemed for another pinned version', async () => {
+  const { status, body } = await payAndRedeem('/buy/nextjs@v15.0.0', '/buy/nextjs@v16.3.2');
+  assert.strictEqual(status, 402);
+  assert.strictEqual(body.code, 'QUOTE_VERSION_MISMATCH');
+  assert.strictEqual(body.retry_info.item, 'nextjs');
+});
+
+test('an unpinned quote cannot be redeemed for an older version', async () => {
+  const { status, body } = await payAndRedeem('/buy/nextjs', '/buy/nextjs@v15.0.0');
+  assert.strictEqual(status, 402);
+  assert.strictEqual(body.code, 'QUOTE_VERSION_MISMATCH');
+});
+
+test('a rejected version mismatch leaves the payment redeemable', async () => {
+  const quoted = await get('/buy/nextjs@v15.0.0');
+  const signature = server.payQuote(quoted.body);
+  const wrong = await get('/buy/nextjs@v16.3.2', { 'x-payment-proof': signature });
+  assert.strictEqual(wrong.body.code, 'QUOTE_VERSION_MISMATCH');
+
+  const right = await get('/buy/nextjs@v15.0.0', { 'x-payment-proof': signature });
+  assert.strictEqual(right.status, 200);
+  assert.strictEqual(right.body.version, 'v15.0.0');
+});
+
+test('a pinned quote redeemed on the unpinned URL delivers the quoted version', async () => {
+  const { status, body } = await payAndRedeem('/buy/nextjs@v15.0.0', '/buy/nextjs');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.version, 'v15.0.0');
+  assert.strictEqual(body.charged, 0.0005);
+  assert.match(body.content, /pages directory/);
+});
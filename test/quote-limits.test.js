@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ env: { QUOTES_PER_IP_PER_MINUTE: '2' } });
+});
+
+test.after(() => server.close());
+
+const quoteFiles = () => fs.readdirSync(path.join(server.dataDir, 'quotes')).filter(file => file.endsWith('.json'));
+
+test('unpaid requests stop issuing quotes over the per-IP limit', async () => {
+  assert.strictEqual((await fetch(`${server.baseUrl}/buy/nextjs`)).status, 402);
+  assert.strictEqual((await fetch(`${server.baseUrl}/payment-info?item=nextjs`)).status, 200);
+
+  for (const url of ['/buy/nextjs', '/payment-info?item=nextjs']) {
+    const response = await fetch(`${server.baseUrl}${url}`);
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.strictEqual((await response.json()).code, 'RATE_LIMITED');
+  }
+  assert.strictEqual(quoteFiles().length, 2);
+
+  // Requests that issue no quote aren't limited
+  assert.strictEqual((await fetch(`${server.baseUrl}/payment-info`)).status, 200);
+});
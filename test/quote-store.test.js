@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RETENTION_MS, createMemoryQuoteStore, createFileQuoteStore } = require('../lib/quote-store');
+const { randomSignature } = require('./helpers/fake-solana');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-quotes-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Move a stored quote's expiry back past the retention period
+function expireFileQuote(quote) {
+  const file = path.join(directory, `${quote.id}.json`);
+  const expired = { ...quote, expires_at: new Date(Date.now() - RETENTION_MS - 1000).toISOString() };
+  fs.writeFileSync(file, JSON.stringify(expired));
+}
+
+test('file store prunes quotes past retention with their payment and reference files', async () => {
+  const store = createFileQuoteStore(directory, { ttlSeconds: 900 });
+  const old = await store.create({ item: 'nextjs', amount: 0.002 });
+  const paid = await store.create({ item: 'stripe-node', amount: 0.0025 });
+  const current = await store.create({ item: 'vitest', amount: 0.001 });
+  assert.strictEqual(await store.markPaid(paid.id, randomSignature()), true);
+  expireFileQuote(old);
+  expireFileQuote(paid);
+
+  assert.strictEqual(await store.prune(), 2);
+  assert.deepStrictEqual(fs.readdirSync(directory).sort(), [`${current.id}.json`, 'references']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'references')), [current.reference]);
+  assert.strictEqual(await store.get(old.id), null);
+  assert.strictEqual(await store.getByReference(paid.reference), null);
+  assert.strictEqual((await store.get(current.id)).item, 'vitest');
+});
+
+test('file store sweeps expired quotes when it creates one', async () => {
+  const seed = createFileQuoteStore(directory, { ttlSeconds: 900 });
+  const old = await seed.create({ item: 'nextjs', amount: 0.002 });
+  expireFileQuote(old);
+
+  // A new store (a restarted server) sweeps on its first quote
+  const store = createFileQuoteStore(directory, { ttlSeconds: 900 });
+  await store.create({ item: 'vitest', amount: 0.001 });
+  for (let i = 0; i < 50 && fs.existsSync(path.join(directory, `${old.id}.json`)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(await store.get(old.id), null);
+});
+
+test('memory store prunes quotes past retention', async () => {
+  const store = createMemoryQuoteStore({ ttlSeconds: -RETENTION_MS / 1000 - 1 });
+  const old = await store.create({ item: 'nextjs', amount: 0.002 });
+  assert.strictEqual(await store.prune(), 1);
+  assert.strictEqual(await store.get(old.id), null);
+  assert.strictEqual(await store.getByReference(old.reference), null);
+});
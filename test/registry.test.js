@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRegistry, checkConsistency } = require('../lib/registry');
+const { createContentStore } = require('../lib/content-store');
+const { loadVersionDb, migrateVersionDb } = require('../lib/version-db');
+
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+const registry = loadRegistry();
+
+// Content store over directory validated the way server.js does it
+function loadChecked(directory, versionDb) {
+  return createContentStore({
+    registry,
+    directory,
+    watch: false,
+    validate: (inventory, documents) => checkConsistency(registry, Object.keys(inventory), { documents, versionDb })
+  });
+}
+
+test('the committed content, registry and version_db are consistent', () => {
+  assert.doesNotThrow(() => loadChecked(CONTENT_DIR, loadVersionDb()));
+});
+
+test('rejects a version taken from another package of a monorepo', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-content-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  fs.cpSync(CONTENT_DIR, directory, { recursive: true });
+  fs.renameSync(path.join(directory, 'astro', '2026.1.md'), path.join(directory, 'astro', '6.0.4.md'));
+
+  // The tag version_db recorded for withastro/astro is @astrojs/react's
+  const versionDb = migrateVersionDb({ 'withastro/astro': '@astrojs/react@6.0.4' });
+  assert.throws(() => loadChecked(directory, versionDb),
+    /content\/astro\/6\.0\.4\.md is versioned from '@astrojs\/react@6\.0\.4', which is not a release of astro/);
+
+  // astro's own release with the same version is fine
+  assert.doesNotThrow(() => loadChecked(directory, migrateVersionDb({ 'withastro/astro': 'astro@6.0.4' })));
+});
+
+test('checks the source tag ingested documents carry', () => {
+  const documents = [
+    { id: 'prisma', version: '0.17.0', source: { tag: 'v0.17.0' } },
+    { id: 'langchain-python', version: '1.6.0', source: { tag: 'langchain-core==1.6.0' } },
+    { id: 'vercel', version: '51.2.0', source: { tag: 'vercel@51.2.0' } }
+  ];
+  assert.throws(() => checkConsistency(registry, Object.keys(registry.items), { documents }), error => {
+    assert.match(error.message, /content\/prisma\/0\.17\.0\.md is versioned from 'v0\.17\.0'/);
+    assert.match(error.message, /content\/langchain-python\/1\.6\.0\.md is versioned from 'langchain-core==1\.6\.0'/);
+    assert.doesNotMatch(error.message, /vercel/);
+    return true;
+  });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRegistry } = require('../lib/registry');
+const { createContentStore } = require('../lib/content-store');
+const { getSections } = require('../lib/sections');
+const { createSearchService, makeSnippet, plainText } = require('../lib/search');
+
+const contentStore = createContentStore({ registry: loadRegistry(), watch: false });
+const inventory = contentStore.getInventory();
+
+test('snippets are always shorter than their section', () => {
+  for (const item of Object.values(inventory)) {
+    for (const section of getSections(item)) {
+      const text = plainText(section.content);
+      const snippet = makeSnippet(text);
+      assert.ok(snippet.replace(/…/g, '').length <= Math.floor(text.length / 4),
+        `${item.id}#${section.id}: snippet gives away more than a quarter of the section`);
+      assert.ok(snippet.length < text.length || text.length === 0);
+    }
+  }
+});
+
+test('short sections get a short snippet, not their whole body', () => {
+  const text = 'Streaming responses with the features API let you read tokens as they arrive.';
+  const snippet = makeSnippet(text);
+  assert.ok(snippet.length < text.length / 2);
+});
+
+test('search results never contain a whole section', async () => {
+  const search = createSearchService({ embeddings: false });
+  search.update(inventory);
+
+  const { results } = await search.search('features', { limit: 25 });
+  assert.ok(results.length > 0);
+  for (const result of results) {
+    const section = getSections(inventory[result.id]).find(({ id }) => id === result.section.id);
+    assert.ok(result.snippet.length < plainText(section.content).length, `${result.id}#${section.id}`);
+  }
+});
+
+test('the query cannot move the snippet window', async () => {
+  const search = createSearchService({ embeddings: false });
+  search.update(inventory);
+
+  // The longest section, searched for with words from its middle and end
+  // that would otherwise pull the window there
+  const [id, section] = Object.entries(inventory)
+    .filter(([, item]) => !item.items)
+    .flatMap(([itemId, item]) => getSections(item).map(entry => [itemId, entry]))
+    .sort(([, a], [, b]) => plainText(b.content).length - plainText(a.content).length)[0];
+  const text = plainText(section.content);
+  const words = text.split(' ');
+  const middle = Math.floor(words.length / 2);
+  const teaser = makeSnippet(text);
+  assert.ok(text.startsWith(teaser.replace(/…$/, '')));
+
+  for (const query of [`${id} ${words.slice(middle, middle + 5).join(' ')}`, `${id} ${words.slice(-5).join(' ')}`]) {
+    const { results } = await search.search(query, { limit: 25 });
+    const result = results.find(entry => entry.id === id);
+    assert.strictEqual(result.section.id, section.id, query);
+    assert.strictEqual(result.snippet, teaser, query);
+  }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemorySignatureStore, createFileSignatureStore } = require('../lib/signature-store');
+const { randomSignature } = require('./helpers/fake-solana');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-signatures-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const stores = {
+  memory: createMemorySignatureStore(),
+  file: createFileSignatureStore(directory)
+};
+
+for (const [type, store] of Object.entries(stores)) {
+  test(`${type} store records what a signature paid for`, async () => {
+    const signature = randomSignature();
+    assert.strictEqual(await store.claim(signature, {
+      item: 'nextjs#routing',
+      amount: 0.0012,
+      asset: 'solana-usdc',
+      network: 'solana',
+      quote: '0123456789abcdef01234567',
+      ignored: true
+    }), true);
+
+    const record = await store.get(signature);
+    assert.deepStrictEqual({ ...record, timestamp: undefined }, {
+      signature,
+      item: 'nextjs#routing',
+      amount: 0.0012,
+      asset: 'solana-usdc',
+      network: 'solana',
+      quote: '0123456789abcdef01234567',
+      timestamp: undefined
+    });
+  });
+
+  test(`${type} store claims a signature once`, async () => {
+    const signature = randomSignature();
+    assert.strictEqual(await store.claim(signature, { item: 'nextjs' }), true);
+    assert.strictEqual(await store.claim(signature, { item: 'stripe-node' }), false);
+    assert.strictEqual((await store.get(signature)).item, 'nextjs');
+    assert.strictEqual((await store.get(signature)).asset, null);
+  });
+}
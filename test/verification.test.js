@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const { randomSignature } = require('./helpers/fake-solana');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+const quote = async (item = 'stripe-node') => (await get(`/buy/${item}`)).body;
+const redeem = (signature, item = 'stripe-node') => get(`/buy/${item}`, { 'x-payment-proof': signature });
+
+test('a matching payment is verified and the signature recorded', async () => {
+  const signature = server.payQuote(await quote());
+  const { status, body } = await redeem(signature);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.payment.transactionSignature, signature);
+  assert.strictEqual(body.payment.asset, 'solana-usdc');
+});
+
+test('rejects payments the RPC does not return', async () => {
+  const { status, body } = await redeem(randomSignature());
+  assert.strictEqual(status, 402);
+  assert.strictEqual(body.code, 'TX_NOT_FOUND');
+});
+
+test('rejects failed transactions', async () => {
+  const signature = server.payQuote(await quote(), { err: { InstructionError: [0, 'Custom'] } });
+  assert.strictEqual((await redeem(signature)).body.code, 'TX_FAILED');
+});
+
+test('rejects transfers to another account', async () => {
+  const signature = server.payQuote(await quote(), { destination: server.wallet });
+  const { body } = await redeem(signature);
+  assert.strictEqual(body.code, 'WRONG_RECIPIENT');
+  assert.strictEqual(body.correct_address, server.tokenAccount);
+});
+
+test('rejects payments without a quote memo', async () => {
+  const signature = server.payQuote(await quote(), { memo: null });
+  assert.strictEqual((await redeem(signature)).body.code, 'QUOTE_MISSING');
+});
+
+test('rejects amounts that differ from the quote', async () => {
+  const paymentRequired = await quote();
+  const amount = Number(paymentRequired.accepts[0].maxAmountRequired);
+  const low = server.payQuote(paymentRequired, { amount: amount - 1 });
+  assert.strictEqual((await redeem(low)).body.code, 'INSUFFICIENT_AMOUNT');
+  const high = server.payQuote(paymentRequired, { amount: amount + 1 });
+  assert.strictEqual((await redeem(high)).body.code, 'AMOUNT_MISMATCH');
+});
+
+test('rejects a quote paid for another item', async () => {
+  const signature = server.payQuote(await quote('stripe-node'));
+  assert.strictEqual((await redeem(signature, 'nextjs')).body.code, 'QUOTE_ITEM_MISMATCH');
+});
+
+test('rejects a replayed signature and a second payment of one quote', async () => {
+  const paymentRequired = await quote();
+  const signature = server.payQuote(paymentRequired);
+  assert.strictEqual((await redeem(signature)).status, 200);
+  assert.strictEqual((await redeem(signature)).body.code, 'REPLAY_ATTACK');
+
+  const second = server.payQuote(paymentRequired);
+  assert.strictEqual((await redeem(second)).body.code, 'QUOTE_USED');
+});
+
+test('a failed signature claim leaves the payment redeemable', async () => {
+  const signature = server.payQuote(await quote());
+  server.failNext('signatureStore', 'claim');
+  const failed = await redeem(signature);
+  assert.strictEqual(failed.status, 402);
+  assert.strictEqual(failed.body.code, 'VERIFICATION_ERROR');
+
+  const retried = await redeem(signature);
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual(retried.body.payment.transactionSignature, signature);
+});
+
+test('a failed quote update leaves the payment redeemable', async () => {
+  const signature = server.payQuote(await quote());
+  server.failNext('quoteStore', 'markPaid');
+  assert.strictEqual((await redeem(signature)).body.code, 'VERIFICATION_ERROR');
+  assert.strictEqual((await redeem(signature)).status, 200);
+  assert.strictEqual((await redeem(signature)).body.code, 'REPLAY_ATTACK');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrateVersionDb, saveVersionDb, loadVersionDb } = require('../lib/version-db');
+const { loadEtagCache, saveEtagCache } = require('../lib/ingestion');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-version-db-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('GitHub list responses are not kept in version_db.json', () => {
+  const dbPath = path.join(directory, 'version_db.json');
+  const releases = Array.from({ length: 100 }, (_, i) => ({ tag: `v1.0.${i}`, prerelease: false, draft: false }));
+  fs.writeFileSync(dbPath, JSON.stringify({
+    schema: 2,
+    repos: { 'vercel/next.js': { current: 'v16.3.2', history: [] } },
+    etags: { 'https://api.github.com/repos/vercel/next.js/releases?per_page=100&page=1': { etag: '"abc"', data: releases } }
+  }));
+
+  const db = loadVersionDb(dbPath);
+  assert.strictEqual(db.etags, undefined);
+  saveVersionDb(db, dbPath);
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(dbPath, 'utf-8'))), ['schema', 'repos']);
+  assert.strictEqual(migrateVersionDb({ 'vercel/next.js': 'v16.3.2' }).etags, undefined);
+});
+
+test('the ETag cache is its own file, empty until written', () => {
+  const cachePath = path.join(directory, 'data', 'github-etags.json');
+  assert.deepStrictEqual(loadEtagCache(cachePath), {});
+
+  const cache = { 'https://api.github.com/repos/withastro/astro/tags?per_page=100&page=1': { etag: '"def"', data: [{ tag: 'astro@6.0.4' }] } };
+  saveEtagCache(cache, cachePath);
+  assert.deepStrictEqual(loadEtagCache(cachePath), cache);
+
+  fs.writeFileSync(cachePath, '{ truncated');
+  assert.deepStrictEqual(loadEtagCache(cachePath), {});
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRegistry, checkConsistency } = require('../lib/registry');
+const { createContentStore } = require('../lib/content-store');
+const { loadVersionDb } = require('../lib/version-db');
+
+// The watchtower CLI end to end - releases, tags and repository files come
+// from test/fixtures/github through WATCHTOWER_FIXTURES, and every file it
+// writes is a throwaway copy.
+
+const ROOT = path.join(__dirname, '..');
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-watchtower-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const paths = {
+  fixtures: path.join(directory, 'fixtures'),
+  content: path.join(directory, 'content'),
+  registry: path.join(directory, 'registry.json'),
+  db: path.join(directory, 'version_db.json')
+};
+fs.cpSync(path.join(__dirname, 'fixtures', 'github'), paths.fixtures, { recursive: true });
+fs.cpSync(path.join(ROOT, 'content'), paths.content, { recursive: true });
+fs.copyFileSync(path.join(ROOT, 'registry.json'), paths.registry);
+fs.writeFileSync(paths.db, JSON.stringify({
+  ...JSON.parse(fs.readFileSync(path.join(ROOT, 'version_db.json'), 'utf-8')),
+  'withastro/astro': 'astro@6.0.4'
+}));
+
+// Resolves the CLI's --json output
+function watchtower(...args) {
+  const env = {
+    ...process.env,
+    WATCHTOWER_FIXTURES: paths.fixtures,
+    REGISTRY_PATH: paths.registry,
+    VERSION_DB_PATH: paths.db,
+    CONTENT_DIR: paths.content,
+    GITHUB_CACHE_PATH: path.join(directory, 'data', 'github-etags.json'),
+    WEBHOOK_STORE_PATH: path.join(directory, 'data', 'webhooks.json')
+  };
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(ROOT, 'watchtower.js'), ...args, '--json'],
+      { env, timeout: 30000 }, (error, stdout) => {
+        try {
+          resolve({ code: error ? error.code : 0, output: JSON.parse(stdout) });
+        } catch (parseError) {
+          reject(error || parseError);
+        }
+      });
+  });
+}
+
+const read = file => fs.readFileSync(path.join(paths.content, file), 'utf-8');
+
+test('check ingests the newest release of the item, skipping other packages and prereleases', async () => {
+  const { code, output } = await watchtower('check', '--source', 'astro');
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(output.errors, []);
+
+  const [update] = output.updates;
+  assert.strictEqual(update.previous, 'astro@6.0.4');
+  assert.strictEqual(update.latest, 'astro@6.1.0');
+  assert.strictEqual(update.bump, 'minor');
+  assert.strictEqual(update.ingestion.status, 'written');
+  assert.strictEqual(update.ingestion.version, '6.1.0');
+
+  const document = read('astro/6.1.0.md');
+  assert.match(document, /^---\n[\s\S]*tag: astro@6\.1\.0[\s\S]*\n---\n# Astro 6\.1\.0/);
+  for (const heading of ['## Release notes', '## README', '## docs/fonts.md']) {
+    assert.ok(document.includes(heading), heading);
+  }
+  assert.match(document, /experimental\.fonts/);
+
+  const record = loadVersionDb(paths.db).repos['withastro/astro'];
+  assert.strictEqual(record.current, 'astro@6.1.0');
+  assert.strictEqual(record.history.at(-1).published_at, '2026-10-14T16:02:11Z');
+
+  // Nothing new the second time round
+  const again = await watchtower('check', '--source', 'astro');
+  assert.deepStrictEqual(again.output.updates, []);
+});
+
+test('add-source registers a repo that only has tags, with its first content version', async () => {
+  const { code, output } = await watchtower('add-source', 'hono',
+    '--name', 'Hono', '--repo', 'honojs/hono', '--docs', 'https://hono.dev',
+    '--category', 'framework', '--price', '0.001');
+  assert.strictEqual(code, 0);
+  assert.strictEqual(output.latest, 'v4.9.0');
+  assert.strictEqual(output.ingestion.status, 'written');
+  assert.match(read('hono/v4.9.0.md'), /## docs\/routing\.md/);
+
+  // The registry, content and version_db agree, as the server checks them
+  const registry = loadRegistry(paths.registry);
+  assert.strictEqual(registry.getItem('hono').repo, 'honojs/hono');
+  const store = createContentStore({
+    directory: paths.content,
+    registryPath: paths.registry,
+    watch: false,
+    validate: (inventory, documents, current) => checkConsistency(current, Object.keys(inventory), {
+      documents,
+      versionDb: loadVersionDb(paths.db)
+    })
+  });
+  assert.strictEqual(store.resolve('hono').version, 'v4.9.0');
+  assert.strictEqual(store.resolve('astro', '6.1.0').source.tag, 'astro@6.1.0');
+  // The ingested release replaces the 2026.1 placeholder as the current version
+  assert.strictEqual(store.resolve('astro').version, '6.1.0');
+  assert.deepStrictEqual(store.listVersions('astro'), ['2026.1', '6.1.0']);
+});
+
+test('an unknown repo is refused without touching the registry', async () => {
+  const before = fs.readFileSync(paths.registry, 'utf-8');
+  const { code, output } = await watchtower('add-source', 'elysia',
+    '--name', 'Elysia', '--repo', 'elysiajs/elysia', '--docs', 'https://elysiajs.com',
+    '--category', 'framework', '--price', '0.001');
+  assert.strictEqual(code, 1);
+  assert.match(output.error, /No release found for elysiajs\/elysia/);
+  assert.strictEqual(fs.readFileSync(paths.registry, 'utf-8'), before);
+  assert.ok(!fs.existsSync(path.join(paths.content, 'elysia')));
+});
+
+test('a release whose ingest fails is not recorded, so the next check retries it', async () => {
+  const repo = path.join(paths.fixtures, 'prisma', 'prisma');
+  fs.mkdirSync(repo, { recursive: true });
+  fs.writeFileSync(path.join(repo, 'releases.json'), JSON.stringify([{ tag: '6.19.0' }]));
+
+  // Nothing at the tag yet - no release notes, README or docs
+  const failed = await watchtower('check', '--source', 'prisma');
+  assert.strictEqual(failed.code, 0);
+  assert.strictEqual(failed.output.updates[0].ingestion.status, 'empty');
+  assert.deepStrictEqual(failed.output.errors.map(error => error.stage), ['ingestion']);
+  assert.deepStrictEqual(failed.output.notifications, []);
+  assert.strictEqual(loadVersionDb(paths.db).repos['prisma/prisma'], undefined);
+
+  fs.mkdirSync(path.join(repo, '6.19.0', 'files'), { recursive: true });
+  fs.writeFileSync(path.join(repo, '6.19.0', 'files', 'README.md'), '# Prisma\n\nNext-generation ORM for Node.js.\n');
+  const retried = await watchtower('check', '--source', 'prisma');
+  assert.deepStrictEqual(retried.output.errors, []);
+  assert.strictEqual(retried.output.updates[0].status, 'new');
+  assert.strictEqual(retried.output.updates[0].ingestion.status, 'written');
+  assert.strictEqual(loadVersionDb(paths.db).repos['prisma/prisma'].current, '6.19.0');
+  assert.match(read('prisma/6.19.0.md'), /Next-generation ORM/);
+
+  const again = await watchtower('check', '--source', 'prisma');
+  assert.deepStrictEqual(again.output.updates, []);
+});
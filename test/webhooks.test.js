@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhookStore } = require('../lib/webhook-store');
+const { createWebhookNotifier, signPayload } = require('../lib/webhooks');
+const { migrateVersionDb } = require('../lib/version-db');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contextnow-webhooks-'));
+const deliveries = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    deliveries.push({ headers: req.headers, body });
+    res.end();
+  });
+});
+
+test.before(() => new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve)));
+test.after(() => {
+  receiver.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const document = (id, version, extra = {}) => ({
+  id, version, name: id, category: 'framework', repo: `example/${id}`, docs: null, ...extra
+});
+
+async function setup(name) {
+  const store = createWebhookStore({ filePath: path.join(directory, `${name}.json`) });
+  const subscription = await store.create({ url: `http://127.0.0.1:${receiver.address().port}/hook` });
+  deliveries.length = 0;
+  return { store, subscription, notifier: createWebhookNotifier({ store, backoffMs: 1 }) };
+}
+
+test('the server announces versions it loads after its first snapshot', async () => {
+  const { store, subscription, notifier } = await setup('announce');
+  const inventory = {
+    astro: document('astro', '6.0.4', { source: { tag: 'astro@6.0.4' } }),
+    nextjs: document('nextjs', 'v16.3.2')
+  };
+
+  assert.deepStrictEqual(await notifier.announce(inventory), []);
+  assert.strictEqual(deliveries.length, 0);
+  assert.deepStrictEqual(await store.getAnnounced(), {
+    astro: { version: '6.0.4', tag: 'astro@6.0.4' },
+    nextjs: { version: 'v16.3.2', tag: null }
+  });
+
+  // What the hourly Action committed reaches the server
+  const next = {
+    ...inventory,
+    astro: document('astro', '6.1.0', { source: { tag: 'astro@6.1.0' } }),
+    vitest: document('vitest', '4.0.0', { source: { tag: 'v4.0.0' } })
+  };
+  const versionDb = migrateVersionDb({ 'example/astro': 'astro@6.1.0' });
+  versionDb.repos['example/astro'].history[0].bump = 'minor';
+
+  const [delivery] = await notifier.announce(next, versionDb);
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(deliveries.length, 1);
+  const { headers, body } = deliveries[0];
+  assert.strictEqual(headers['x-contextnow-signature'],
+    signPayload(subscription.secret, headers['x-contextnow-timestamp'], body));
+  assert.deepStrictEqual(JSON.parse(body).updates, [
+    { id: 'astro', name: 'astro', repo: 'example/astro', category: 'framework', docs: null,
+      previous: 'astro@6.0.4', latest: 'astro@6.1.0', bump: 'minor', content_version: '6.1.0' },
+    { id: 'vitest', name: 'vitest', repo: 'example/vitest', category: 'framework', docs: null,
+      previous: null, latest: 'v4.0.0', bump: 'initial', content_version: '4.0.0' }
+  ]);
+
+  // A restart or another reload doesn't repeat them
+  assert.deepStrictEqual(await notifier.announce(next, versionDb), []);
+  assert.strictEqual(deliveries.length, 1);
+});
+
+test('a version watchtower already notified about is not announced again', async () => {
+  const { notifier } = await setup('watchtower');
+  await notifier.announce({ astro: document('astro', '2026.1') });
+
+  const update = {
+    id: 'astro', name: 'astro', repo: 'example/astro', category: 'framework', docs: null,
+    previous: 'astro@6.0.0', latest: 'astro@6.1.0', bump: 'minor', content_version: '6.1.0'
+  };
+  // The check and the content reload it causes race for the same version
+  const [checked, reloaded] = await Promise.all([
+    notifier.notify([update]),
+    notifier.announce({ astro: document('astro', '6.1.0', { source: { tag: 'astro@6.1.0' } }) })
+  ]);
+  assert.strictEqual(checked.length, 1);
+  assert.deepStrictEqual(reloaded, []);
+  assert.strictEqual(deliveries.length, 1);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const x402 = require('../lib/x402');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('a payment built from the 402 accepts alone redeems through X-PAYMENT', async () => {
+  const quoted = await fetch(`${server.baseUrl}/buy/nextjs`);
+  assert.strictEqual(quoted.status, 402);
+  const paymentRequired = x402.decodeHeader(quoted.headers.get('payment-required'));
+  const [requirements] = paymentRequired.accepts;
+  assert.match(requirements.extra.memo, /^contextnow:/);
+
+  const signature = server.chain.pay({
+    destination: requirements.extra.tokenAccount,
+    mint: requirements.asset,
+    amount: requirements.maxAmountRequired,
+    memo: requirements.extra.memo
+  });
+  const header = x402.encodeHeader({
+    x402Version: paymentRequired.x402Version,
+    scheme: requirements.scheme,
+    network: requirements.network,
+    payload: { signature }
+  });
+
+  const paid = await fetch(`${server.baseUrl}/buy/nextjs`, { headers: { 'X-PAYMENT': header } });
+  assert.strictEqual(paid.status, 200);
+  assert.deepStrictEqual(x402.decodeHeader(paid.headers.get('x-payment-response')), {
+    success: true,
+    transaction: signature,
+    network: requirements.network,
+    payer: (await paid.json()).payment.payer
+  });
+});
+
+test('an X-PAYMENT transfer without the quote memo is refused', async () => {
+  const { accepts: [requirements] } = await (await fetch(`${server.baseUrl}/buy/nextjs`)).json();
+  const signature = server.chain.pay({
+    destination: requirements.extra.tokenAccount,
+    mint: requirements.asset,
+    amount: requirements.maxAmountRequired
+  });
+  const header = x402.encodeHeader({
+    x402Version: 1, scheme: requirements.scheme, network: requirements.network, payload: { signature }
+  });
+
+  const response = await fetch(`${server.baseUrl}/buy/nextjs`, { headers: { 'X-PAYMENT': header } });
+  assert.strictEqual(response.status, 402);
+  assert.strictEqual((await response.json()).code, 'QUOTE_MISSING');
+});
@@ -1,284 +1,106 @@
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+require('dotenv').config({ quiet: true });
+const { createWatchtower } = require('./lib/watchtower');
 
 // ============================================
-// DOCUMENTATION SOURCES TO MONITOR
+// WATCHTOWER CLI
 // ============================================
-// Each source has: name, GitHub repo, docs URL, and category
-
-const SOURCES = [
-  // --- AI / LLM ---
-  {
-    name: 'OpenAI Python',
-    repo: 'openai/openai-python',
-    docs: 'https://platform.openai.com/docs',
-    category: 'ai'
-  },
-  {
-    name: 'Anthropic Claude',
-    repo: 'anthropics/anthropic-sdk-python',
-    docs: 'https://docs.anthropic.com',
-    category: 'ai'
-  },
-  {
-    name: 'LangChain Python',
-    repo: 'langchain-ai/langchain',
-    docs: 'https://python.langchain.com/docs',
-    category: 'ai'
-  },
-  {
-    name: 'LangChain JS',
-    repo: 'langchain-ai/langchainjs',
-    docs: 'https://js.langchain.com/docs',
-    category: 'ai'
-  },
-  {
-    name: 'Hugging Face Transformers',
-    repo: 'huggingface/transformers',
-    docs: 'https://huggingface.co/docs/transformers',
-    category: 'ai'
-  },
-
-  // --- Payments / Fintech ---
-  {
-    name: 'Stripe Node',
-    repo: 'stripe/stripe-node',
-    docs: 'https://stripe.com/docs/api',
-    category: 'payments'
-  },
-
-  // --- Web Frameworks ---
-  {
-    name: 'Next.js',
-    repo: 'vercel/next.js',
-    docs: 'https://nextjs.org/docs',
-    category: 'framework'
-  },
-  {
-    name: 'Remix',
-    repo: 'remix-run/remix',
-    docs: 'https://remix.run/docs',
-    category: 'framework'
-  },
-  {
-    name: 'Astro',
-    repo: 'withastro/astro',
-    docs: 'https://docs.astro.build',
-    category: 'framework'
-  },
-
-  // --- Communication ---
-  {
-    name: 'Twilio Node',
-    repo: 'twilio/twilio-node',
-    docs: 'https://www.twilio.com/docs',
-    category: 'communication'
-  },
-  {
-    name: 'SendGrid Node',
-    repo: 'sendgrid/sendgrid-nodejs',
-    docs: 'https://docs.sendgrid.com',
-    category: 'communication'
-  },
-
-  // --- Backend / Database ---
-  {
-    name: 'Supabase JS',
-    repo: 'supabase/supabase-js',
-    docs: 'https://supabase.com/docs',
-    category: 'database'
-  },
-  {
-    name: 'MongoDB Node',
-    repo: 'mongodb/node-mongodb-native',
-    docs: 'https://www.mongodb.com/docs/drivers/node/current',
-    category: 'database'
-  },
-  {
-    name: 'PlanetScale Database JS',
-    repo: 'planetscale/database-js',
-    docs: 'https://planetscale.com/docs',
-    category: 'database'
-  },
-  {
-    name: 'Prisma',
-    repo: 'prisma/prisma',
-    docs: 'https://www.prisma.io/docs',
-    category: 'database'
-  },
-  {
-    name: 'Drizzle ORM',
-    repo: 'drizzle-team/drizzle-orm',
-    docs: 'https://orm.drizzle.team/docs',
-    category: 'database'
-  },
-
-  // --- Deployment / Infrastructure ---
-  {
-    name: 'Vercel CLI',
-    repo: 'vercel/vercel',
-    docs: 'https://vercel.com/docs',
-    category: 'infrastructure'
-  },
-  {
-    name: 'Railway CLI',
-    repo: 'railwayapp/cli',
-    docs: 'https://docs.railway.app',
-    category: 'infrastructure'
-  },
-
-  // --- Web3 / Blockchain ---
-  {
-    name: 'wagmi',
-    repo: 'wevm/wagmi',
-    docs: 'https://wagmi.sh',
-    category: 'web3'
-  },
-  {
-    name: 'viem',
-    repo: 'wevm/viem',
-    docs: 'https://viem.sh',
-    category: 'web3'
-  },
-  {
-    name: 'Solana Web3.js',
-    repo: 'solana-labs/solana-web3.js',
-    docs: 'https://solana-labs.github.io/solana-web3.js',
-    category: 'web3'
-  },
-  {
-    name: 'Ethers.js',
-    repo: 'ethers-io/ethers.js',
-    docs: 'https://docs.ethers.org',
-    category: 'web3'
-  },
-
-  // --- Testing / Dev Tools ---
-  {
-    name: 'Vitest',
-    repo: 'vitest-dev/vitest',
-    docs: 'https://vitest.dev',
-    category: 'testing'
-  },
-  {
-    name: 'Playwright',
-    repo: 'microsoft/playwright',
-    docs: 'https://playwright.dev/docs',
-    category: 'testing'
-  }
-];
-
-// Legacy array for backwards compatibility
-const REPOS = SOURCES.map(s => s.repo);
-
-const DB_PATH = path.join(__dirname, 'version_db.json');
-
-async function getLatestRelease(repo) {
-  try {
-    const response = await axios.get(
-      `https://api.github.com/repos/${repo}/releases/latest`,
-      {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'Context-Service-MVP'
-        }
-      }
-    );
-    return response.data.tag_name;
-  } catch (error) {
-    if (error.response?.status === 404) {
-      // No releases found, try tags instead
-      const tagsResponse = await axios.get(
-        `https://api.github.com/repos/${repo}/tags`,
-        {
-          headers: {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'Context-Service-MVP'
-          }
-        }
-      );
-      if (tagsResponse.data.length > 0) {
-        return tagsResponse.data[0].name;
-      }
+// Command line for lib/watchtower.js - see USAGE. The GitHub workflow runs
+// `npm run watchtower`, which is `check`.
+
+const USAGE = `Usage: node watchtower.js [command] [options]
+
+Commands:
+  check                     Check every source for new releases (default)
+    --source <source>       Only this source (item id, repo or name)
+  list                      Sources and their recorded versions
+  history <source>          Releases recorded for a source
+  add-source <id>           Register a new source and ingest its latest release
+    --name <name> --repo <owner/repo> --docs <url> --category <category>
+    --price <usdc> [--icon <emoji>] [--tag-prefix <prefix>]
+    [--tag-pattern <regex>] [--prereleases]
+  help                      Show this message
+
+Options:
+  --json                    Machine-readable output
+  --dry-run                 Report only - record and ingest nothing`;
+
+const BOOLEAN_FLAGS = new Set(['json', 'dry-run', 'prereleases', 'help']);
+
+// { _: [positional...], flag: value | true }
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
     }
-    console.error(`Error fetching ${repo}:`, error.message);
-    return null;
-  }
-}
-
-function loadDatabase() {
-  if (!fs.existsSync(DB_PATH)) {
-    console.log('Creating new version database...');
-    return {};
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(key)) {
+      args[key] = true;
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`--${key} needs a value`);
+    args[key] = value;
   }
-  const data = fs.readFileSync(DB_PATH, 'utf-8');
-  return JSON.parse(data);
+  return args;
 }
 
-function saveDatabase(db) {
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
-}
+// ============================================
+// TEXT OUTPUT
+// ============================================
 
-async function checkForUpdates() {
+function printCheck(report) {
+  const sources = report.results;
   console.log('='.repeat(60));
   console.log('WATCHTOWER - Documentation Release Monitor');
-  console.log(`Monitoring ${SOURCES.length} libraries across ${new Set(SOURCES.map(s => s.category)).size} categories`);
-  console.log(`Checking at: ${new Date().toISOString()}`);
+  console.log(`Monitoring ${sources.length} libraries across ${new Set(sources.map(s => s.category)).size} categories`);
+  console.log(`Checking at: ${report.checked_at}`);
+  if (report.dry_run) console.log('Dry run: nothing is recorded or ingested');
   console.log('='.repeat(60));
 
-  const db = loadDatabase();
-  const updates = [];
-  const errors = [];
-  const categoryCount = {};
-
-  for (const source of SOURCES) {
-    const { name, repo, docs, category } = source;
-    categoryCount[category] = (categoryCount[category] || 0) + 1;
-
-    process.stdout.write(`Checking ${name}...`);
-    const latestVersion = await getLatestRelease(repo);
-
-    if (!latestVersion) {
-      console.log(' [ERROR]');
-      errors.push(name);
-      continue;
-    }
-
-    const storedVersion = db[repo];
+  for (const result of sources) {
+    const line = {
+      error: () => `[ERROR] ${result.error}`,
+      ok: () => `${result.latest} [OK]`,
+      new: () => `${result.latest} [NEW]`,
+      updated: () => `${result.previous} -> ${result.latest} [UPDATED${result.bump ? ` ${result.bump.toUpperCase()}` : ''}]`
+    }[result.status]();
+    console.log(`Checking ${result.name}... ${line}`);
+  }
 
-    if (!storedVersion) {
-      console.log(` ${latestVersion} [NEW]`);
-      db[repo] = latestVersion;
-      updates.push({ name, repo, oldVersion: null, newVersion: latestVersion, docs });
-    } else if (storedVersion !== latestVersion) {
-      console.log(` ${storedVersion} -> ${latestVersion} [UPDATED]`);
-      updates.push({ name, repo, oldVersion: storedVersion, newVersion: latestVersion, docs });
-      db[repo] = latestVersion;
-    } else {
-      console.log(` ${latestVersion} [OK]`);
+  const ingested = report.updates.filter(update => update.ingestion);
+  if (ingested.length > 0) {
+    console.log('\nIngesting documentation...');
+    for (const { name, latest, ingestion } of ingested) {
+      const { status, version, chunks, error } = ingestion;
+      const line = status === 'written' ? `${version} (${chunks} chunks) [WRITTEN]`
+        : status === 'error' ? `[ERROR] ${error}`
+        : `[${status.toUpperCase()}]`;
+      console.log(`Ingesting ${name} ${latest}... ${line}`);
     }
   }
 
-  saveDatabase(db);
-
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log('SUMMARY');
   console.log('='.repeat(60));
 
+  const categoryCount = {};
+  sources.forEach(s => { categoryCount[s.category] = (categoryCount[s.category] || 0) + 1; });
   console.log('\nLibraries by category:');
   Object.entries(categoryCount).forEach(([cat, count]) => {
     console.log(`  ${cat}: ${count}`);
   });
 
-  if (updates.length > 0) {
-    console.log(`\n${updates.length} UPDATE(S) DETECTED:`);
-    updates.forEach(u => {
-      if (u.oldVersion) {
-        console.log(`  - ${u.name}: ${u.oldVersion} -> ${u.newVersion}`);
+  if (report.updates.length > 0) {
+    console.log(`\n${report.updates.length} UPDATE(S) DETECTED:`);
+    report.updates.forEach(u => {
+      if (u.previous) {
+        console.log(`  - ${u.name}: ${u.previous} -> ${u.latest}${u.bump ? ` (${u.bump})` : ''}`);
       } else {
-        console.log(`  - ${u.name}: ${u.newVersion} (first scan)`);
+        console.log(`  - ${u.name}: ${u.latest} (first scan)`);
       }
       console.log(`    Docs: ${u.docs}`);
     });
@@ -286,17 +108,140 @@ async function checkForUpdates() {
     console.log('\nNo updates found. All versions are current.');
   }
 
-  if (errors.length > 0) {
-    console.log(`\n${errors.length} ERROR(S):`);
-    errors.forEach(e => console.log(`  - ${e}`));
+  if (report.errors.length > 0) {
+    console.log(`\n${report.errors.length} ERROR(S):`);
+    report.errors.forEach(e => console.log(`  - ${e.name}${e.stage !== 'check' ? ` (${e.stage})` : ''}`));
+  }
+
+  if (report.notifications.length > 0) {
+    console.log('\nWebhooks:');
+    report.notifications.forEach(n => {
+      console.log(`  - ${n.url}: ${n.updates} update(s) ${n.status}${n.error ? ` (${n.error})` : ''}`);
+    });
+  }
+
+  const { api } = report;
+  if (api) {
+    console.log(`\nGitHub API: ${api.requests} request(s), ${api.notModified} not modified, ${api.retries} retried`);
+    if (api.rateLimit) {
+      console.log(`  Quota: ${api.rateLimit.remaining}/${api.rateLimit.limit} remaining, resets at ${api.rateLimit.reset}`);
+    }
+    if (!process.env.GITHUB_TOKEN) {
+      console.log('  (unauthenticated - set GITHUB_TOKEN for a higher limit)');
+    }
   }
 
   console.log('\n' + '='.repeat(60));
-  return { updates, errors };
 }
 
-// Run the check
-checkForUpdates();
+function printList(sources) {
+  const idWidth = Math.max(...sources.map(s => s.id.length));
+  const versionWidth = Math.max(...sources.map(s => (s.current || '-').length));
+  for (const source of sources) {
+    console.log(`${source.id.padEnd(idWidth)}  ${(source.current || '-').padEnd(versionWidth)}  ${source.repo}`);
+  }
+}
+
+function printHistory({ source, current, history }) {
+  console.log(`${source.name} (${source.repo}) - current: ${current || 'none recorded'}`);
+  if (history.length === 0) return;
+  const tagWidth = Math.max(...history.map(entry => entry.tag.length));
+  for (const entry of history.slice().reverse()) {
+    const detected = entry.detected_at || 'before history was kept';
+    console.log(`  ${entry.tag.padEnd(tagWidth)}  ${(entry.bump || '-').padEnd(10)}  ${detected}`);
+    if (entry.release_url) console.log(`  ${' '.repeat(tagWidth)}  ${entry.release_url}`);
+  }
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+// Registry entry from add-source flags
+function buildEntry(args) {
+  const tagFilter = {
+    ...(args['tag-prefix'] && { prefix: args['tag-prefix'] }),
+    ...(args['tag-pattern'] && { pattern: args['tag-pattern'] }),
+    ...(args.prereleases && { prereleases: true })
+  };
+  return {
+    name: args.name,
+    repo: args.repo,
+    docs: args.docs,
+    category: args.category,
+    price: args.price === undefined ? undefined : Number(args.price),
+    ...(args.icon && { icon: args.icon }),
+    ...(Object.keys(tagFilter).length > 0 && { tag_filter: tagFilter })
+  };
+}
+
+// Runs a command, resolving the process exit code
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const [command = args.help ? 'help' : 'check', target] = args._;
+  const output = (data, print) => (args.json ? console.log(JSON.stringify(data, null, 2)) : print(data));
+
+  try {
+    switch (command) {
+      case 'check': {
+        const report = await createWatchtower().check({ source: args.source, dryRun: Boolean(args['dry-run']) });
+        output(report, printCheck);
+        return 0;
+      }
+
+      case 'list':
+        output(createWatchtower().list(), printList);
+        return 0;
+
+      case 'history': {
+        if (!target) throw new Error('history needs a source (item id, repo or name)');
+        const history = createWatchtower().history(target);
+        if (!history) throw new Error(`Unknown source "${target}"`);
+        output(history, printHistory);
+        return 0;
+      }
+
+      case 'add-source': {
+        if (!target) throw new Error('add-source needs an item id');
+        const added = await createWatchtower().addSource(target, buildEntry(args), { dryRun: Boolean(args['dry-run']) });
+        output(added, ({ id, entry, latest, ingestion }) => {
+          if (!ingestion) {
+            console.log(`Dry run: ${id} (${entry.repo}) would start at ${latest}`);
+            return;
+          }
+          console.log(`Added ${id} (${entry.repo}) at ${latest}: ${ingestion.file}`);
+          console.log('A running server picks it up with its next content reload.');
+        });
+        return 0;
+      }
+
+      case 'help':
+        console.log(USAGE);
+        return 0;
+
+      default:
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+  } catch (error) {
+    if (args.json) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error(error.message);
+    }
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
 
-// Export for use in other modules
-module.exports = { SOURCES, checkForUpdates };
+module.exports = { main };